@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// MarkdPDF - Command Line
+// Converts Markdown files to text PDFs in Node, without a browser: the preview DOM is
+// built with jsdom and drawn by the vector PDF engine.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { JSDOM } = require('jsdom');
+const createDOMPurify = require('dompurify');
+const { marked } = require('marked');
+const jsyaml = require('js-yaml');
+const hljs = require('highlight.js');
+const { jsPDF } = require('jspdf');
+
+const { MarkdownRenderer, PAPER_FORMATS, DEFAULT_PAGE_SETUP, PDF_FONTS } = require('./core');
+const VectorPdfRenderer = require('./vector-pdf');
+const DOCUMENT_THEMES = require('./themes');
+const EMOJI_SHORTCODES = require('./emoji');
+const DOCUMENT_TEMPLATES = require('./templates');
+
+const USAGE = `Usage: markdpdf <input.md|-> [options]
+
+Options:
+  -o, --output <file>        PDF to write (default: the input name with .pdf)
+  -t, --theme <name>         Document theme: ${DOCUMENT_THEMES.map(theme => theme.id).join(', ')}
+  -p, --paper <size>         Paper size: ${PAPER_FORMATS.join(', ')}
+      --orientation <value>  portrait or landscape
+      --margin <mm>          Margins in mm, CSS order: "15" or "20 15" or "20 15 20 15"
+  -s, --set <key=value>      Set a front matter key (repeatable), e.g. --set title="Release 2.1"
+  -h, --help                 Show this help
+  -v, --version              Show the version
+
+Options override the document's front matter. Use "-" to read the Markdown from stdin.`;
+
+// One DOM and one renderer per process: marked keeps its extensions globally
+let environment = null;
+
+function getEnvironment() {
+    if (!environment) {
+        const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+        const renderer = new MarkdownRenderer({
+            marked,
+            DOMPurify: createDOMPurify(window),
+            jsyaml,
+            hljs,
+            emoji: EMOJI_SHORTCODES,
+            templates: DOCUMENT_TEMPLATES,
+            // KaTeX and Mermaid need a browser layout, so math stays TeX source and diagrams stay code
+            katex: null,
+            diagramLanguages: []
+        });
+        environment = { window, renderer };
+    }
+    return environment;
+}
+
+// Merges front matter overrides into the document, replacing its front matter block
+function applyFrontMatter(markdown, overrides) {
+    if (Object.keys(overrides).length === 0) return markdown;
+
+    const { renderer } = getEnvironment();
+    const { data, body, error } = renderer.parseFrontMatter(markdown);
+    if (error) {
+        throw new Error(`Invalid front matter: ${error.reason || error.message}`);
+    }
+    return `---\n${jsyaml.dump({ ...data, ...overrides })}---\n${body}`;
+}
+
+function findTheme(idOrName) {
+    const key = String(idOrName || 'default').toLowerCase();
+    return DOCUMENT_THEMES.find(theme => theme.id === key || theme.name.toLowerCase() === key) || null;
+}
+
+// Images as PNG/JPEG data URLs for the vector engine, keyed by their src attribute.
+// Theme logos ship with this file, the document's images are relative to baseDir.
+async function loadImages(container, baseDir, warn) {
+    const images = new Map();
+    const sources = new Map(Array.from(container.querySelectorAll('img[src]'),
+        img => [img.getAttribute('src'), img.closest('.theme-logo') ? __dirname : baseDir]));
+
+    for (const [src, dir] of sources) {
+        try {
+            let bytes;
+            let type;
+            if (src.startsWith('data:')) {
+                continue;
+            } else if (/^https?:/i.test(src)) {
+                const response = await fetch(src, { signal: AbortSignal.timeout(15000) });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                bytes = Buffer.from(await response.arrayBuffer());
+                type = response.headers.get('content-type') || '';
+            } else {
+                const file = path.resolve(dir, decodeURI(src.split(/[?#]/)[0]));
+                bytes = fs.readFileSync(file);
+                type = path.extname(file).toLowerCase();
+            }
+
+            if (/png/.test(type)) {
+                images.set(src, `data:image/png;base64,${bytes.toString('base64')}`);
+            } else if (/jpe?g/.test(type)) {
+                images.set(src, `data:image/jpeg;base64,${bytes.toString('base64')}`);
+            } else {
+                warn(`Image ${src} was skipped: only PNG and JPEG images are supported here`);
+            }
+        } catch (error) {
+            warn(`Image ${src} could not be loaded: ${error.message}`);
+        }
+    }
+    return images;
+}
+
+// Fonts from fonts/ next to this file; a family whose files are missing uses the standard PDF font
+function getInstalledFonts() {
+    const fonts = {};
+    Object.entries(PDF_FONTS).forEach(([family, variants]) => {
+        if (fs.existsSync(path.join(__dirname, variants.normal))) {
+            fonts[family] = variants;
+        }
+    });
+    return Object.keys(fonts).length > 0 ? fonts : null;
+}
+
+function loadFont(url) {
+    return fs.readFileSync(path.join(__dirname, url)).toString('base64');
+}
+
+// Converts Markdown to a finished PDF; resolves with { data: ArrayBuffer, filename }
+async function convertMarkdown(markdown, options = {}) {
+    const { baseDir = process.cwd(), frontMatter: overrides = {}, warn = message => console.warn(message) } = options;
+    const { window, renderer } = getEnvironment();
+    const source = applyFrontMatter(markdown, overrides);
+
+    const { html, frontMatter, error } = renderer.render(source);
+    if (error) {
+        warn(`Invalid front matter: ${error.reason || error.message}`);
+    }
+
+    const container = window.document.createElement('div');
+    container.className = 'markdown-content';
+    container.innerHTML = html;
+    window.document.body.replaceChildren(container);
+    renderer.finalize(container);
+
+    if (container.querySelector('.math-source, code.language-mermaid')) {
+        warn('Math is exported as TeX source and Mermaid diagrams as code; use the web app to render them');
+    }
+
+    const theme = findTheme(frontMatter.theme);
+    if (!theme) {
+        warn(`Unknown theme "${frontMatter.theme}", using the default theme`);
+    }
+    renderer.placeThemeLogo(container, theme);
+
+    const setup = renderer.getPageSetup(frontMatter, DEFAULT_PAGE_SETUP);
+    const { format, orientation, margins } = setup;
+    const pdfRenderer = new VectorPdfRenderer({
+        format,
+        orientation,
+        margins: [margins.top, margins.left, margins.bottom, margins.right],
+        fonts: getInstalledFonts(),
+        loadFont,
+        jsPDF,
+        theme: theme ? theme.pdf : undefined
+    });
+    const images = await loadImages(container, baseDir, warn);
+    const pdf = await pdfRenderer.render(container, { images });
+    const { missingCharacters } = pdfRenderer;
+    renderer.finishPdf(pdf, {
+        markdown: source,
+        headings: pdfRenderer.headings,
+        setup,
+        encodeText: text => VectorPdfRenderer.replaceMissingGlyphs(pdf, text, char => missingCharacters.add(char))
+    });
+    if (missingCharacters.size > 0) {
+        warn(`The PDF fonts have no ${Array.from(missingCharacters).join(' ')}; they are written as "?"`);
+    }
+
+    return { data: pdf.output('arraybuffer'), filename: renderer.generateFilename(source) };
+}
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            theme: { type: 'string', short: 't' },
+            paper: { type: 'string', short: 'p' },
+            orientation: { type: 'string' },
+            margin: { type: 'string' },
+            set: { type: 'string', short: 's', multiple: true },
+            help: { type: 'boolean', short: 'h' },
+            version: { type: 'boolean', short: 'v' }
+        }
+    });
+
+    const frontMatter = {};
+    (values.set || []).forEach(assignment => {
+        const separator = assignment.indexOf('=');
+        if (separator < 1) {
+            throw new Error(`--set expects key=value, got "${assignment}"`);
+        }
+        // Values are YAML, so numbers, booleans and lists work as in front matter
+        frontMatter[assignment.slice(0, separator).trim()] = jsyaml.load(assignment.slice(separator + 1));
+    });
+
+    if (values.theme !== undefined) {
+        if (!findTheme(values.theme)) throw new Error(`Unknown theme "${values.theme}"`);
+        frontMatter.theme = values.theme;
+    }
+    if (values.paper !== undefined) {
+        if (!PAPER_FORMATS.includes(values.paper.toLowerCase())) throw new Error(`Unknown paper size "${values.paper}"`);
+        frontMatter.paper = values.paper.toLowerCase();
+    }
+    if (values.orientation !== undefined) {
+        if (!['portrait', 'landscape'].includes(values.orientation.toLowerCase())) throw new Error(`Unknown orientation "${values.orientation}"`);
+        frontMatter.orientation = values.orientation.toLowerCase();
+    }
+    if (values.margin !== undefined) {
+        if (!MarkdownRenderer.parseMargin(values.margin)) throw new Error(`Unknown margin "${values.margin}"`);
+        frontMatter.margin = values.margin;
+    }
+
+    return { ...values, input: positionals[0], extra: positionals.slice(1), frontMatter };
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`markdpdf: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.version) {
+        console.log(require('./package.json').version);
+        return 0;
+    }
+    if (!args.input || args.extra.length > 0) {
+        console.error(`markdpdf: expected one input file\n\n${USAGE}`);
+        return 2;
+    }
+
+    const fromStdin = args.input === '-';
+    const markdown = fs.readFileSync(fromStdin ? 0 : args.input, 'utf8');
+    const { data, filename } = await convertMarkdown(markdown, {
+        baseDir: fromStdin ? process.cwd() : path.dirname(path.resolve(args.input)),
+        frontMatter: args.frontMatter,
+        warn: message => console.error(`markdpdf: ${message}`)
+    });
+
+    const output = args.output ||
+        (fromStdin ? filename : path.join(path.dirname(args.input), `${path.basename(args.input, path.extname(args.input))}.pdf`));
+    fs.writeFileSync(output, Buffer.from(data));
+    console.log(`Wrote ${output}`);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(`markdpdf: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { convertMarkdown };
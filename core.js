@@ -0,0 +1,1440 @@
+// MarkdPDF - Conversion Core
+// Markdown parsing, sanitizing, page setup and PDF finishing, independent of the editor UI.
+// Used by the browser app (script.js) and by the command line tool (cli.js).
+
+// Deepest heading level listed in a generated table of contents
+const TOC_MAX_LEVEL = 3;
+
+// Table of contents marker: a line containing only [TOC] or [[TOC]]
+const TOC_MARKER = /^ {0,3}\[\[?TOC\]\]?[ \t]*$/m;
+
+// Reading speed used for the reading time in the document statistics
+const READING_WORDS_PER_MINUTE = 200;
+
+// Inline tokens whose text the reader sees, counted in the document statistics.
+// marked escapes their text for HTML, except the text of variables.
+const TEXT_TOKEN_TYPES = new Set(['text', 'codespan', 'escape', 'variable']);
+
+// Paper sizes offered by the Page Setup dialog and the "paper" front matter key
+const PAPER_FORMATS = ['a3', 'a4', 'a5', 'letter', 'legal'];
+
+// Portrait width and height of each paper size in mm, as jsPDF uses them
+const PAPER_SIZES = {
+    a3: [297, 420],
+    a4: [210, 297],
+    a5: [148, 210],
+    letter: [215.9, 279.4],
+    legal: [215.9, 355.6]
+};
+
+// Default page setup, overridden by the settings saved from the Page Setup dialog
+const DEFAULT_PAGE_SETUP = {
+    format: 'a4',
+    orientation: 'portrait',
+    margins: { top: 10, right: 10, bottom: 10, left: 10 },
+    header: '',
+    footer: ''
+};
+
+// Callout types and the style each one is shown in; other types are not callouts in "> [!TYPE]" quotes
+const ADMONITION_KINDS = {
+    note: 'note',
+    info: 'note',
+    tip: 'tip',
+    hint: 'tip',
+    success: 'tip',
+    important: 'important',
+    warning: 'warning',
+    caution: 'caution',
+    danger: 'caution',
+    error: 'caution'
+};
+
+// How HTML in the markdown is handled, picked in the HTML Settings dialog. The rendered HTML always goes
+// through DOMPurify, so scripts and event handlers are removed with every profile.
+// rawHtml: false shows HTML written in the markdown as text. config: extra DOMPurify options.
+const SANITIZE_PROFILES = {
+    strict: {
+        name: 'Strict',
+        rawHtml: false,
+        config: {}
+    },
+    default: {
+        name: 'Default',
+        rawHtml: true,
+        config: {}
+    },
+    trusted: {
+        name: 'Trusted HTML',
+        rawHtml: true,
+        // Embedded videos and maps, and links that open in a new tab
+        config: {
+            ADD_TAGS: ['iframe'],
+            ADD_ATTR: ['allow', 'allowfullscreen', 'frameborder', 'scrolling', 'loading', 'target']
+        }
+    }
+};
+
+// Sanitization used until the HTML Settings dialog is saved; the allow-lists add tags and attributes to the profile's
+const DEFAULT_SANITIZE_SETTINGS = {
+    profile: 'default',
+    allowedTags: [],
+    allowedAttributes: []
+};
+
+// TrueType fonts embedded by the vector PDF engine, the DejaVu fonts in fonts/. Without them the
+// standard PDF fonts are used, which only have the characters of Western European languages.
+const PDF_FONTS = {
+    sans: {
+        normal: 'fonts/sans-regular.ttf',
+        bold: 'fonts/sans-bold.ttf',
+        italic: 'fonts/sans-italic.ttf',
+        bolditalic: 'fonts/sans-bolditalic.ttf'
+    },
+    serif: {
+        normal: 'fonts/serif-regular.ttf',
+        bold: 'fonts/serif-bold.ttf',
+        italic: 'fonts/serif-italic.ttf',
+        bolditalic: 'fonts/serif-bolditalic.ttf'
+    },
+    mono: {
+        normal: 'fonts/mono-regular.ttf',
+        bold: 'fonts/mono-bold.ttf'
+    }
+};
+
+class MarkdownRenderer {
+    // Libraries default to the page globals loaded from the copies in vendor/; Node passes its own.
+    // katex: null renders math as TeX source. diagramLanguages: fences left for a diagram renderer.
+    // emoji: :shortcode: -> emoji map, see emoji.js. sanitize: see DEFAULT_SANITIZE_SETTINGS.
+    // templates: document templates, see templates.js.
+    constructor(options = {}) {
+        const library = name => (name in options ? options[name] : globalThis[name]);
+        this.marked = library('marked');
+        this.DOMPurify = library('DOMPurify');
+        this.jsyaml = library('jsyaml');
+        this.hljs = library('hljs');
+        this.katex = library('katex');
+        this.diagramLanguages = new Set(options.diagramLanguages || []);
+        this.emoji = options.emoji || {};
+        this.templates = options.templates || [];
+        this.variables = {};
+        this.setSanitizeSettings(options.sanitize);
+        this.equationLabels = new Map();
+        this.footnotes = this.createFootnoteState();
+        this.report = this.createReport();
+
+        // Configure marked.js for better markdown parsing
+        this.marked.setOptions({
+            breaks: true,
+            gfm: true, // GitHub Flavored Markdown
+            tables: true,
+            sanitize: false // We'll use DOMPurify for sanitization
+        });
+
+        // [TOC] marker, page breaks, math, extended syntax and highlighted code fences
+        this.marked.use({
+            extensions: [
+                this.createTocExtension(),
+                ...this.createPaginationExtensions(),
+                ...this.createMathExtensions(),
+                ...this.createFootnoteExtensions(),
+                ...this.createAdmonitionExtensions(),
+                this.createDefinitionListExtension(),
+                ...this.createInlineExtensions()
+            ],
+            renderer: {
+                code: (code, infostring) => this.renderCodeBlock(code, infostring),
+                // Task items are styled without a bullet
+                listitem: (text, task) => (task ? `<li class="task-list-item">${text}</li>\n` : false)
+            },
+            walkTokens: token => this.escapeRawHtml(token)
+        });
+    }
+
+    // Markdown to sanitized HTML; heading ids and the table of contents are added by finalize()
+    render(markdown) {
+        const { blocks, frontMatter, error } = this.renderBlocks(markdown);
+        const html = this.sanitizeHtml(blocks.map(block => this.addSourceLine(block.html, block.line)).join(''));
+        return { html, frontMatter, error };
+    }
+
+    // Markdown to unsanitized HTML blocks: { html, line } per top-level element, with its first 0-based
+    // line in the markdown (null for generated content) kept out of the HTML. The preview compares
+    // blocks to update only the ones that changed, see preview-worker.js.
+    // report: statistics, outline and problems of the document, see createReport().
+    renderBlocks(markdown) {
+        // Front matter is metadata, not content
+        const { data: frontMatter, body, error } = this.parseFrontMatter(markdown);
+        // toc: true adds a table of contents at the top, unless the body already places one
+        const tocMarker = frontMatter.toc && !TOC_MARKER.test(body) ? '[TOC]\n\n' : '';
+        const content = tocMarker + body;
+        this.equationLabels = this.collectEquationLabels(content);
+        this.footnotes = this.createFootnoteState();
+        this.variables = this.getVariables(markdown);
+        this.report = this.createReport();
+
+        // Line numbers count from the top of the document, front matter included
+        const bodyLine = this.countLines(markdown.slice(0, markdown.length - body.length));
+
+        const blocks = [
+            ...this.renderTemplatePages(frontMatter),
+            ...this.parseWithSourceLines(content, bodyLine, this.countLines(tocMarker))
+        ];
+        const footnotes = this.renderFootnotes();
+        if (footnotes) {
+            blocks.push({ html: footnotes, line: null });
+        }
+        const { stats } = this.report;
+        stats.readingMinutes = Math.ceil(stats.words / READING_WORDS_PER_MINUTE);
+        return { blocks, frontMatter, error, report: this.report };
+    }
+
+    // Sanitizes HTML to prevent XSS, with the current profile (see SANITIZE_PROFILES).
+    // fragment: return a DocumentFragment instead of a string.
+    sanitizeHtml(html, fragment = false) {
+        return this.DOMPurify.sanitize(html, { ...this.getSanitizeConfig(), RETURN_DOM_FRAGMENT: fragment });
+    }
+
+    // Unknown profiles fall back to the default one. The allow-lists can't bring back scripts or event handlers.
+    setSanitizeSettings(settings = {}) {
+        const merged = { ...DEFAULT_SANITIZE_SETTINGS, ...settings };
+        this.sanitize = {
+            profile: merged.profile in SANITIZE_PROFILES ? merged.profile : DEFAULT_SANITIZE_SETTINGS.profile,
+            allowedTags: merged.allowedTags.map(tag => tag.toLowerCase()).filter(tag => tag !== 'script'),
+            allowedAttributes: merged.allowedAttributes.map(attribute => attribute.toLowerCase())
+                .filter(attribute => !/^on/.test(attribute) && attribute !== 'srcdoc')
+        };
+    }
+
+    // With the strict profile, HTML written in the markdown is shown as text: HTML blocks become paragraphs
+    escapeRawHtml(token) {
+        if (token.type !== 'html' || SANITIZE_PROFILES[this.sanitize.profile].rawHtml) return;
+
+        const text = escapeHtml(token.text.trim());
+        if ('pre' in token) {
+            Object.assign(token, { type: 'paragraph', text, tokens: [{ type: 'text', raw: token.raw, text }] });
+        } else {
+            Object.assign(token, { type: 'text', text });
+        }
+    }
+
+    // DOMPurify options for the current profile and allow-lists
+    getSanitizeConfig() {
+        const { config } = SANITIZE_PROFILES[this.sanitize.profile];
+        return {
+            ...config,
+            ADD_TAGS: [...(config.ADD_TAGS || []), ...this.sanitize.allowedTags],
+            ADD_ATTR: [...(config.ADD_ATTR || []), ...this.sanitize.allowedAttributes]
+        };
+    }
+
+    // Renders token by token so each top-level element gets its source line, used to match the editor
+    // and the preview. The first generatedLines lines of content were added here and have no source line.
+    // Raw HTML that opens an element, like "<details>", keeps the blocks up to its end tag in its own block.
+    // A "<!-- keep-together -->" hint wraps the block after it in a div.keep-together.
+    parseWithSourceLines(content, bodyLine, generatedLines = 0) {
+        const tokens = this.lex(content);
+        const { walkTokens } = this.marked.defaults;
+
+        const blocks = [];
+        let line = bodyLine - generatedLines;
+        let openElements = 0;
+        let keepTogether = false;
+        tokens.forEach(token => {
+            const start = line >= bodyLine ? line : null;
+            line += this.countLines(token.raw);
+
+            // Token by token: marked collects the callback results of one walk in an array it copies per token.
+            // Generated content is left out of the report.
+            const inspect = start !== null ? this.createBlockInspector(token, start) : null;
+            this.marked.walkTokens([token], child => {
+                if (walkTokens) walkTokens.call(this.marked, child);
+                if (inspect) inspect(child);
+            });
+            if (token.type === 'space') return;
+            if (token.type === 'keepTogether') {
+                keepTogether = true;
+                return;
+            }
+
+            let html = this.marked.parser([token]);
+            if (keepTogether) {
+                html = `<div class="keep-together">${html}</div>\n`;
+                keepTogether = false;
+            }
+            if (openElements > 0) {
+                blocks[blocks.length - 1].html += this.addSourceLine(html, start);
+            } else {
+                blocks.push({ html, line: start });
+            }
+            if (token.type === 'html') {
+                openElements = Math.max(0, openElements + this.countOpenElements(token.text));
+            }
+        });
+        return blocks;
+    }
+
+    // Where a block extension's syntax starts in src, for marked to end the paragraph before it. Only the
+    // paragraph up to the next blank line is searched: the rest of the document can't cut it, and scanning
+    // it for every paragraph makes long documents parse in quadratic time.
+    static findBlockStart(src, pattern) {
+        const blankLine = src.search(/\n[ \t]*\n/);
+        const index = (blankLine < 0 ? src : src.slice(0, blankLine + 1)).search(pattern);
+        return index < 0 ? undefined : index;
+    }
+
+    // marked.lexer(), except that the inline text queued while lexing blocks is read by index:
+    // marked 4 shifts it off the front of the array, which is slow in long documents
+    lex(content) {
+        const lexer = new this.marked.Lexer();
+        lexer.blockTokens(content.replace(/\r\n|\r/g, '\n'), lexer.tokens);
+        for (let index = 0; index < lexer.inlineQueue.length; index++) {
+            const { src, tokens } = lexer.inlineQueue[index];
+            lexer.inlineTokens(src, tokens);
+        }
+        return lexer.tokens;
+    }
+
+    // Adds data-source-line to the first element of an HTML block
+    addSourceLine(html, line) {
+        return line === null ? html : html.replace(/^\s*<[a-z][a-z0-9-]*/i, `$& data-source-line="${line}"`);
+    }
+
+    // Elements raw HTML opens minus the ones it closes, e.g. 1 for "<details><summary>More</summary>"
+    countOpenElements(html) {
+        const voidElements = /^(area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)$/i;
+        let count = 0;
+        for (const [, closing, name, selfClosing] of html.matchAll(/<(\/?)([a-z][a-z0-9-]*)\b[^>]*?(\/?)>/gi)) {
+            if (closing) {
+                count--;
+            } else if (!selfClosing && !voidElements.test(name)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // What the side panel shows of a document, collected while it is parsed:
+    // outline: [{ level, text, line }] of the top-level headings.
+    // issues: [{ line, severity: 'error' or 'warning', rule, message, fix }] with fix null or
+    // { label, first, last, text }, the text that replaces lines first to last.
+    // Lines are 0-based, as in the preview blocks.
+    createReport() {
+        this.headingLines = new Map();
+        return {
+            stats: { words: 0, characters: 0, readingMinutes: 0, headings: 0, links: 0, images: 0, tables: 0, codeBlocks: 0 },
+            outline: [],
+            issues: []
+        };
+    }
+
+    addIssue(line, severity, rule, message, fix = null) {
+        this.report.issues.push({ line, severity, rule, message, fix });
+    }
+
+    // The marked.walkTokens() callback that adds the tokens of the top-level block starting at line to the report
+    createBlockInspector(block, line) {
+        const { stats } = this.report;
+        // Split only for the blocks that are checked line by line
+        let lines = null;
+        const getLines = () => lines || (lines = block.raw.split('\n'));
+        // Inline tokens are looked up in the block's markdown after the previous one found
+        let searchFrom = 0;
+        const locate = token => {
+            const index = block.raw.indexOf(token.raw, searchFrom);
+            if (index < 0) return { line, text: null };
+            searchFrom = index + 1;
+            const offset = this.countLines(block.raw.slice(0, index));
+            return { line: line + offset, text: getLines()[offset] };
+        };
+        // A fix that replaces raw in its line, when the token's markdown is on one line
+        const replaceIn = ({ line: at, text }, raw, replacement, label) => (
+            text !== null && text.includes(raw) ? { label, first: at, last: at, text: text.replace(raw, () => replacement) } : null
+        );
+
+        return token => {
+            if (!token.tokens && TEXT_TOKEN_TYPES.has(token.type)) {
+                const text = token.type === 'variable' ? token.text : decodeHtml(token.text);
+                stats.words += (text.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || []).length;
+                stats.characters += text.length;
+            }
+
+            if (token.type === 'heading' && token === block) {
+                this.inspectHeading(token, line, getLines()[0]);
+            } else if (token.type === 'table') {
+                stats.tables++;
+                if (token === block) this.inspectTableRows(getLines(), line);
+            } else if (token.type === 'paragraph' && token === block && token.raw.includes('|')) {
+                this.inspectTableLikeText(getLines(), line);
+            } else if (token.type === 'code') {
+                stats.codeBlocks++;
+                if (token === block) this.inspectCodeFence(getLines(), line);
+            } else if (token.type === 'link') {
+                stats.links++;
+                // Autolinks and bare URLs always have a target and text
+                if (!token.raw.startsWith('[')) return;
+                const href = token.href.trim();
+                if (!href || href === '#') {
+                    const at = locate(token);
+                    this.addIssue(at.line, 'error', 'empty-link', `Link "${this.inlineText(token.tokens)}" has no target`,
+                        replaceIn(at, token.raw, token.text, 'Remove link'));
+                } else if (token.raw.startsWith('[]')) {
+                    const at = locate(token);
+                    this.addIssue(at.line, 'warning', 'empty-link', 'Link has no text',
+                        replaceIn(at, token.raw, `[${href}]${token.raw.slice(2)}`, 'Use the URL as text'));
+                }
+            } else if (token.type === 'image') {
+                stats.images++;
+                if (token.text.trim()) return;
+                const at = locate(token);
+                // The file name without its extension, e.g. "sales-chart.png" -> "sales chart"
+                const name = /^data:/i.test(token.href) ? '' : token.href.split(/[?#]/)[0].split('/').pop()
+                    .replace(/\.[^.]*$/, '').replace(/[-_\s[\]]+/g, ' ').trim();
+                this.addIssue(at.line, 'warning', 'image-alt', 'Image has no alt text, so a PDF shows "[Image: Image]" when it can\'t load it',
+                    name ? replaceIn(at, token.raw, token.raw.replace(/^!\[[^\]]*\]/, `![${name}]`), `Use "${name}"`) : null);
+            }
+        };
+    }
+
+    // Adds a top-level heading to the outline; warns about skipped levels and headings used twice
+    inspectHeading(token, line, source) {
+        const { stats, outline } = this.report;
+        const text = this.inlineText(token.tokens).trim();
+        const previous = outline[outline.length - 1];
+        stats.headings++;
+
+        if (!text) {
+            this.addIssue(line, 'warning', 'empty-heading', 'Heading has no text');
+        }
+        if (previous && token.depth > previous.level + 1) {
+            const level = previous.level + 1;
+            // Only "#" headings can be changed in place; underlined ones are H1 or H2
+            const fix = /^ {0,3}#/.test(source)
+                ? { label: `Change to H${level}`, first: line, last: line, text: source.replace(/#+/, '#'.repeat(level)) }
+                : null;
+            this.addIssue(line, 'warning', 'heading-level', `Heading level skips from H${previous.level} to H${token.depth}`, fix);
+        }
+        const key = text.toLowerCase();
+        if (text && this.headingLines.has(key)) {
+            this.addIssue(line, 'warning', 'duplicate-heading', `Heading "${text}" is also on line ${this.headingLines.get(key) + 1}`);
+        } else if (text) {
+            this.headingLines.set(key, line);
+        }
+        outline.push({ level: token.depth, text, line });
+    }
+
+    // Rows with fewer cells than the header are filled up with empty cells; marked leaves extra ones out
+    inspectTableRows(lines, line) {
+        const columns = countTableCells(lines[0]);
+        lines.slice(2).forEach((row, index) => {
+            if (!row.trim()) return;
+            const cells = countTableCells(row);
+            const at = line + index + 2;
+            if (cells < columns) {
+                const text = /(?<!\\)\|\s*$/.test(row) ? row.trimEnd() : `${row.trimEnd()} |`;
+                this.addIssue(at, 'warning', 'table-columns', `Table row has ${cells} of ${columns} cells`,
+                    { label: 'Add empty cells', first: at, last: at, text: text + '   |'.repeat(columns - cells) });
+            } else if (cells > columns) {
+                this.addIssue(at, 'error', 'table-columns',
+                    `Table row has ${cells} cells but the table has ${columns} columns, so the extra cells are not shown`);
+            }
+        });
+    }
+
+    // A header row and a delimiter row with different numbers of cells make a paragraph instead of a table
+    inspectTableLikeText(lines, line) {
+        const delimiter = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+        for (let index = 0; index < lines.length - 1; index++) {
+            const header = lines[index];
+            if (!header.includes('|') || !lines[index + 1].includes('|') || !delimiter.test(lines[index + 1])) continue;
+
+            const columns = countTableCells(header);
+            const cells = countTableCells(lines[index + 1]);
+            if (columns !== cells) {
+                const at = line + index + 1;
+                this.addIssue(at, 'error', 'table-columns',
+                    `Table header has ${columns} cells but its delimiter row has ${cells}, so the table is shown as text`,
+                    { label: 'Fix delimiter row', first: at, last: at, text: `|${' --- |'.repeat(columns)}` });
+            }
+        }
+    }
+
+    // A code fence without its closing fence turns the rest of the document into code
+    inspectCodeFence(lines, line) {
+        const open = /^ {0,3}(`{3,}|~{3,})/.exec(lines[0]);
+        if (!open) return;
+
+        const body = lines.slice();
+        while (body.length > 1 && !body[body.length - 1].trim()) body.pop();
+        const closing = new RegExp(`^ {0,3}${open[1][0]}{${open[1].length},}\\s*$`);
+        if (body.length > 1 && closing.test(body[body.length - 1])) return;
+
+        const last = line + body.length - 1;
+        this.addIssue(line, 'error', 'unclosed-fence', 'Code block is never closed, so the rest of the document is shown as code',
+            { label: 'Close code block', first: last, last, text: `${body[body.length - 1]}\n${open[1]}` });
+    }
+
+    // Plain text of inline tokens, as a heading or link shows it
+    inlineText(tokens = []) {
+        return tokens.map(token => {
+            if (token.tokens) return this.inlineText(token.tokens);
+            if (token.type === 'variable') return token.text;
+            return TEXT_TOKEN_TYPES.has(token.type) ? decodeHtml(token.text) : '';
+        }).join('');
+    }
+
+    // Runs on the container the rendered HTML was inserted into
+    finalize(container) {
+        this.assignHeadingIds(container);
+        this.buildTableOfContents(container);
+    }
+
+    // Puts the theme's logo above the content, replacing the one shown for an earlier theme. The logo is part of
+    // the content so that both PDF engines pick it up; it goes on the cover page if there is one.
+    placeThemeLogo(container, theme) {
+        const parent = container.querySelector(':scope > .cover-page') || container;
+        const currentLogo = container.querySelector(':scope > .theme-logo, :scope > .cover-page > .theme-logo');
+        const src = theme && theme.logo;
+        if (currentLogo && src && currentLogo.parentNode === parent && currentLogo.firstChild.getAttribute('src') === src) return;
+
+        if (currentLogo) currentLogo.remove();
+        if (src) {
+            const document = container.ownerDocument;
+            const logo = document.createElement('div');
+            logo.className = 'theme-logo';
+            const img = document.createElement('img');
+            img.src = src;
+            img.alt = `${theme.name} logo`;
+            img.setAttribute('width', '48');
+            logo.appendChild(img);
+            parent.prepend(logo);
+        }
+    }
+
+    countLines(text) {
+        return (text.match(/\n/g) || []).length;
+    }
+
+    // YAML front matter between "---" fences at the very start of the document
+    parseFrontMatter(markdown) {
+        const match = markdown.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) {
+            return { data: {}, body: markdown };
+        }
+
+        const body = markdown.slice(match[0].length);
+        try {
+            const data = this.jsyaml.load(match[1]);
+            if (data && typeof data === 'object' && !Array.isArray(data)) {
+                return { data, body };
+            }
+            // Not a mapping, so this was a thematic break rather than front matter
+            return { data: {}, body: markdown };
+        } catch (error) {
+            return { data: {}, body, error };
+        }
+    }
+
+    // Margins in mm from CSS shorthand: "15", "20 15", "20 15 10" or "20 15 10 15"; null if it isn't one
+    static parseMargin(margin) {
+        const values = String(margin).trim().split(/\s+/).map(parseFloat);
+        if (values.length > 4 || !values.every(value => !isNaN(value))) return null;
+
+        const [top, right = top, bottom = top, left = right] = values;
+        return { top, right, bottom, left };
+    }
+
+    // Page setup with the document's front matter overrides applied
+    getPageSetup(frontMatter, pageSetup = DEFAULT_PAGE_SETUP) {
+        const setup = { ...pageSetup, margins: { ...pageSetup.margins } };
+
+        const format = String(frontMatter.paper || frontMatter.papersize || frontMatter.format || '').toLowerCase();
+        if (PAPER_FORMATS.includes(format)) {
+            setup.format = format;
+        }
+
+        const orientation = String(frontMatter.orientation || '').toLowerCase();
+        if (['portrait', 'landscape'].includes(orientation)) {
+            setup.orientation = orientation;
+        }
+
+        // margin: 15 | "20 15" | "20 15 20 15" | { top, right, bottom, left }
+        const margin = frontMatter.margin !== undefined ? frontMatter.margin : frontMatter.margins;
+        if (margin && typeof margin === 'object') {
+            ['top', 'right', 'bottom', 'left'].forEach(side => {
+                const value = parseFloat(margin[side]);
+                if (!isNaN(value)) setup.margins[side] = value;
+            });
+        } else if (margin !== undefined) {
+            setup.margins = MarkdownRenderer.parseMargin(margin) || setup.margins;
+        }
+
+        if (typeof frontMatter.header === 'string') setup.header = frontMatter.header;
+        if (typeof frontMatter.footer === 'string') setup.footer = frontMatter.footer;
+
+        return setup;
+    }
+
+    getDocumentTitle(markdown) {
+        const { data: frontMatter, body } = this.parseFrontMatter(markdown);
+        if (frontMatter.title) {
+            return String(frontMatter.title).trim();
+        }
+
+        const match = body.match(/^#\s+(.+)$/m);
+        return match ? match[1].trim() : null;
+    }
+
+    generateFilename(markdown) {
+        const frontMatter = this.parseFrontMatter(markdown).data;
+        if (frontMatter.filename) {
+            const filename = String(frontMatter.filename).replace(/[\\/:*?"<>|]/g, '-');
+            return /\.pdf$/i.test(filename) ? filename : `${filename}.pdf`;
+        }
+
+        const date = frontMatter.date ? this.formatFrontMatterDate(frontMatter.date) : new Date().toISOString();
+        const timestamp = date.split('T')[0].replace(/[^a-zA-Z0-9-]/g, '-');
+        const title = this.getDocumentTitle(markdown);
+        const slug = title ? title.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase() : 'markdown-document';
+        return `${slug}-${timestamp}.pdf`;
+    }
+
+    formatFrontMatterDate(value) {
+        if (value instanceof Date && !isNaN(value)) {
+            return value.toISOString().split('T')[0];
+        }
+        return String(value);
+    }
+
+    // Templates and {{variables}}, see templates.js
+    getTemplate(frontMatter) {
+        return this.templates.find(template => template.id === frontMatter.template) || null;
+    }
+
+    // Values of the document's {{variables}}: the front matter, then the template's defaults. The title
+    // falls back to the first heading and the date to today.
+    getVariables(markdown) {
+        const { data: frontMatter } = this.parseFrontMatter(markdown);
+        const template = this.getTemplate(frontMatter);
+        const defaults = {};
+        (template && template.variables || []).forEach(variable => {
+            if (variable.value !== undefined) defaults[variable.name] = variable.value;
+        });
+        return {
+            title: this.getDocumentTitle(markdown) || '',
+            date: new Date().toISOString().split('T')[0],
+            ...defaults,
+            ...frontMatter
+        };
+    }
+
+    hasCoverPage(markdown) {
+        const template = this.getTemplate(this.parseFrontMatter(markdown).data);
+        return Boolean(template && template.cover);
+    }
+
+    // A variable's value by name, with dots for fields of mappings ("client.name"); undefined if missing
+    lookupVariable(variables, name) {
+        return name.split('.').reduce((value, key) => (
+            value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+        ), variables);
+    }
+
+    // Front matter values as text: dates as YYYY-MM-DD, lists joined with commas, mappings as nothing
+    formatVariable(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return this.formatFrontMatterDate(value);
+        if (Array.isArray(value)) return value.map(item => this.formatVariable(item)).filter(Boolean).join(', ');
+        if (typeof value === 'object') return '';
+        return String(value);
+    }
+
+    // Fills the {{variables}} of a cover or front page, line by line; escape makes a value safe where it goes.
+    // A line whose variables are all empty is left out, and a line using {{list.field}} is repeated for each
+    // item of the list. With keepText, lines with text besides their variables (and table pipes) are kept.
+    fillTemplateLines(text, variables, escape, { keepText = false } = {}) {
+        const pattern = /\{\{\s*([\w.-]+)\s*\}\}/g;
+        return text.split('\n').flatMap(line => {
+            const names = Array.from(line.matchAll(pattern), match => match[1]);
+            if (names.length === 0) return [line];
+            const optional = !keepText || !line.replace(pattern, '').replace(/[\s|]/g, '');
+
+            const list = names.map(name => name.split('.')[0])
+                .find(key => Array.isArray(variables[key]) && variables[key].some(item => item !== null && typeof item === 'object'));
+            const scopes = list ? variables[list].map(item => ({ ...variables, [list]: item })) : [variables];
+
+            return scopes.flatMap(scope => {
+                const value = name => this.formatVariable(this.lookupVariable(scope, name));
+                if (optional && names.every(name => !value(name))) return [];
+                return [line.replace(pattern, (match, name) => escape(value(name)))];
+            });
+        }).join('\n');
+    }
+
+    // The template's cover page and front pages, each on a page of its own, as blocks without a source
+    // line. "front-pages" in the front matter picks the pages by id.
+    renderTemplatePages(frontMatter) {
+        const template = this.getTemplate(frontMatter);
+        if (!template) return [];
+
+        const pageBreak = { html: '<div class="page-break"></div>\n', line: null };
+        const blocks = [];
+        if (template.cover) {
+            const cover = this.fillTemplateLines(template.cover.trim(), this.variables, escapeHtml);
+            blocks.push({ html: `<section class="cover-page">\n${cover}\n</section>\n`, line: null }, pageBreak);
+        }
+
+        const selected = frontMatter['front-pages'];
+        (template.pages || [])
+            .filter(page => !Array.isArray(selected) || selected.includes(page.id))
+            .forEach(page => {
+                // Any ASCII punctuation can be backslash-escaped, so values stay text
+                const markdown = this.fillTemplateLines(page.content.trim(), this.variables, value => value.replace(/[!-/:-@[-`{-~]/g, '\\$&'), { keepText: true });
+                const html = this.marked.parser(this.lex(markdown));
+                blocks.push({ html: `<section class="front-page" data-page="${escapeHtml(page.id)}">\n${html}</section>\n`, line: null }, pageBreak);
+            });
+        return blocks;
+    }
+
+    // Outline, running headers/footers and metadata for a rendered jsPDF document. encodeText returns
+    // header and footer text with what the current font can't show replaced, see vector-pdf.js.
+    finishPdf(pdf, { markdown, headings, setup, encodeText = text => text }) {
+        this.addPdfOutline(pdf, headings);
+        this.addHeadersAndFooters(pdf, setup, markdown, encodeText);
+        this.applyDocumentProperties(pdf, markdown);
+    }
+
+    // Bookmark tree mirroring the H1–H6 hierarchy
+    addPdfOutline(pdf, headings) {
+        if (headings.length === 0) return;
+
+        const stack = [{ level: 0, node: null }];
+        headings.forEach(heading => {
+            while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
+            }
+            const node = pdf.outline.add(stack[stack.length - 1].node, heading.text, { pageNumber: heading.page });
+            stack.push({ level: heading.level, node });
+        });
+
+        // Open the bookmarks sidebar by default
+        pdf.setDisplayMode(null, null, 'UseOutlines');
+    }
+
+    // Running header and footer drawn into the page margins of a finished PDF
+    addHeadersAndFooters(pdf, setup, markdown, encodeText) {
+        const { margins } = setup;
+        if (!setup.header.trim() && !setup.footer.trim()) return;
+
+        // The embedded sans font when the text engine has used it, which has more characters than Helvetica
+        const embedded = pdf.getFontList()['MarkdPDF-sans'];
+        pdf.setFont(embedded && embedded.includes('normal') ? 'MarkdPDF-sans' : 'helvetica', 'normal');
+        pdf.setFontSize(9);
+        pdf.setTextColor('#888888');
+
+        const pages = pdf.internal.getNumberOfPages();
+        const toUnit = mm => mm * 72 / 25.4 / pdf.internal.scaleFactor;
+        const header = encodeText(setup.header);
+        const footer = encodeText(setup.footer);
+        const values = {};
+        Object.entries(this.getMarginTextValues(markdown, pages)).forEach(([name, value]) => {
+            values[name] = encodeText(value);
+        });
+
+        // The cover page counts but shows no header or footer
+        for (let page = this.hasCoverPage(markdown) ? 2 : 1; page <= pages; page++) {
+            pdf.setPage(page);
+            const width = pdf.internal.pageSize.getWidth();
+            const height = pdf.internal.pageSize.getHeight();
+            const pageValues = { ...values, page: String(page) };
+
+            this.drawMarginText(pdf, header, pageValues, toUnit(margins.left), width - toUnit(margins.right), toUnit(margins.top / 2) + toUnit(1.5));
+            this.drawMarginText(pdf, footer, pageValues, toUnit(margins.left), width - toUnit(margins.right), height - toUnit(margins.bottom / 2) + toUnit(1.5));
+        }
+        pdf.setPage(pages);
+    }
+
+    // Values of the header and footer {placeholders}, except the {page} number. The document's
+    // variables (see getVariables) can be used too, like {version}; {date} is the same as {{date}}.
+    getMarginTextValues(markdown, pages) {
+        const frontMatter = this.parseFrontMatter(markdown).data;
+        const variables = {};
+        Object.entries(this.getVariables(markdown)).forEach(([name, value]) => {
+            variables[name] = this.formatVariable(value);
+        });
+        return {
+            ...variables,
+            title: this.getDocumentTitle(markdown) || '',
+            author: frontMatter.author ? [].concat(frontMatter.author).join(', ') : '',
+            pages: String(pages)
+        };
+    }
+
+    drawMarginText(pdf, template, values, left, right, baseline) {
+        if (!template.trim()) return;
+
+        const slots = this.getMarginTextSlots(template, values);
+        if (slots[0]) pdf.text(slots[0], left, baseline);
+        if (slots[1]) pdf.text(slots[1], (left + right) / 2, baseline, { align: 'center' });
+        if (slots[2]) pdf.text(slots[2], right, baseline, { align: 'right' });
+    }
+
+    // Left, center and right text of a "left|center|right" template; a template without "|" is centered
+    getMarginTextSlots(template, values) {
+        const parts = template.split('|').map(part => this.fillTemplate(part, values).trim());
+        return parts.length === 1 ? ['', parts[0], ''] : [parts[0], parts[1] || '', parts[2] || ''];
+    }
+
+    fillTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+
+    // Title, Author, Subject and Keywords of the PDF document
+    applyDocumentProperties(pdf, markdown) {
+        const frontMatter = this.parseFrontMatter(markdown).data;
+        const keywords = frontMatter.keywords || frontMatter.tags;
+
+        pdf.setProperties({
+            title: this.getDocumentTitle(markdown) || '',
+            author: frontMatter.author ? [].concat(frontMatter.author).join(', ') : '',
+            subject: String(frontMatter.subject || frontMatter.description || ''),
+            keywords: keywords ? [].concat(keywords).join(', ') : '',
+            creator: 'MarkdPDF'
+        });
+    }
+
+    // Fenced code: ```lang {1,3-5} title="file.js" showLineNumbers
+    renderCodeBlock(code, infostring) {
+        const { lang, title, lineNumbers, highlightLines } = this.parseFenceInfo(infostring);
+        if (lang === 'math') {
+            return this.renderMath(code, true);
+        }
+        if (this.diagramLanguages.has(lang)) {
+            // Rendered to SVG after the preview is updated
+            return `<div class="diagram" data-diagram="${lang}"><pre class="diagram-source">${escapeHtml(code)}</pre></div>\n`;
+        }
+
+        const highlighted = this.highlightCode(code.replace(/\n$/, ''), lang);
+        const languageClass = lang ? ` language-${escapeHtml(lang)}` : '';
+
+        let body = highlighted;
+        if (lineNumbers || highlightLines.size > 0) {
+            const lines = this.splitHighlightedLines(highlighted);
+            const digits = String(lines.length).length;
+
+            body = lines.map((line, index) => {
+                const number = index + 1;
+                const classes = highlightLines.has(number) ? 'code-line is-highlighted' : 'code-line';
+                const gutter = lineNumbers ? `<span class="line-number">${String(number).padStart(digits)}  </span>` : '';
+                return `<span class="${classes}">${gutter}${line}</span>`;
+            }).join('\n');
+        }
+
+        const pre = `<pre><code class="hljs${languageClass}">${body}</code></pre>`;
+        if (!title) {
+            return `${pre}\n`;
+        }
+        return `<figure class="code-block"><figcaption class="code-title">${escapeHtml(title)}</figcaption>${pre}</figure>\n`;
+    }
+
+    parseFenceInfo(infostring = '') {
+        const info = infostring.trim();
+        const lang = (info.match(/^[^\s{]+/) || [''])[0].toLowerCase();
+        const title = info.match(/(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+        const ranges = info.match(/\{([\d\s,-]+)\}/);
+
+        const highlightLines = new Set();
+        if (ranges) {
+            ranges[1].split(',').forEach(range => {
+                const [from, to = from] = range.split('-').map(value => parseInt(value, 10));
+                for (let line = from; line <= to && line - from < 10000; line++) {
+                    if (!isNaN(line)) highlightLines.add(line);
+                }
+            });
+        }
+
+        return {
+            lang,
+            title: title ? title[1] || title[2] || title[3] : null,
+            lineNumbers: /(?:^|\s)(?:showLineNumbers|linenos)(?:\s|$)/.test(info),
+            highlightLines
+        };
+    }
+
+    highlightCode(code, lang) {
+        if (lang && this.hljs && this.hljs.getLanguage(lang)) {
+            return this.hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+        }
+        return escapeHtml(code);
+    }
+
+    // Splits highlighted HTML into lines, closing and reopening spans that cross line breaks
+    splitHighlightedLines(html) {
+        const lines = [];
+        const open = [];
+        let current = '';
+
+        html.split(/(<[^>]+>|\n)/).forEach(part => {
+            if (!part) return;
+
+            if (part === '\n') {
+                lines.push(current + '</span>'.repeat(open.length));
+                current = open.join('');
+            } else if (part.startsWith('</')) {
+                open.pop();
+                current += part;
+            } else if (part.startsWith('<')) {
+                open.push(part);
+                current += part;
+            } else {
+                current += part;
+            }
+        });
+
+        lines.push(current);
+        return lines;
+    }
+
+    // Math: $inline$, \\(inline\\), $$display$$ and ```math fences, rendered with KaTeX
+    createMathExtensions() {
+        const core = this;
+        return [
+            {
+                name: 'mathBlock',
+                level: 'block',
+                start(src) {
+                    return MarkdownRenderer.findBlockStart(src, /^ {0,3}\$\$/m);
+                },
+                tokenizer(src) {
+                    const match = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+                    if (match) {
+                        return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+                    }
+                },
+                renderer(token) {
+                    return core.renderMath(token.text, true);
+                }
+            },
+            {
+                name: 'mathInline',
+                level: 'inline',
+                start(src) {
+                    const index = src.search(/\$|\\\(/);
+                    return index < 0 ? undefined : index;
+                },
+                tokenizer(src) {
+                    // No space inside the delimiters and no digit after, so "$5 and $10" stays text
+                    const match = /^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<![\s\\])\$(?!\d)/.exec(src) ||
+                        /^\\\(([\s\S]+?)\\\)/.exec(src);
+                    if (match) {
+                        return { type: 'mathInline', raw: match[0], text: match[1] };
+                    }
+                },
+                renderer(token) {
+                    return core.renderMath(token.text, false);
+                }
+            },
+            {
+                name: 'equationRef',
+                level: 'inline',
+                start(src) {
+                    const index = src.search(/\\(?:eq)?ref\{/);
+                    return index < 0 ? undefined : index;
+                },
+                tokenizer(src) {
+                    const match = /^\\(eq)?ref\{([^}\n]+)\}/.exec(src);
+                    if (match) {
+                        return { type: 'equationRef', raw: match[0], label: match[2].trim(), parenthesized: Boolean(match[1]) };
+                    }
+                },
+                renderer(token) {
+                    const number = core.equationLabels.get(token.label);
+                    const text = number ? String(number) : '??';
+                    const label = token.parenthesized ? `(${text})` : text;
+                    if (!number) {
+                        return `<span class="equation-ref equation-ref-missing">${label}</span>`;
+                    }
+                    return `<a class="equation-ref" href="#${core.equationId(token.label)}">${label}</a>`;
+                }
+            }
+        ];
+    }
+
+    // Definitions by label, labels in reference order and the number of references to each
+    createFootnoteState() {
+        return { definitions: new Map(), order: [], references: new Map() };
+    }
+
+    // Footnotes: [^label] references and "[^label]: text" definitions, indented lines continuing them.
+    // Numbered in the order they are first referred to and listed after the document by renderFootnotes().
+    createFootnoteExtensions() {
+        const core = this;
+        return [
+            {
+                name: 'footnoteDefinition',
+                level: 'block',
+                start(src) {
+                    return MarkdownRenderer.findBlockStart(src, /^ {0,3}\[\^[^\]\s]+\]:/m);
+                },
+                tokenizer(src) {
+                    const match = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]*\n)*(?: {4}|\t)[^\n]*)*)(?:\n+|$)/.exec(src);
+                    if (match) {
+                        const text = match[2].split('\n').map(line => line.replace(/^(?: {4}|\t)/, '')).join('\n');
+                        const token = { type: 'footnoteDefinition', raw: match[0], label: match[1], tokens: this.lexer.blockTokens(text, []) };
+                        // The first definition of a label wins
+                        if (!core.footnotes.definitions.has(token.label)) {
+                            core.footnotes.definitions.set(token.label, token);
+                        }
+                        return token;
+                    }
+                },
+                renderer() {
+                    return '';
+                }
+            },
+            {
+                name: 'footnoteRef',
+                level: 'inline',
+                start(src) {
+                    const index = src.indexOf('[^');
+                    return index < 0 ? undefined : index;
+                },
+                tokenizer(src) {
+                    // Inline text is lexed after every block, so all definitions are known here
+                    const match = /^\[\^([^\]\s]+)\](?!:)/.exec(src);
+                    if (match && core.footnotes.definitions.has(match[1])) {
+                        return { type: 'footnoteRef', raw: match[0], label: match[1] };
+                    }
+                },
+                renderer(token) {
+                    const { order, references } = core.footnotes;
+                    if (!order.includes(token.label)) order.push(token.label);
+                    const count = (references.get(token.label) || 0) + 1;
+                    references.set(token.label, count);
+
+                    const id = core.footnoteId(token.label);
+                    const refId = count === 1 ? `fnref-${id}` : `fnref-${id}-${count}`;
+                    return `<sup class="footnote-ref"><a href="#fn-${id}" id="${refId}">${order.indexOf(token.label) + 1}</a></sup>`;
+                }
+            }
+        ];
+    }
+
+    footnoteId(label) {
+        return label.replace(/[^\w-]+/g, '-');
+    }
+
+    // The referenced footnotes as an ordered list for the end of the document
+    renderFootnotes() {
+        const { definitions, order } = this.footnotes;
+        if (order.length === 0) return '';
+
+        const items = [];
+        // Footnotes can refer to further footnotes, which are added to the order as they are rendered
+        for (let index = 0; index < order.length; index++) {
+            const id = this.footnoteId(order[index]);
+            const content = this.marked.parser(definitions.get(order[index]).tokens);
+            const backref = ` <a href="#fnref-${id}" class="footnote-backref" aria-label="Back to reference ${index + 1}">↩</a>`;
+            // The link back goes at the end of the last paragraph
+            const html = /<\/p>\s*$/.test(content) ? content.replace(/<\/p>\s*$/, `${backref}</p>`) : content + backref;
+            items.push(`<li id="fn-${id}">${html}</li>`);
+        }
+        return `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+    }
+
+    // Callouts: GitHub's "> [!NOTE]" alerts and ":::warning Title" ... ":::" containers
+    createAdmonitionExtensions() {
+        const core = this;
+        const createToken = (name, lexer, raw, type, title, body) => ({
+            type: name,
+            raw,
+            kind: ADMONITION_KINDS[type.toLowerCase()] || 'note',
+            title: title.trim() || type.charAt(0).toUpperCase() + type.slice(1).toLowerCase(),
+            tokens: lexer.blockTokens(body, [])
+        });
+
+        return [
+            {
+                name: 'alert',
+                level: 'block',
+                start(src) {
+                    return MarkdownRenderer.findBlockStart(src, /^ {0,3}>[ \t]*\[!\w+\]/m);
+                },
+                tokenizer(src) {
+                    // Every line of the alert is quoted; a quote with an unknown [!TYPE] stays a quote
+                    const match = /^ {0,3}>[ \t]*\[!(\w+)\][ \t]*([^\n]*)((?:\n {0,3}>[^\n]*)*)(?:\n+|$)/.exec(src);
+                    if (match && ADMONITION_KINDS[match[1].toLowerCase()]) {
+                        const body = match[3].split('\n').slice(1).map(line => line.replace(/^ {0,3}>[ \t]?/, '')).join('\n');
+                        return createToken('alert', this.lexer, match[0], match[1], match[2], body);
+                    }
+                },
+                renderer(token) {
+                    return core.renderAdmonition(token, this.parser);
+                }
+            },
+            {
+                name: 'container',
+                level: 'block',
+                start(src) {
+                    return MarkdownRenderer.findBlockStart(src, /^ {0,3}:::[ \t]*\w/m);
+                },
+                tokenizer(src) {
+                    const match = /^ {0,3}:::[ \t]*(\w+)[ \t]*([^\n]*)\n((?:(?! {0,3}:::[ \t]*(?:\n|$))[^\n]*\n)*?) {0,3}:::[ \t]*(?:\n+|$)/.exec(src);
+                    if (match) {
+                        return createToken('container', this.lexer, match[0], match[1], match[2], match[3]);
+                    }
+                },
+                renderer(token) {
+                    return core.renderAdmonition(token, this.parser);
+                }
+            }
+        ];
+    }
+
+    renderAdmonition(token, parser) {
+        const title = `<p class="admonition-title">${escapeHtml(token.title)}</p>`;
+        return `<div class="admonition admonition-${token.kind}">${title}\n${parser.parse(token.tokens)}</div>\n`;
+    }
+
+    // Definition lists: a term line followed by one or more ": definition" lines.
+    // Indented lines continue a definition; a blank line before them makes it several paragraphs.
+    createDefinitionListExtension() {
+        const definitionRE = /^ {0,3}:[ \t]+/;
+        const continuationRE = /^(?: {2,}|\t)\S/;
+        return {
+            name: 'definitionList',
+            level: 'block',
+            start(src) {
+                return MarkdownRenderer.findBlockStart(src, /^(?! {0,3}:)[^\n]*\S[^\n]*\n {0,3}:[ \t]/m);
+            },
+            tokenizer(src) {
+                if (!/^[^\n]*\S[^\n]*\n {0,3}:[ \t]/.test(src)) return undefined;
+
+                const lines = src.split('\n');
+                const items = [];
+                let line = 0;
+                let end = 0;
+
+                while (line + 1 < lines.length && lines[line].trim() && !definitionRE.test(lines[line]) && definitionRE.test(lines[line + 1])) {
+                    const term = this.lexer.inline(lines[line].trim(), []);
+                    const definitions = [];
+                    line++;
+
+                    while (line < lines.length && definitionRE.test(lines[line])) {
+                        const text = [lines[line].replace(definitionRE, '')];
+                        line++;
+                        for (;;) {
+                            let next = line;
+                            while (next < lines.length && !lines[next].trim()) next++;
+                            if (next >= lines.length || !continuationRE.test(lines[next])) break;
+                            text.push(...lines.slice(line, next), lines[next].replace(/^(?: {1,4}|\t)/, ''));
+                            line = next + 1;
+                        }
+
+                        const body = text.join('\n');
+                        definitions.push(/\n[ \t]*\n/.test(body)
+                            ? { block: true, tokens: this.lexer.blockTokens(body, []) }
+                            : { block: false, tokens: this.lexer.inline(body, []) });
+                    }
+
+                    items.push({ term, definitions });
+                    end = line;
+                    // Blank lines may separate the terms of one list
+                    while (line < lines.length && !lines[line].trim()) line++;
+                }
+
+                if (items.length === 0) return undefined;
+                const consumed = lines.slice(0, end).join('\n');
+                const raw = consumed + src.slice(consumed.length).match(/^\n*/)[0];
+                return { type: 'definitionList', raw, items };
+            },
+            renderer(token) {
+                const items = token.items.map(({ term, definitions }) => {
+                    const dds = definitions.map(definition =>
+                        `<dd>${definition.block ? this.parser.parse(definition.tokens) : this.parser.parseInline(definition.tokens)}</dd>`);
+                    return `<dt>${this.parser.parseInline(term)}</dt>\n${dds.join('\n')}`;
+                });
+                return `<dl>\n${items.join('\n')}\n</dl>\n`;
+            }
+        };
+    }
+
+    // ==highlight==, ~subscript~, ^superscript^ and :emoji: shortcodes
+    createInlineExtensions() {
+        const core = this;
+        const delimited = (name, delimiter, pattern, tag) => ({
+            name,
+            level: 'inline',
+            start(src) {
+                const index = src.indexOf(delimiter);
+                return index < 0 ? undefined : index;
+            },
+            tokenizer(src) {
+                const match = pattern.exec(src);
+                if (match) {
+                    return { type: name, raw: match[0], text: match[1], tokens: this.lexer.inlineTokens(match[1]) };
+                }
+            },
+            renderer(token) {
+                return `<${tag}>${this.parser.parseInline(token.tokens)}</${tag}>`;
+            }
+        });
+
+        return [
+            delimited('highlight', '==', /^==(?=[^\s=])([\s\S]*?[^\s=])==(?!=)/, 'mark'),
+            // No spaces inside, and a single ~ only, so ~~strikethrough~~ is left alone
+            delimited('subscript', '~', /^~(?!~)((?:\\.|[^\s~\\])+)~(?!~)/, 'sub'),
+            delimited('superscript', '^', /^\^((?:\\.|[^\s^\\])+)\^/, 'sup'),
+            {
+                // {{name}} is replaced by the document's variable; unknown names are left as typed
+                name: 'variable',
+                level: 'inline',
+                start(src) {
+                    const index = src.indexOf('{{');
+                    return index < 0 ? undefined : index;
+                },
+                tokenizer(src) {
+                    const match = /^\{\{\s*([\w.-]+)\s*\}\}/.exec(src);
+                    if (match && core.lookupVariable(core.variables, match[1]) !== undefined) {
+                        return { type: 'variable', raw: match[0], text: core.formatVariable(core.lookupVariable(core.variables, match[1])) };
+                    }
+                },
+                renderer(token) {
+                    return escapeHtml(token.text);
+                }
+            },
+            {
+                name: 'emoji',
+                level: 'inline',
+                start(src) {
+                    const index = src.search(/:[a-z0-9_+-]+:/);
+                    return index < 0 ? undefined : index;
+                },
+                tokenizer(src) {
+                    const match = /^:([a-z0-9_+-]+):/.exec(src);
+                    if (match && Object.prototype.hasOwnProperty.call(core.emoji, match[1])) {
+                        return { type: 'emoji', raw: match[0], name: match[1] };
+                    }
+                },
+                renderer(token) {
+                    return `<span class="emoji" title=":${token.name}:">${core.emoji[token.name]}</span>`;
+                }
+            }
+        ];
+    }
+
+    // Display equations with \\label{...} are numbered in document order
+    collectEquationLabels(markdown) {
+        const labels = new Map();
+        for (const match of markdown.matchAll(/\\label\{([^}\n]+)\}/g)) {
+            const label = match[1].trim();
+            if (!labels.has(label)) {
+                labels.set(label, labels.size + 1);
+            }
+        }
+        return labels;
+    }
+
+    equationId(label) {
+        return `eq-${label.replace(/[^\w-]+/g, '-')}`;
+    }
+
+    renderMath(tex, displayMode) {
+        let source = tex.replace(/\\(eq)?ref\{([^}\n]+)\}/g, (match, eq, label) => {
+            const number = this.equationLabels.get(label.trim()) || '??';
+            return eq ? `(${number})` : String(number);
+        });
+
+        let id = '';
+        const label = source.match(/\\label\{([^}\n]+)\}/);
+        if (label) {
+            source = source.replace(label[0], '');
+            id = ` id="${escapeHtml(this.equationId(label[1].trim()))}"`;
+            if (displayMode && !/\\tag\*?\{/.test(source)) {
+                source += ` \\tag{${this.equationLabels.get(label[1].trim())}}`;
+            }
+        }
+
+        if (!this.katex) {
+            const code = `<code class="math-source">${escapeHtml(tex)}</code>`;
+            return displayMode ? `<pre class="math-block"${id}>${code}</pre>\n` : code;
+        }
+
+        const html = this.katex.renderToString(source, { displayMode, throwOnError: false, output: 'html' });
+        return displayMode ? `<div class="math-block"${id}>${html}</div>\n` : `<span class="math-inline"${id}>${html}</span>`;
+    }
+
+    // Table of contents marker, see TOC_MARKER
+    createTocExtension() {
+        return {
+            name: 'toc',
+            level: 'block',
+            start(src) {
+                return MarkdownRenderer.findBlockStart(src, TOC_MARKER);
+            },
+            tokenizer(src) {
+                const match = /^ {0,3}\[(?:TOC|\[TOC\])\][ \t]*(?:\n+|$)/.exec(src);
+                if (match) {
+                    return { type: 'toc', raw: match[0] };
+                }
+            },
+            renderer() {
+                return '<nav class="table-of-contents"></nav>\n';
+            }
+        };
+    }
+
+    // Page layout hints, used by both PDF engines and the print layout preview:
+    // "<!-- pagebreak -->" or "\newpage" on its own line starts a new page, and "<!-- keep-together -->"
+    // before a top-level block moves the whole block to the next page rather than splitting it
+    createPaginationExtensions() {
+        return [
+            {
+                name: 'pageBreak',
+                level: 'block',
+                start(src) {
+                    return MarkdownRenderer.findBlockStart(src, /^ {0,3}(?:<!--[ \t]*page-?break[ \t]*-->|\\newpage|\\pagebreak)[ \t]*$/im);
+                },
+                tokenizer(src) {
+                    const match = /^ {0,3}(?:<!--[ \t]*page-?break[ \t]*-->|\\newpage|\\pagebreak)[ \t]*(?:\n+|$)/i.exec(src);
+                    if (match) {
+                        return { type: 'pageBreak', raw: match[0] };
+                    }
+                },
+                renderer() {
+                    return '<div class="page-break"></div>\n';
+                }
+            },
+            {
+                name: 'keepTogether',
+                level: 'block',
+                start(src) {
+                    return MarkdownRenderer.findBlockStart(src, /^ {0,3}<!--[ \t]*keep-together[ \t]*-->[ \t]*$/im);
+                },
+                tokenizer(src) {
+                    const match = /^ {0,3}<!--[ \t]*keep-together[ \t]*-->[ \t]*(?:\n+|$)/i.exec(src);
+                    if (match) {
+                        return { type: 'keepTogether', raw: match[0] };
+                    }
+                },
+                // Applied by parseWithSourceLines(); inside lists and quotes the hint has no effect
+                renderer() {
+                    return '';
+                }
+            }
+        ];
+    }
+
+    // DOMPurify drops ids that shadow document properties (e.g. "title"), so ids are set after sanitizing
+    assignHeadingIds(container) {
+        const slugger = new this.marked.Slugger();
+        container.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+            heading.id = slugger.slug(heading.textContent.trim());
+        });
+    }
+
+    buildTableOfContents(container) {
+        const tocs = container.querySelectorAll('nav.table-of-contents');
+        if (tocs.length === 0) return;
+
+        const document = container.ownerDocument;
+        const headings = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .filter(heading => Number(heading.tagName[1]) <= TOC_MAX_LEVEL);
+
+        tocs.forEach(toc => {
+            const title = document.createElement('p');
+            title.className = 'toc-title';
+            title.textContent = 'Table of Contents';
+
+            const rootList = document.createElement('ul');
+            const stack = [{ level: 0, item: null }];
+
+            headings.forEach(heading => {
+                const level = Number(heading.tagName[1]);
+                while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                    stack.pop();
+                }
+
+                // Nested entries go into a list inside their parent entry
+                const parent = stack[stack.length - 1].item;
+                let list = rootList;
+                if (parent) {
+                    list = parent.querySelector(':scope > ul') || parent.appendChild(document.createElement('ul'));
+                }
+
+                const link = document.createElement('a');
+                link.href = `#${encodeURIComponent(heading.id)}`;
+                link.textContent = heading.textContent.trim();
+
+                const leader = document.createElement('span');
+                leader.className = 'toc-leader';
+                const page = document.createElement('span');
+                page.className = 'toc-page';
+
+                const entry = document.createElement('div');
+                entry.className = 'toc-entry';
+                entry.append(link, leader, page);
+
+                const item = document.createElement('li');
+                item.appendChild(entry);
+                list.appendChild(item);
+                stack.push({ level, item });
+            });
+
+            toc.replaceChildren(title, rootList);
+        });
+    }
+
+}
+
+// Escapes text for HTML markup and attribute values. Every piece of HTML built from strings uses this.
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The id a "#fragment" link points to, percent-decoded unless that fails
+function fragmentId(href) {
+    try {
+        return decodeURIComponent(href.slice(1));
+    } catch (error) {
+        return href.slice(1);
+    }
+}
+
+// Reverses escapeHtml(), for the text marked escapes in its tokens
+function decodeHtml(text) {
+    if (!text.includes('&')) return text;
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Cells in a table row; pipes at the start and end of the row don't separate cells
+function countTableCells(row) {
+    const text = row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    return (text.match(/(?<!\\)\|/g) || []).length + 1;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MarkdownRenderer,
+        TOC_MAX_LEVEL,
+        PAPER_FORMATS,
+        PAPER_SIZES,
+        DEFAULT_PAGE_SETUP,
+        PDF_FONTS,
+        SANITIZE_PROFILES,
+        DEFAULT_SANITIZE_SETTINGS,
+        escapeHtml,
+        fragmentId
+    };
+}
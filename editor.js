@@ -0,0 +1,605 @@
+// MarkdPDF - Markdown Editor
+// CodeMirror 5 in place of the plain textarea: one undo history for typing and toolbar edits,
+// Markdown highlighting, list and quote continuation, and find/replace with regular expressions
+
+class MarkdownEditor {
+    constructor(textarea) {
+        this.textarea = textarea;
+        this.search = null;
+
+        // The textarea's placeholder is taken over by the placeholder addon
+        this.cm = CodeMirror.fromTextArea(textarea, {
+            mode: { name: 'yaml-frontmatter', base: { name: 'gfm', highlightFormatting: true } },
+            lineWrapping: true,
+            indentUnit: 4,
+            tabSize: 4,
+            indentWithTabs: false,
+            extraKeys: {
+                Enter: 'newlineAndIndentContinueMarkdownList',
+                Tab: () => this.indent(false),
+                'Shift-Tab': () => this.indent(true)
+            }
+        });
+    }
+
+    // Tab nests list items and indents selected lines; anywhere else it inserts spaces
+    indent(outdent) {
+        const cm = this.cm;
+        if (outdent) {
+            cm.execCommand('indentLess');
+        } else if (cm.somethingSelected() || /^\s*(?:[*+-]|\d+[.)])\s/.test(cm.getLine(cm.getCursor().line))) {
+            cm.execCommand('indentMore');
+        } else {
+            cm.execCommand('insertSoftTab');
+        }
+    }
+
+    // Events: 'input' for edits (not setValue), otherwise CodeMirror's events without the editor argument
+    on(type, handler) {
+        if (type === 'input') {
+            this.cm.on('changes', (cm, changes) => {
+                if (changes.some(change => change.origin !== 'setValue')) handler();
+            });
+        } else {
+            this.cm.on(type, (cm, ...args) => handler(...args));
+        }
+    }
+
+    getValue() {
+        return this.cm.getValue();
+    }
+
+    // Loading a document starts a new undo history; keepHistory makes the swap undoable instead
+    setValue(text, { keepHistory = false } = {}) {
+        const cm = this.cm;
+        if (keepHistory) {
+            cm.replaceRange(text, { line: cm.firstLine(), ch: 0 }, { line: cm.lastLine() }, 'setValue');
+        } else {
+            cm.setValue(text);
+            cm.clearHistory();
+        }
+    }
+
+    // Selection as character offsets into the text
+    getSelectionRange() {
+        const cm = this.cm;
+        return { start: cm.indexFromPos(cm.getCursor('from')), end: cm.indexFromPos(cm.getCursor('to')) };
+    }
+
+    setSelectionRange(start, end = start) {
+        this.cm.setSelection(this.cm.posFromIndex(start), this.cm.posFromIndex(end));
+    }
+
+    getSelectedText() {
+        return this.cm.getSelection();
+    }
+
+    // One undo step each: replaces the selection, then selects the new text or puts the cursor after it
+    replaceSelection(text, select = false) {
+        this.cm.replaceSelection(text, select ? 'around' : 'end', 'format');
+    }
+
+    replaceRange(text, start, end = start) {
+        this.cm.replaceRange(text, this.cm.posFromIndex(start), this.cm.posFromIndex(end), 'format');
+    }
+
+    getCursorLine() {
+        return this.cm.getCursor().line;
+    }
+
+    setCursor(line, ch = 0) {
+        this.cm.setCursor({ line, ch });
+    }
+
+    // Scroll offset of a line's top inside the scroller
+    lineTop(line) {
+        return this.cm.heightAtLine(line, 'local');
+    }
+
+    getScrollerElement() {
+        return this.cm.getScrollerElement();
+    }
+
+    getWrapperElement() {
+        return this.cm.getWrapperElement();
+    }
+
+    focus() {
+        this.cm.focus();
+    }
+
+    hasFocus() {
+        return this.cm.hasFocus();
+    }
+
+    setReadOnly(readOnly) {
+        this.cm.setOption('readOnly', readOnly);
+    }
+
+    // Needed after the editor's size changes while it was hidden
+    refresh() {
+        this.cm.refresh();
+    }
+
+    // Markdown formatting. Every command is one undo step and works on each selected line.
+
+    // Lines touched by the selection; one that the selection only reaches the start of is left out
+    getSelectedLines() {
+        const cm = this.cm;
+        const from = cm.getCursor('from');
+        const to = cm.getCursor('to');
+        const last = to.ch === 0 && to.line > from.line ? to.line - 1 : to.line;
+        const lines = [];
+        for (let line = from.line; line <= last; line++) {
+            lines.push(cm.getLine(line));
+        }
+        return { first: from.line, last, lines };
+    }
+
+    // Replaces whole lines, keeping them selected if they were
+    setLines(first, last, lines) {
+        const cm = this.cm;
+        const selected = cm.somethingSelected();
+        const start = { line: first, ch: 0 };
+        cm.replaceRange(lines.join('\n'), start, { line: last, ch: cm.getLine(last).length }, 'format');
+
+        const end = { line: first + lines.length - 1, ch: lines[lines.length - 1].length };
+        if (selected) {
+            cm.setSelection(start, end);
+        } else {
+            cm.setCursor(end);
+        }
+    }
+
+    // Puts text on an empty line with the placeholder part selected, ready to be typed over
+    insertPlaceholder(before, placeholder, after = '') {
+        const cm = this.cm;
+        const cursor = cm.getCursor('from');
+        cm.replaceSelection(before + placeholder + after, 'start', 'format');
+        const start = { line: cursor.line, ch: cursor.ch + before.length };
+        cm.setSelection(start, { line: start.line, ch: start.ch + placeholder.length });
+    }
+
+    // Whether text starts (or ends) with marker. For * and _ the run of them has to match too,
+    // so **bold** is not taken for *italic* and the other way round.
+    static hasMarker(text, marker, atEnd = false) {
+        if (!(atEnd ? text.endsWith(marker) : text.startsWith(marker))) return false;
+        if (!/^(\*+|_+)$/.test(marker)) return true;
+
+        const run = (atEnd ? text.match(/[*_]*$/) : text.match(/^[*_]*/))[0].length;
+        return marker.length === 1 ? run % 2 === 1 : run >= 2;
+    }
+
+    // Wraps the selection in before/after, or unwraps it when every selected line already is.
+    // Without a selection it works on the word at the cursor, or inserts a selected placeholder.
+    toggleInline(before, after, placeholder) {
+        const cm = this.cm;
+        if (!cm.somethingSelected()) {
+            const cursor = cm.getCursor();
+            const line = cm.getLine(cursor.line);
+            // Empty markers around the cursor, as left by a toggle without text
+            if (line.slice(0, cursor.ch).endsWith(before) && line.slice(cursor.ch).startsWith(after)) {
+                cm.replaceRange('', { line: cursor.line, ch: cursor.ch - before.length }, { line: cursor.line, ch: cursor.ch + after.length }, 'format');
+                return;
+            }
+            // A cursor right after a word counts as in it
+            const inWord = /\w/.test(line.charAt(cursor.ch)) || cursor.ch === 0;
+            const word = cm.findWordAt({ line: cursor.line, ch: inWord ? cursor.ch : cursor.ch - 1 });
+            if (!/\w/.test(cm.getRange(word.anchor, word.head))) {
+                this.insertPlaceholder(before, placeholder, after);
+                return;
+            }
+            cm.setSelection(word.anchor, word.head);
+        }
+
+        const from = cm.getCursor('from');
+        const to = cm.getCursor('to');
+        const segments = [];
+        for (let line = from.line; line <= to.line; line++) {
+            const text = cm.getLine(line);
+            const start = line === from.line ? from.ch : 0;
+            const end = line === to.line ? to.ch : text.length;
+            const selected = text.slice(start, end);
+            if (!selected.trim()) continue;
+
+            // The markers hug the text, so surrounding spaces stay outside them.
+            // Each end may have its marker inside the selection or just outside it.
+            const lead = selected.length - selected.trimStart().length;
+            const core = selected.trim();
+            const coreStart = start + lead;
+            const coreEnd = coreStart + core.length;
+            const opening = MarkdownEditor.hasMarker(core, before) ? 'inside'
+                : MarkdownEditor.hasMarker(text.slice(0, coreStart), before, true) ? 'outside' : null;
+            const closing = MarkdownEditor.hasMarker(core, after, true) && (opening !== 'inside' || core.length >= before.length + after.length) ? 'inside'
+                : MarkdownEditor.hasMarker(text.slice(coreEnd), after) ? 'outside' : null;
+            segments.push({ line, coreStart, coreEnd, core, opening, closing });
+        }
+        if (segments.length === 0) return;
+
+        const unwrap = segments.every(segment => segment.opening && segment.closing);
+        let selection = null;
+        cm.operation(() => {
+            segments.forEach(({ line, coreStart, coreEnd, core, opening, closing }) => {
+                let start = coreStart;
+                let end = coreEnd;
+                let replacement = before + core + after;
+                let textStart = start + before.length;
+                if (unwrap) {
+                    const head = opening === 'inside' ? before.length : 0;
+                    const tail = closing === 'inside' ? after.length : 0;
+                    replacement = core.slice(head, core.length - tail);
+                    if (opening === 'outside') start -= before.length;
+                    if (closing === 'outside') end += after.length;
+                    textStart = start;
+                }
+                cm.replaceRange(replacement, { line, ch: start }, { line, ch: end }, 'format');
+
+                // Keep the text itself selected, without the markers
+                const textEnd = textStart + (unwrap ? replacement.length : core.length);
+                selection = selection || { anchor: { line, ch: textStart } };
+                selection.head = { line, ch: textEnd };
+            });
+            cm.setSelection(selection.anchor, selection.head);
+        });
+    }
+
+    // Sets the heading level of each selected line, or removes it when all of them have that level
+    toggleHeading(level) {
+        const { first, last, lines } = this.getSelectedLines();
+        const marker = `${'#'.repeat(level)} `;
+        if (lines.length === 1 && !lines[0].trim()) {
+            this.insertPlaceholder(marker, `Heading ${level}`);
+            return;
+        }
+
+        const headingRE = /^ {0,3}#{1,6}(?:[ \t]+|$)/;
+        const content = lines.filter(line => line.trim());
+        const unset = content.every(line => (line.match(/^ {0,3}(#{1,6})(?:[ \t]|$)/) || [])[1] === '#'.repeat(level));
+        this.setLines(first, last, lines.map(line => {
+            if (!line.trim()) return line;
+            const text = line.replace(headingRE, '');
+            return unset ? text : marker + text;
+        }));
+    }
+
+    // Quotes the selected lines, or takes one level of quoting off when all of them are quoted
+    toggleQuote() {
+        const { first, last, lines } = this.getSelectedLines();
+        if (lines.length === 1 && !lines[0].trim()) {
+            this.insertPlaceholder('> ', 'Quote text');
+            return;
+        }
+
+        const unset = lines.filter(line => line.trim()).every(line => /^\s*>/.test(line));
+        this.setLines(first, last, lines.map(line => {
+            if (unset) return line.replace(/^(\s*)> ?/, '$1');
+            // Blank lines inside the selection stay part of the quote
+            return line.trim() ? `> ${line}` : '>';
+        }));
+    }
+
+    // Makes the selected lines a bulleted, numbered or task list, or plain lines again when
+    // they already are that kind of list. Indentation, and so nesting, is kept.
+    toggleList(kind) {
+        const { first, last, lines } = this.getSelectedLines();
+        const markers = { bullet: '- ', task: '- [ ] ' };
+        if (lines.length === 1 && !lines[0].trim()) {
+            this.insertPlaceholder(markers[kind] || '1. ', 'List item');
+            return;
+        }
+
+        const patterns = {
+            bullet: /^\s*[*+-][ \t]+(?!\[[ xX]\][ \t])/,
+            ordered: /^\s*\d+[.)][ \t]+/,
+            task: /^\s*[*+-][ \t]+\[[ xX]\][ \t]+/
+        };
+        const markerRE = /^(\s*)(?:(?:[*+-]|\d+[.)])[ \t]+(?:\[[ xX]\][ \t]+)?)?/;
+        const unset = lines.filter(line => line.trim()).every(line => patterns[kind].test(line));
+        // Numbers count up per indentation level and restart below a shallower item
+        const counters = new Map();
+
+        this.setLines(first, last, lines.map(line => {
+            if (!line.trim()) return line;
+            const [prefix, indent] = line.match(markerRE);
+            const text = line.slice(prefix.length);
+            if (unset) return indent + text;
+
+            let marker = markers[kind];
+            if (kind === 'ordered') {
+                Array.from(counters.keys()).filter(depth => depth > indent.length).forEach(depth => counters.delete(depth));
+                const number = (counters.get(indent.length) || 0) + 1;
+                counters.set(indent.length, number);
+                marker = `${number}. `;
+            }
+            return indent + marker + text;
+        }));
+    }
+
+    // Inline code, or a fenced block when the selection spans lines
+    toggleCode() {
+        const cm = this.cm;
+        if (cm.getCursor('from').line === cm.getCursor('to').line) {
+            this.toggleInline('`', '`', 'code');
+            return;
+        }
+
+        const { first, last, lines } = this.getSelectedLines();
+        const fenceRE = /^\s*(```|~~~)/;
+        if (lines.length >= 2 && fenceRE.test(lines[0]) && fenceRE.test(lines[lines.length - 1])) {
+            this.setLines(first, last, lines.slice(1, -1));
+        } else {
+            this.setLines(first, last, ['```', ...lines, '```']);
+        }
+    }
+
+    // The [text](url) link or ![alt](src) image around the cursor, as { from, to, text, url, image }
+    getLinkAtCursor() {
+        const cm = this.cm;
+        const from = cm.getCursor('from');
+        const to = cm.getCursor('to');
+        if (from.line !== to.line) return null;
+
+        const linkRE = /(!?)\[((?:\\.|[^\]\\])*)\]\(\s*(<[^>]*>|[^)\s]*)(?:\s+"[^"]*")?\s*\)/g;
+        const line = cm.getLine(from.line);
+        let match;
+        while ((match = linkRE.exec(line))) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (start <= from.ch && to.ch <= end) {
+                return {
+                    from: { line: from.line, ch: start },
+                    to: { line: from.line, ch: end },
+                    text: match[2],
+                    url: match[3].replace(/^<|>$/g, ''),
+                    image: match[1] === '!'
+                };
+            }
+        }
+        return null;
+    }
+
+    // Links the selection (or a placeholder) to url; an existing link or image at the cursor gets the new url
+    insertLink(url, image = false) {
+        const cm = this.cm;
+        // Spaces and parentheses need the <...> form to stay one destination
+        const destination = /[\s()]/.test(url) ? `<${url}>` : url;
+        const existing = this.getLinkAtCursor();
+        if (existing && existing.image === image) {
+            cm.replaceRange(`${image ? '!' : ''}[${existing.text}](${destination})`, existing.from, existing.to, 'format');
+            return;
+        }
+
+        const prefix = image ? '![' : '[';
+        const text = cm.getSelection();
+        if (text && !text.includes('\n')) {
+            cm.replaceSelection(`${prefix}${text}](${destination})`, 'end', 'format');
+        } else {
+            this.insertPlaceholder(prefix, image ? 'alt text' : 'link text', `](${destination})`);
+        }
+    }
+
+    // Leaves only the text of a link found by getLinkAtCursor()
+    removeLink(link) {
+        this.cm.replaceRange(link.text, link.from, link.to, 'format');
+        this.cm.setSelection(link.from, { line: link.from.line, ch: link.from.ch + link.text.length });
+    }
+
+    // Pipe tables
+    // Cells of a table row; \| stays a pipe inside a cell
+    static parseTableRow(line) {
+        const cells = [];
+        let cell = '';
+        const text = line.trim().replace(/^\|/, '');
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && text[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += text[i];
+            }
+        }
+        // A closing pipe doesn't start another cell
+        if (cell.trim() || !text.endsWith('|')) cells.push(cell.trim());
+        return cells;
+    }
+
+    // The table around a line: { first, last, header, alignments, rows }, or null.
+    // Alignments are '', 'left', 'center' or 'right'.
+    getTableAt(line) {
+        const cm = this.cm;
+        const isRow = number => number >= cm.firstLine() && number <= cm.lastLine() && /\|/.test(cm.getLine(number)) && cm.getLine(number).trim();
+        if (!isRow(line)) return null;
+
+        let first = line;
+        let last = line;
+        while (isRow(first - 1)) first--;
+        while (isRow(last + 1)) last++;
+
+        const delimiterRE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+        if (last - first < 1 || !delimiterRE.test(cm.getLine(first + 1))) return null;
+
+        const header = MarkdownEditor.parseTableRow(cm.getLine(first));
+        const alignments = MarkdownEditor.parseTableRow(cm.getLine(first + 1)).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            return cell.startsWith(':') ? 'left' : '';
+        });
+        const rows = [];
+        for (let number = first + 2; number <= last; number++) {
+            rows.push(MarkdownEditor.parseTableRow(cm.getLine(number)));
+        }
+        return { first, last, header, alignments, rows };
+    }
+
+    // Markdown for a table with the pipes lined up
+    static formatTable({ header, alignments, rows }) {
+        const columns = header.length;
+        const fit = cells => Array.from({ length: columns }, (_, index) => (cells[index] || '').replace(/\|/g, '\\|'));
+        const body = [fit(header), ...rows.map(fit)];
+        const widths = Array.from({ length: columns }, (_, index) => Math.max(3, ...body.map(cells => cells[index].length)));
+
+        const pad = (text, index) => {
+            const space = widths[index] - text.length;
+            if (alignments[index] === 'right') return ' '.repeat(space) + text;
+            if (alignments[index] === 'center') {
+                const left = Math.floor(space / 2);
+                return ' '.repeat(left) + text + ' '.repeat(space - left);
+            }
+            return text + ' '.repeat(space);
+        };
+        const row = cells => `| ${cells.map(pad).join(' | ')} |`;
+        const delimiter = widths.map((width, index) => {
+            const align = alignments[index];
+            const dashes = '-'.repeat(width - (align === 'center' ? 2 : align ? 1 : 0));
+            if (align === 'center') return `:${dashes}:`;
+            if (align === 'right') return `${dashes}:`;
+            return align === 'left' ? `:${dashes}` : dashes;
+        });
+
+        return [row(body[0]), `| ${delimiter.join(' | ')} |`, ...body.slice(1).map(row)].join('\n');
+    }
+
+    // Replaces the lines of an existing table, or inserts the table as its own block at the cursor
+    setTable(table, range = null) {
+        const cm = this.cm;
+        const markdown = MarkdownEditor.formatTable(table);
+        if (range) {
+            cm.replaceRange(markdown, { line: range.first, ch: 0 }, { line: range.last, ch: cm.getLine(range.last).length }, 'format');
+            return;
+        }
+
+        const cursor = cm.getCursor('to');
+        const line = cm.getLine(cursor.line);
+        const before = line.slice(0, cursor.ch).trim() ? '\n\n' : '';
+        const after = line.slice(cursor.ch).trim() ? '\n\n' : '';
+        cm.replaceSelection(before + markdown + after, 'end', 'format');
+    }
+
+    // Search
+    // Plain text is matched literally; throws on an invalid regular expression
+    static createQuery(text, { regex = false, caseSensitive = false } = {}) {
+        const source = regex ? text : text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    }
+
+    // Highlights every match of text and returns the number of matches
+    setSearch(text, options = {}) {
+        this.clearSearch();
+        if (!text) return 0;
+
+        const query = MarkdownEditor.createQuery(text, options);
+        const pattern = new RegExp(query.source, query.flags);
+        const overlay = {
+            token(stream) {
+                pattern.lastIndex = stream.pos;
+                const match = pattern.exec(stream.string);
+                if (match && match.index === stream.pos) {
+                    stream.pos += match[0].length || 1;
+                    return 'searching';
+                }
+                if (match) {
+                    stream.pos = match.index;
+                } else {
+                    stream.skipToEnd();
+                }
+                return null;
+            }
+        };
+
+        this.search = { query, overlay, regex: Boolean(options.regex) };
+        this.cm.addOverlay(overlay);
+        return this.getMatches().length;
+    }
+
+    clearSearch() {
+        if (this.search) {
+            this.cm.removeOverlay(this.search.overlay);
+            this.search = null;
+        }
+    }
+
+    // Matches in document order as { from, to, match }
+    getMatches() {
+        if (!this.search) return [];
+
+        const matches = [];
+        const cursor = this.cm.getSearchCursor(this.search.query, { line: this.cm.firstLine(), ch: 0 });
+        let match;
+        while ((match = cursor.findNext())) {
+            matches.push({ from: cursor.from(), to: cursor.to(), match });
+        }
+        return matches;
+    }
+
+    // Position of the selected match: { index, count }, index -1 when no match is selected
+    getMatchInfo(matches = this.getMatches()) {
+        const cm = this.cm;
+        const from = cm.getCursor('from');
+        const to = cm.getCursor('to');
+        const index = matches.findIndex(({ from: start, to: end }) =>
+            CodeMirror.cmpPos(start, from) === 0 && CodeMirror.cmpPos(end, to) === 0);
+        return { index, count: matches.length };
+    }
+
+    // Selects the match after (or before) the selection, wrapping around the document
+    findNext(reverse = false) {
+        const cm = this.cm;
+        const matches = this.getMatches();
+        if (matches.length === 0) return { index: -1, count: 0 };
+
+        let index;
+        if (reverse) {
+            const from = cm.getCursor('from');
+            index = matches.map(({ to }) => CodeMirror.cmpPos(to, from) <= 0).lastIndexOf(true);
+            if (index === -1) index = matches.length - 1;
+        } else {
+            const to = cm.getCursor('to');
+            index = matches.findIndex(({ from }) => CodeMirror.cmpPos(from, to) >= 0);
+            if (index === -1) index = 0;
+        }
+
+        const { from, to } = matches[index];
+        cm.setSelection(from, to);
+        cm.scrollIntoView({ from, to }, 60);
+        return { index, count: matches.length };
+    }
+
+    // Replaces the selected match, if it is one, and selects the next
+    replace(replacement) {
+        const matches = this.getMatches();
+        const { index } = this.getMatchInfo(matches);
+        if (index !== -1) {
+            const { from, to, match } = matches[index];
+            this.cm.replaceRange(this.expandReplacement(replacement, match), from, to, 'replace');
+        }
+        return this.findNext();
+    }
+
+    // One undo step for all replacements; returns the number replaced
+    replaceAll(replacement) {
+        const matches = this.getMatches();
+        this.cm.operation(() => {
+            // Back to front, so the positions of the remaining matches stay valid
+            matches.reverse().forEach(({ from, to, match }) => {
+                this.cm.replaceRange(this.expandReplacement(replacement, match), from, to, 'replace');
+            });
+        });
+        return matches.length;
+    }
+
+    // $&, $1..$99 and $$ work as in String.replace when searching with a regular expression
+    expandReplacement(replacement, match) {
+        if (!this.search.regex) return replacement;
+
+        return replacement.replace(/\$(\$|&|\d{1,2})/g, (token, key) => {
+            if (key === '$') return '$';
+            if (key === '&') return match[0];
+            // Groups that exist but didn't take part in the match insert nothing
+            const index = Number(key);
+            return index < match.length ? match[index] || '' : token;
+        });
+    }
+}
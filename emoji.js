@@ -0,0 +1,433 @@
+// MarkdPDF - Emoji Shortcodes
+// :shortcode: names (GitHub/Slack spelling) replaced by their emoji when the markdown is rendered.
+// Unknown shortcodes are left as typed.
+
+const EMOJI_SHORTCODES = {
+    // Faces
+    smile: '😄',
+    smiley: '😃',
+    grinning: '😀',
+    grin: '😁',
+    laughing: '😆',
+    joy: '😂',
+    rofl: '🤣',
+    sweat_smile: '😅',
+    blush: '😊',
+    innocent: '😇',
+    slightly_smiling_face: '🙂',
+    upside_down_face: '🙃',
+    wink: '😉',
+    relieved: '😌',
+    heart_eyes: '😍',
+    star_struck: '🤩',
+    kissing_heart: '😘',
+    yum: '😋',
+    stuck_out_tongue: '😛',
+    stuck_out_tongue_winking_eye: '😜',
+    sunglasses: '😎',
+    nerd_face: '🤓',
+    thinking: '🤔',
+    raised_eyebrow: '🤨',
+    neutral_face: '😐',
+    expressionless: '😑',
+    no_mouth: '😶',
+    smirk: '😏',
+    unamused: '😒',
+    roll_eyes: '🙄',
+    grimacing: '😬',
+    lying_face: '🤥',
+    pensive: '😔',
+    sleepy: '😪',
+    sleeping: '😴',
+    mask: '😷',
+    face_with_thermometer: '🤒',
+    nauseated_face: '🤢',
+    exploding_head: '🤯',
+    cowboy_hat_face: '🤠',
+    partying_face: '🥳',
+    confused: '😕',
+    worried: '😟',
+    slightly_frowning_face: '🙁',
+    open_mouth: '😮',
+    astonished: '😲',
+    flushed: '😳',
+    pleading_face: '🥺',
+    fearful: '😨',
+    cold_sweat: '😰',
+    cry: '😢',
+    sob: '😭',
+    scream: '😱',
+    confounded: '😖',
+    persevere: '😣',
+    disappointed: '😞',
+    sweat: '😓',
+    weary: '😩',
+    tired_face: '😫',
+    yawning_face: '🥱',
+    triumph: '😤',
+    rage: '😡',
+    angry: '😠',
+    skull: '💀',
+    poop: '💩',
+    clown_face: '🤡',
+    ghost: '👻',
+    alien: '👽',
+    robot: '🤖',
+    see_no_evil: '🙈',
+    hear_no_evil: '🙉',
+    speak_no_evil: '🙊',
+
+    // Hands and people
+    wave: '👋',
+    ok_hand: '👌',
+    v: '✌️',
+    crossed_fingers: '🤞',
+    point_up: '☝️',
+    point_right: '👉',
+    point_left: '👈',
+    point_down: '👇',
+    '+1': '👍',
+    thumbsup: '👍',
+    '-1': '👎',
+    thumbsdown: '👎',
+    fist: '✊',
+    clap: '👏',
+    raised_hands: '🙌',
+    open_hands: '👐',
+    handshake: '🤝',
+    pray: '🙏',
+    muscle: '💪',
+    writing_hand: '✍️',
+    eyes: '👀',
+    brain: '🧠',
+    bust_in_silhouette: '👤',
+    busts_in_silhouette: '👥',
+    man_technologist: '👨‍💻',
+    woman_technologist: '👩‍💻',
+    technologist: '🧑‍💻',
+    shrug: '🤷',
+    facepalm: '🤦',
+
+    // Hearts and symbols
+    heart: '❤️',
+    orange_heart: '🧡',
+    yellow_heart: '💛',
+    green_heart: '💚',
+    blue_heart: '💙',
+    purple_heart: '💜',
+    black_heart: '🖤',
+    broken_heart: '💔',
+    sparkling_heart: '💖',
+    '100': '💯',
+    boom: '💥',
+    collision: '💥',
+    dizzy: '💫',
+    speech_balloon: '💬',
+    thought_balloon: '💭',
+    zzz: '💤',
+    white_check_mark: '✅',
+    heavy_check_mark: '✔️',
+    ballot_box_with_check: '☑️',
+    x: '❌',
+    negative_squared_cross_mark: '❎',
+    heavy_plus_sign: '➕',
+    heavy_minus_sign: '➖',
+    question: '❓',
+    grey_question: '❔',
+    exclamation: '❗',
+    grey_exclamation: '❕',
+    bangbang: '‼️',
+    warning: '⚠️',
+    no_entry: '⛔',
+    no_entry_sign: '🚫',
+    stop_sign: '🛑',
+    construction: '🚧',
+    recycle: '♻️',
+    information_source: 'ℹ️',
+    arrow_right: '➡️',
+    arrow_left: '⬅️',
+    arrow_up: '⬆️',
+    arrow_down: '⬇️',
+    arrows_counterclockwise: '🔄',
+    red_circle: '🔴',
+    orange_circle: '🟠',
+    yellow_circle: '🟡',
+    green_circle: '🟢',
+    large_blue_circle: '🔵',
+    blue_circle: '🔵',
+    white_circle: '⚪',
+    black_circle: '⚫',
+    new: '🆕',
+    free: '🆓',
+    up: '🆙',
+    cool: '🆒',
+    ok: '🆗',
+    sos: '🆘',
+    copyright: '©️',
+    registered: '®️',
+    tm: '™️',
+
+    // Nature and weather
+    sunny: '☀️',
+    cloud: '☁️',
+    umbrella: '☔',
+    snowflake: '❄️',
+    zap: '⚡',
+    fire: '🔥',
+    droplet: '💧',
+    ocean: '🌊',
+    rainbow: '🌈',
+    star: '⭐',
+    star2: '🌟',
+    sparkles: '✨',
+    crescent_moon: '🌙',
+    earth_africa: '🌍',
+    earth_americas: '🌎',
+    earth_asia: '🌏',
+    globe_with_meridians: '🌐',
+    seedling: '🌱',
+    evergreen_tree: '🌲',
+    deciduous_tree: '🌳',
+    cactus: '🌵',
+    herb: '🌿',
+    four_leaf_clover: '🍀',
+    fallen_leaf: '🍂',
+    sunflower: '🌻',
+    rose: '🌹',
+    tulip: '🌷',
+    cherry_blossom: '🌸',
+    bug: '🐛',
+    bee: '🐝',
+    butterfly: '🦋',
+    snail: '🐌',
+    turtle: '🐢',
+    snake: '🐍',
+    whale: '🐳',
+    dolphin: '🐬',
+    fish: '🐟',
+    octopus: '🐙',
+    crab: '🦀',
+    penguin: '🐧',
+    bird: '🐦',
+    owl: '🦉',
+    dog: '🐶',
+    cat: '🐱',
+    mouse: '🐭',
+    rabbit: '🐰',
+    fox_face: '🦊',
+    bear: '🐻',
+    panda_face: '🐼',
+    koala: '🐨',
+    tiger: '🐯',
+    lion: '🦁',
+    cow: '🐮',
+    pig: '🐷',
+    monkey_face: '🐵',
+    unicorn: '🦄',
+    dragon: '🐉',
+
+    // Food and drink
+    apple: '🍎',
+    green_apple: '🍏',
+    banana: '🍌',
+    lemon: '🍋',
+    strawberry: '🍓',
+    grapes: '🍇',
+    watermelon: '🍉',
+    peach: '🍑',
+    cherries: '🍒',
+    avocado: '🥑',
+    tomato: '🍅',
+    carrot: '🥕',
+    corn: '🌽',
+    hot_pepper: '🌶️',
+    bread: '🍞',
+    cheese: '🧀',
+    egg: '🥚',
+    hamburger: '🍔',
+    fries: '🍟',
+    pizza: '🍕',
+    hotdog: '🌭',
+    taco: '🌮',
+    burrito: '🌯',
+    sushi: '🍣',
+    ramen: '🍜',
+    spaghetti: '🍝',
+    cookie: '🍪',
+    cake: '🍰',
+    birthday: '🎂',
+    doughnut: '🍩',
+    chocolate_bar: '🍫',
+    candy: '🍬',
+    popcorn: '🍿',
+    coffee: '☕',
+    tea: '🍵',
+    beer: '🍺',
+    beers: '🍻',
+    wine_glass: '🍷',
+    cocktail: '🍸',
+    champagne: '🍾',
+
+    // Activities and celebrations
+    tada: '🎉',
+    confetti_ball: '🎊',
+    balloon: '🎈',
+    gift: '🎁',
+    trophy: '🏆',
+    medal_sports: '🏅',
+    '1st_place_medal': '🥇',
+    '2nd_place_medal': '🥈',
+    '3rd_place_medal': '🥉',
+    soccer: '⚽',
+    basketball: '🏀',
+    football: '🏈',
+    tennis: '🎾',
+    dart: '🎯',
+    video_game: '🎮',
+    game_die: '🎲',
+    jigsaw: '🧩',
+    art: '🎨',
+    performing_arts: '🎭',
+    musical_note: '🎵',
+    notes: '🎶',
+    microphone: '🎤',
+    headphones: '🎧',
+    guitar: '🎸',
+    movie_camera: '🎥',
+    clapper: '🎬',
+
+    // Travel and places
+    rocket: '🚀',
+    airplane: '✈️',
+    car: '🚗',
+    taxi: '🚕',
+    bus: '🚌',
+    train: '🚆',
+    bike: '🚲',
+    ship: '🚢',
+    anchor: '⚓',
+    house: '🏠',
+    office: '🏢',
+    hospital: '🏥',
+    school: '🏫',
+    factory: '🏭',
+    world_map: '🗺️',
+    mountain: '⛰️',
+    camping: '🏕️',
+    beach_umbrella: '🏖️',
+    checkered_flag: '🏁',
+    triangular_flag_on_post: '🚩',
+    white_flag: '🏳️',
+    black_flag: '🏴',
+
+    // Objects and work
+    computer: '💻',
+    desktop_computer: '🖥️',
+    keyboard: '⌨️',
+    iphone: '📱',
+    telephone_receiver: '📞',
+    battery: '🔋',
+    electric_plug: '🔌',
+    bulb: '💡',
+    flashlight: '🔦',
+    wrench: '🔧',
+    hammer: '🔨',
+    hammer_and_wrench: '🛠️',
+    gear: '⚙️',
+    nut_and_bolt: '🔩',
+    toolbox: '🧰',
+    magnet: '🧲',
+    link: '🔗',
+    paperclip: '📎',
+    pushpin: '📌',
+    round_pushpin: '📍',
+    scissors: '✂️',
+    lock: '🔒',
+    unlock: '🔓',
+    key: '🔑',
+    shield: '🛡️',
+    mag: '🔍',
+    mag_right: '🔎',
+    bell: '🔔',
+    no_bell: '🔕',
+    loudspeaker: '📢',
+    mega: '📣',
+    hourglass: '⌛',
+    hourglass_flowing_sand: '⏳',
+    alarm_clock: '⏰',
+    stopwatch: '⏱️',
+    watch: '⌚',
+    calendar: '📆',
+    date: '📅',
+    memo: '📝',
+    pencil: '📝',
+    pencil2: '✏️',
+    black_nib: '✒️',
+    book: '📖',
+    books: '📚',
+    notebook: '📓',
+    ledger: '📒',
+    bookmark: '🔖',
+    label: '🏷️',
+    page_facing_up: '📄',
+    page_with_curl: '📃',
+    bookmark_tabs: '📑',
+    clipboard: '📋',
+    file_folder: '📁',
+    open_file_folder: '📂',
+    card_index_dividers: '🗂️',
+    wastebasket: '🗑️',
+    package: '📦',
+    inbox_tray: '📥',
+    outbox_tray: '📤',
+    email: '📧',
+    envelope: '✉️',
+    mailbox: '📫',
+    chart_with_upwards_trend: '📈',
+    chart_with_downwards_trend: '📉',
+    bar_chart: '📊',
+    straight_ruler: '📏',
+    triangular_ruler: '📐',
+    moneybag: '💰',
+    dollar: '💵',
+    euro: '💶',
+    pound: '💷',
+    yen: '💴',
+    credit_card: '💳',
+    gem: '💎',
+    scales: '⚖️',
+    test_tube: '🧪',
+    microscope: '🔬',
+    telescope: '🔭',
+    satellite: '📡',
+    pill: '💊',
+    syringe: '💉',
+    dna: '🧬',
+    camera: '📷',
+    video_camera: '📹',
+    tv: '📺',
+    radio: '📻',
+    floppy_disk: '💾',
+    cd: '💿',
+    dvd: '📀',
+    printer: '🖨️',
+    money_with_wings: '💸',
+    crown: '👑',
+    ring: '💍',
+    eyeglasses: '👓',
+    necktie: '👔',
+    shirt: '👕',
+    jeans: '👖',
+    runner: '🏃',
+    running: '🏃',
+    walking: '🚶',
+    dancer: '💃',
+    hugs: '🤗',
+    zipper_mouth_face: '🤐',
+    shushing_face: '🤫',
+    monocle_face: '🧐'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EMOJI_SHORTCODES;
+}
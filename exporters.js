@@ -0,0 +1,843 @@
+// MarkdPDF - Document Exporters
+// Standalone HTML, DOCX and EPUB files built from the rendered preview with JSZip
+
+class DocumentExporter {
+    // images: image src -> data URL (PNG/JPEG for DOCX and EPUB)
+    // graphics: element -> { data, width, height } rendered math and diagrams, as for the vector PDF engine
+    constructor(options = {}) {
+        this.options = {
+            title: 'Document',
+            author: '',
+            language: 'en',
+            css: '',
+            images: new Map(),
+            graphics: new Map(),
+            pageSetup: null,
+            theme: {},
+            ...options
+        };
+    }
+
+    static get graphicSelector() {
+        return '.math-block, .math-inline, .diagram';
+    }
+
+    // Standalone HTML
+    toHtml(root) {
+        const clone = this.cloneContent(root);
+        clone.querySelectorAll('img[src]').forEach(img => {
+            const data = this.options.images.get(img.getAttribute('src'));
+            if (data) img.setAttribute('src', data);
+        });
+
+        const { title, language, css } = this.options;
+        const html = `<!DOCTYPE html>
+<html lang="${this.escapeXml(language)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="MarkdPDF">
+<title>${this.escapeXml(title)}</title>
+<style>
+body { margin: 0; background: #ffffff; }
+#markdown-preview { max-width: 860px; margin: 0 auto; padding: 2rem; }
+${css}
+</style>
+</head>
+<body>
+<main id="markdown-preview" class="markdown-content">
+${clone.innerHTML}
+</main>
+</body>
+</html>
+`;
+        return new Blob([html], { type: 'text/html;charset=utf-8' });
+    }
+
+    // Copy of the preview without editor-only notices, source lines and image fade-in styles
+    cloneContent(root) {
+        const clone = root.cloneNode(true);
+        this.cleanClone(clone);
+        return clone;
+    }
+
+    cleanClone(clone) {
+        clone.querySelectorAll('.front-matter-error').forEach(el => el.remove());
+        clone.querySelectorAll('[data-source-line]').forEach(el => el.removeAttribute('data-source-line'));
+        clone.querySelectorAll('img[style]').forEach(img => {
+            img.style.removeProperty('opacity');
+            img.style.removeProperty('transition');
+            if (!img.getAttribute('style').trim()) img.removeAttribute('style');
+        });
+    }
+
+    // Clone with math and diagrams swapped for images of them, paired by document order
+    cloneWithGraphics(root, toImage) {
+        const originals = root.querySelectorAll(DocumentExporter.graphicSelector);
+        const clone = root.cloneNode(true);
+        clone.querySelectorAll(DocumentExporter.graphicSelector).forEach((el, index) => {
+            const graphic = this.options.graphics.get(originals[index]);
+            if (graphic) {
+                el.replaceWith(toImage(graphic, el));
+            }
+        });
+        this.cleanClone(clone);
+        return clone;
+    }
+
+    // EPUB 3 with a navigation document and an NCX for older readers
+    async toEpub(root) {
+        const zip = new JSZip();
+        // Must be the first entry, stored uncompressed
+        zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+        zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+
+        const manifest = [];
+        const media = new Map();
+        const addMedia = dataURL => {
+            if (!media.has(dataURL)) {
+                const { type, base64 } = this.parseDataUrl(dataURL);
+                const name = `images/image${media.size + 1}.${type === 'image/png' ? 'png' : 'jpg'}`;
+                zip.file(`OEBPS/${name}`, base64, { base64: true });
+                manifest.push({ id: `image${media.size + 1}`, href: name, type });
+                media.set(dataURL, name);
+            }
+            return media.get(dataURL);
+        };
+
+        const clone = this.cloneWithGraphics(root, (graphic, el) => {
+            const img = el.ownerDocument.createElement('img');
+            img.setAttribute('src', addMedia(graphic.data));
+            img.setAttribute('alt', el.textContent.trim());
+            img.setAttribute('style', `width: ${graphic.width}px; max-width: 100%;${el.matches('.math-inline') ? ' vertical-align: middle;' : ''}`);
+            if (el.id) img.id = el.id;
+            if (el.matches('.math-inline')) return img;
+
+            const block = el.ownerDocument.createElement('div');
+            block.className = el.className;
+            block.appendChild(img);
+            return block;
+        });
+
+        clone.querySelectorAll('img:not([src^="images/"])').forEach(img => {
+            const src = img.getAttribute('src') || '';
+            const data = this.options.images.get(src) || (/^data:image\/(png|jpe?g);/.test(src) ? src : null);
+            if (data) {
+                img.setAttribute('src', addMedia(data));
+                if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+            } else {
+                // Remote images aren't allowed in EPUB content
+                img.replaceWith(img.ownerDocument.createTextNode(img.getAttribute('alt') || ''));
+            }
+        });
+
+        // One chapter per H1
+        const chapters = [];
+        Array.from(clone.childNodes).forEach(node => {
+            if (chapters.length === 0 || (node.nodeName === 'H1' && chapters[chapters.length - 1].nodes.some(n => n.nodeType === 1))) {
+                chapters.push({ file: `chapter${chapters.length + 1}.xhtml`, nodes: [] });
+            }
+            chapters[chapters.length - 1].nodes.push(node);
+        });
+
+        // Internal links point into whichever chapter holds their target
+        const targets = new Map();
+        chapters.forEach(chapter => chapter.nodes.forEach(node => {
+            if (node.nodeType !== 1) return;
+            if (node.id) targets.set(node.id, chapter.file);
+            node.querySelectorAll('[id]').forEach(el => targets.set(el.id, chapter.file));
+        }));
+        clone.querySelectorAll('a[href^="#"]').forEach(link => {
+            const id = fragmentId(link.getAttribute('href'));
+            if (targets.has(id)) link.setAttribute('href', `${targets.get(id)}#${encodeURIComponent(id)}`);
+        });
+
+        const serializer = new XMLSerializer();
+        const { title, language, author, css } = this.options;
+        zip.file('OEBPS/styles.css', css);
+
+        chapters.forEach((chapter, index) => {
+            const heading = chapter.nodes.find(node => /^H[1-6]$/.test(node.nodeName));
+            chapter.title = heading ? heading.textContent.trim() : title;
+            const body = chapter.nodes.map(node => serializer.serializeToString(node)).join('');
+            zip.file(`OEBPS/${chapter.file}`, this.xhtmlPage(chapter.title, `<div id="markdown-preview" class="markdown-content">${body}</div>`));
+            manifest.push({
+                id: `chapter${index + 1}`,
+                href: chapter.file,
+                type: 'application/xhtml+xml',
+                properties: /<svg[\s>]/.test(body) ? 'svg' : null
+            });
+        });
+
+        const headings = Array.from(clone.querySelectorAll('h1, h2, h3')).map(heading => ({
+            level: Number(heading.tagName[1]),
+            text: heading.textContent.trim(),
+            href: heading.id && targets.has(heading.id) ? `${targets.get(heading.id)}#${encodeURIComponent(heading.id)}` : chapters[0].file
+        }));
+        if (headings.length === 0) {
+            headings.push({ level: 1, text: title, href: chapters[0].file });
+        }
+
+        const identifier = `urn:uuid:${this.createUuid()}`;
+        zip.file('OEBPS/nav.xhtml', this.xhtmlPage(title, `<nav epub:type="toc" id="toc"><h1>Contents</h1>${this.navList(headings)}</nav>`));
+        zip.file('OEBPS/toc.ncx', this.ncx(headings, identifier));
+
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${this.escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${this.escapeXml(title)}</dc:title>
+    <dc:language>${this.escapeXml(language)}</dc:language>
+${author ? `    <dc:creator>${this.escapeXml(author)}</dc:creator>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="css" href="styles.css" media-type="text/css"/>
+${manifest.map(item => `    <item id="${item.id}" href="${item.href}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${chapters.map((chapter, index) => `    <itemref idref="chapter${index + 1}"/>`).join('\n')}
+  </spine>
+</package>
+`);
+
+        return zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+    }
+
+    xhtmlPage(title, body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${this.escapeXml(this.options.language)}" lang="${this.escapeXml(this.options.language)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${this.escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    // Nested <ol> of { level, text, href } entries
+    navList(headings) {
+        const root = { children: [] };
+        const stack = [{ level: 0, node: root }];
+        headings.forEach(heading => {
+            while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
+            }
+            const node = { heading, children: [] };
+            stack[stack.length - 1].node.children.push(node);
+            stack.push({ level: heading.level, node });
+        });
+
+        const render = nodes => `<ol>${nodes.map(({ heading, children }) =>
+            `<li><a href="${this.escapeXml(heading.href)}">${this.escapeXml(heading.text)}</a>${children.length > 0 ? render(children) : ''}</li>`).join('')}</ol>`;
+        return render(root.children);
+    }
+
+    ncx(headings, identifier) {
+        const points = headings.map((heading, index) => `    <navPoint id="point${index + 1}" playOrder="${index + 1}">
+      <navLabel><text>${this.escapeXml(heading.text)}</text></navLabel>
+      <content src="${this.escapeXml(heading.href)}"/>
+    </navPoint>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head><meta name="dtb:uid" content="${identifier}"/></head>
+  <docTitle><text>${this.escapeXml(this.options.title)}</text></docTitle>
+  <navMap>
+${points}
+  </navMap>
+</ncx>
+`;
+    }
+
+    // DOCX (Office Open XML)
+    async toDocx(root) {
+        this.docx = {
+            relationships: [],
+            media: new Map(),
+            numbering: [],
+            bookmarks: new Map(),
+            drawingCount: 0,
+            imageSizes: new Map()
+        };
+        await this.measureImages(root);
+
+        const body = this.docxBlocks(root, {});
+        const zip = new JSZip();
+
+        zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpeg" ContentType="image/jpeg"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`);
+        zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>
+`);
+
+        const { title, author } = this.options;
+        const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${this.escapeXml(title)}</dc:title>
+  <dc:creator>${this.escapeXml(author)}</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>
+`);
+
+        const relationships = [
+            '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+            '<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>',
+            ...this.docx.relationships
+        ];
+        zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.map(rel => `  ${rel}`).join('\n')}
+</Relationships>
+`);
+
+        this.docx.media.forEach(({ name, base64 }) => zip.file(`word/media/${name}`, base64, { base64: true }));
+        zip.file('word/styles.xml', this.docxStyles());
+        zip.file('word/numbering.xml', this.docxNumbering());
+        zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">
+<w:body>${body}${this.docxSection()}</w:body>
+</w:document>
+`);
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            compression: 'DEFLATE'
+        });
+    }
+
+    // Natural pixel sizes of the embedded images, needed for their size in the document
+    async measureImages(root) {
+        const sources = new Set(Array.from(root.querySelectorAll('img[src]'), img => img.getAttribute('src')));
+        await Promise.all(Array.from(sources).map(async src => {
+            const data = this.options.images.get(src);
+            if (!data) return;
+            try {
+                this.docx.imageSizes.set(src, await this.loadImageSize(data));
+            } catch (error) {
+                console.warn(`Could not read image ${src}:`, error);
+            }
+        }));
+    }
+
+    loadImageSize(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+            img.onerror = () => reject(new Error('Image failed to load'));
+            img.src = src;
+        });
+    }
+    // Page size (PAPER_SIZES from core.js) and margins in twentieths of a point
+    // Page size and margins in twentieths of a point
+    docxSection() {
+        const setup = this.options.pageSetup;
+        if (!setup) return '<w:sectPr/>';
+
+        const twips = mm => Math.round(mm * 1440 / 25.4);
+        let [width, height] = PAPER_SIZES[setup.format] || PAPER_SIZES.a4;
+        if (setup.orientation === 'landscape') [width, height] = [height, width];
+        const { top, right, bottom, left } = setup.margins;
+
+        return `<w:sectPr><w:pgSz w:w="${twips(width)}" w:h="${twips(height)}"${setup.orientation === 'landscape' ? ' w:orient="landscape"' : ''}/>` +
+            `<w:pgMar w:top="${twips(top)}" w:right="${twips(right)}" w:bottom="${twips(bottom)}" w:left="${twips(left)}" w:header="${twips(top / 2)}" w:footer="${twips(bottom / 2)}" w:gutter="0"/></w:sectPr>`;
+    }
+
+    // Usable text width in CSS pixels, to scale down large images
+    docxContentWidth() {
+        const setup = this.options.pageSetup;
+        if (!setup) return 624;
+
+        const [width, height] = PAPER_SIZES[setup.format] || PAPER_SIZES.a4;
+        const pageWidth = setup.orientation === 'landscape' ? height : width;
+        return (pageWidth - setup.margins.left - setup.margins.right) * 96 / 25.4;
+    }
+
+    // Block content of an element. context: { style, numbering: { numId, level, item }, indent }
+    docxBlocks(element, context) {
+        let xml = '';
+        let inline = [];
+        const flush = () => {
+            if (inline.length > 0) {
+                xml += this.docxParagraph(inline, context);
+                inline = [];
+            }
+        };
+
+        element.childNodes.forEach(node => {
+            if (node.nodeType === 3) {
+                inline.push(node);
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            const graphic = this.options.graphics.get(node);
+            if (this.isDocxBlock(node) || (graphic && !node.matches('.math-inline'))) {
+                flush();
+                xml += this.docxBlock(node, context);
+            } else {
+                inline.push(node);
+            }
+        });
+        flush();
+        return xml;
+    }
+
+    isDocxBlock(node) {
+        return /^(H[1-6]|P|UL|OL|LI|PRE|BLOCKQUOTE|TABLE|HR|DIV|NAV|FIGURE|FIGCAPTION|SECTION|DETAILS|SUMMARY|DL|DT|DD)$/.test(node.tagName);
+    }
+
+    docxBlock(node, context) {
+        if (node.matches('.front-matter-error')) return '';
+        if (node.matches('.page-break')) return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+        const graphic = this.options.graphics.get(node);
+        if (graphic) {
+            return this.docxParagraphXml(this.docxDrawing(graphic.data, graphic.width, graphic.height), { ...context, align: 'center' }, node.id);
+        }
+
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            return this.docxParagraph(Array.from(node.childNodes), { ...context, style: `Heading${tag[1]}` }, node.id);
+        }
+
+        switch (tag) {
+            case 'P':
+            case 'DT':
+            case 'SUMMARY':
+                return this.docxParagraph(Array.from(node.childNodes), context, node.id);
+            case 'FIGCAPTION':
+                return this.docxParagraph(Array.from(node.childNodes), { ...context, style: 'CodeTitle' }, node.id);
+            case 'UL':
+            case 'OL':
+                return this.docxList(node, context);
+            case 'LI':
+                return this.docxBlocks(node, context);
+            case 'PRE':
+                return this.docxCode(node, context);
+            case 'BLOCKQUOTE':
+                return this.docxBlocks(node, { ...context, style: 'Quote' });
+            case 'DD':
+                return this.docxBlocks(node, { ...context, indent: (context.indent || 0) + 720 });
+            case 'TABLE':
+                return this.docxTable(node, context);
+            case 'HR':
+                return '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="CCCCCC"/></w:pBdr></w:pPr></w:p>';
+            default:
+                return this.docxBlocks(node, context);
+        }
+    }
+
+    docxList(list, context) {
+        const ordered = list.tagName === 'OL';
+        const level = context.numbering ? Math.min(context.numbering.level + 1, 8) : 0;
+        // Every ordered list restarts its numbering
+        const numId = this.docx.numbering.length + 1;
+        this.docx.numbering.push({ numId, ordered, start: ordered ? parseInt(list.getAttribute('start'), 10) || 1 : 1 });
+
+        return Array.from(list.children).filter(item => item.tagName === 'LI').map(item => {
+            // Only the item's first paragraph gets the bullet or number
+            const numbering = { numId, level, item: { numbered: false } };
+            return this.docxBlocks(item, { ...context, style: context.style === 'Quote' ? 'Quote' : 'ListParagraph', numbering });
+        }).join('');
+    }
+
+    docxCode(pre, context) {
+        const runs = this.docxRuns(Array.from(pre.childNodes), { mono: true, preserve: true });
+        // One paragraph per line keeps line breaks and the shading together
+        const lines = [[]];
+        runs.forEach(run => {
+            if (run.break) {
+                lines.push([]);
+            } else {
+                lines[lines.length - 1].push(run);
+            }
+        });
+        if (lines.length > 1 && lines[lines.length - 1].every(run => !run.text)) lines.pop();
+
+        return lines.map(line => this.docxParagraphXml(line.map(run => this.docxRunXml(run)).join(''), { ...context, style: 'Code', numbering: null })).join('');
+    }
+
+    docxTable(table, context) {
+        const rows = Array.from(table.querySelectorAll(':scope > thead > tr, :scope > tbody > tr, :scope > tr'));
+        const columns = Math.max(1, ...rows.map(row => row.cells.length));
+        const width = Math.floor(this.docxContentWidth() * 15);
+
+        const rowsXml = rows.map(row => {
+            const header = row.parentNode.tagName === 'THEAD';
+            const cells = Array.from(row.cells).map(cell => {
+                const align = cell.style.textAlign || cell.getAttribute('align') || '';
+                const content = this.docxBlocks(cell, { align, bold: cell.tagName === 'TH' }) || '<w:p/>';
+                const shading = cell.tagName === 'TH' ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>' : '';
+                return `<w:tc><w:tcPr><w:tcW w:w="${Math.floor(width / columns)}" w:type="dxa"/>${shading}</w:tcPr>${content}</w:tc>`;
+            }).join('');
+            return `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+        }).join('');
+
+        const grid = Array.from({ length: columns }, () => `<w:gridCol w:w="${Math.floor(width / columns)}"/>`).join('');
+        return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${width}" w:type="dxa"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${rowsXml}</w:tbl><w:p/>`;
+    }
+
+    docxParagraph(nodes, context, id) {
+        const runs = this.docxRuns(nodes, { bold: context.bold });
+
+        // Whitespace at the edges of a paragraph isn't shown in HTML either
+        const text = runs.filter(run => run.text !== undefined);
+        if (text.length > 0) {
+            text[0].text = text[0].text.replace(/^\s+/, '');
+            text[text.length - 1].text = text[text.length - 1].text.replace(/\s+$/, '');
+        }
+        if (runs.every(run => run.text !== undefined && !run.text) && !id) return '';
+
+        return this.docxParagraphXml(runs.map(run => this.docxRunXml(run)).join(''), context, id);
+    }
+
+    docxParagraphXml(content, context, id) {
+        let properties = '';
+        if (context.style) properties += `<w:pStyle w:val="${context.style}"/>`;
+        if (context.numbering) {
+            if (!context.numbering.item.numbered) {
+                context.numbering.item.numbered = true;
+                properties += `<w:numPr><w:ilvl w:val="${context.numbering.level}"/><w:numId w:val="${context.numbering.numId}"/></w:numPr>`;
+            } else {
+                properties += `<w:ind w:left="${720 * (context.numbering.level + 1)}"/>`;
+            }
+        } else if (context.indent) {
+            properties += `<w:ind w:left="${context.indent}"/>`;
+        }
+        const align = { center: 'center', right: 'right', justify: 'both' }[context.align];
+        if (align) properties += `<w:jc w:val="${align}"/>`;
+
+        const bookmark = id ? this.docxBookmark(id) : null;
+        const start = bookmark ? `<w:bookmarkStart w:id="${bookmark.id}" w:name="${bookmark.name}"/>` : '';
+        const end = bookmark ? `<w:bookmarkEnd w:id="${bookmark.id}"/>` : '';
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${start}${content}${end}</w:p>`;
+    }
+
+    // Word bookmark names: a letter first, no spaces, at most 40 characters
+    docxBookmark(id) {
+        if (!this.docx.bookmarks.has(id)) {
+            const index = this.docx.bookmarks.size + 1;
+            this.docx.bookmarks.set(id, { id: index, name: `_${id.replace(/[^\w]/g, '_')}`.slice(0, 32) + `_${index}` });
+        }
+        return this.docx.bookmarks.get(id);
+    }
+
+    // Flattens inline content into runs: { text, style } | { break } | { drawing } | { link, runs }
+    docxRuns(nodes, style) {
+        const runs = [];
+        nodes.forEach(node => {
+            if (node.nodeType === 3) {
+                const text = style.preserve ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+                if (style.preserve) {
+                    text.split('\n').forEach((line, index) => {
+                        if (index > 0) runs.push({ break: true });
+                        runs.push({ text: line, style });
+                    });
+                } else if (text) {
+                    runs.push({ text, style });
+                }
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            const graphic = this.options.graphics.get(node);
+            if (graphic) {
+                runs.push({ drawing: this.docxDrawing(graphic.data, graphic.width, graphic.height) });
+                return;
+            }
+
+            const tag = node.tagName;
+            const childStyle = { ...style };
+            switch (tag) {
+                case 'BR':
+                    runs.push(style.preserve ? { break: true } : { lineBreak: true });
+                    return;
+                case 'IMG':
+                    runs.push(this.docxImageRun(node));
+                    return;
+                case 'INPUT':
+                    if (node.type === 'checkbox') runs.push({ text: node.checked ? '☒ ' : '☐ ', style });
+                    return;
+                case 'STRONG':
+                case 'B':
+                    childStyle.bold = true;
+                    break;
+                case 'EM':
+                case 'I':
+                    childStyle.italic = true;
+                    break;
+                case 'DEL':
+                case 'S':
+                    childStyle.strike = true;
+                    break;
+                case 'U':
+                case 'INS':
+                    childStyle.underline = true;
+                    break;
+                case 'MARK':
+                    childStyle.highlight = true;
+                    break;
+                case 'SUB':
+                    childStyle.vertAlign = 'subscript';
+                    break;
+                case 'SUP':
+                    childStyle.vertAlign = 'superscript';
+                    break;
+                case 'CODE':
+                case 'KBD':
+                case 'SAMP':
+                    childStyle.mono = true;
+                    childStyle.inlineCode = !style.preserve;
+                    break;
+                case 'A': {
+                    const link = this.docxLinkTarget(node.getAttribute('href'));
+                    if (link) {
+                        runs.push({ link, runs: this.docxRuns(Array.from(node.childNodes), { ...style, link: true }) });
+                        return;
+                    }
+                    break;
+                }
+                default:
+                    break;
+            }
+
+            // Syntax highlighting colors
+            const tokenClass = Array.from(node.classList).find(name => name.startsWith('hljs-'));
+            const syntax = this.options.theme.syntax || {};
+            if (tokenClass && syntax[tokenClass.slice(5)]) {
+                childStyle.color = syntax[tokenClass.slice(5)];
+            }
+            if (node.classList.contains('is-highlighted')) {
+                childStyle.background = this.options.theme.lineHighlightBackground;
+            }
+
+            runs.push(...this.docxRuns(Array.from(node.childNodes), childStyle));
+        });
+        return runs;
+    }
+
+    docxLinkTarget(href) {
+        if (!href) return null;
+        if (href.startsWith('#')) {
+            return { anchor: this.docxBookmark(fragmentId(href)).name };
+        }
+        if (/^(https?:|mailto:)/i.test(href) || !/^[a-z][\w+.-]*:/i.test(href)) {
+            const id = `rIdLink${this.docx.relationships.length + 1}`;
+            this.docx.relationships.push(`<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${this.escapeXml(href)}" TargetMode="External"/>`);
+            return { id };
+        }
+        return null;
+    }
+
+    docxImageRun(img) {
+        const src = img.getAttribute('src');
+        const data = this.options.images.get(src);
+        const size = this.docx.imageSizes.get(src);
+        if (!data || !size) {
+            return { text: img.getAttribute('alt') ? `[${img.getAttribute('alt')}]` : '', style: { italic: true } };
+        }
+
+        // Explicit width/height attributes win, and nothing is wider than the page
+        let width = parseFloat(img.getAttribute('width')) || size.width;
+        let height = parseFloat(img.getAttribute('height')) || width * size.height / size.width;
+        const maxWidth = this.docxContentWidth();
+        if (width > maxWidth) {
+            height *= maxWidth / width;
+            width = maxWidth;
+        }
+        return { drawing: this.docxDrawing(data, width, height, img.getAttribute('alt') || '') };
+    }
+
+    // Inline picture; sizes in CSS pixels
+    docxDrawing(dataURL, width, height, description = '') {
+        if (!this.docx.media.has(dataURL)) {
+            const { type, base64 } = this.parseDataUrl(dataURL);
+            const index = this.docx.media.size + 1;
+            const name = `image${index}.${type === 'image/png' ? 'png' : 'jpeg'}`;
+            this.docx.media.set(dataURL, { name, base64, id: `rIdImage${index}` });
+            this.docx.relationships.push(`<Relationship Id="rIdImage${index}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${name}"/>`);
+        }
+
+        const { id, name } = this.docx.media.get(dataURL);
+        const emu = px => Math.round(px * 9525);
+        const drawingId = ++this.docx.drawingCount;
+        return `<w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${emu(width)}" cy="${emu(height)}"/>` +
+            `<wp:docPr id="${drawingId}" name="Picture ${drawingId}" descr="${this.escapeXml(description)}"/>` +
+            '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+            `<pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${emu(width)}" cy="${emu(height)}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+    }
+
+    docxRunXml(run) {
+        if (run.link) {
+            const target = run.link.anchor ? `w:anchor="${run.link.anchor}"` : `r:id="${run.link.id}"`;
+            return `<w:hyperlink ${target} w:history="1">${run.runs.map(inner => this.docxRunXml(inner)).join('')}</w:hyperlink>`;
+        }
+        if (run.drawing) return `<w:r>${run.drawing}</w:r>`;
+        if (run.lineBreak) return '<w:r><w:br/></w:r>';
+        if (run.break || !run.text) return '';
+
+        const style = run.style || {};
+        let properties = '';
+        // Element order follows the WordprocessingML schema
+        if (style.link) properties += '<w:rStyle w:val="Hyperlink"/>';
+        else if (style.inlineCode) properties += '<w:rStyle w:val="CodeChar"/>';
+        if (style.mono) properties += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+        if (style.bold) properties += '<w:b/>';
+        if (style.italic) properties += '<w:i/>';
+        if (style.strike) properties += '<w:strike/>';
+        if (style.color) properties += `<w:color w:val="${style.color.replace('#', '').toUpperCase()}"/>`;
+        if (style.highlight) properties += '<w:highlight w:val="yellow"/>';
+        if (style.underline) properties += '<w:u w:val="single"/>';
+        if (style.background) properties += `<w:shd w:val="clear" w:color="auto" w:fill="${style.background.replace('#', '').toUpperCase()}"/>`;
+        if (style.vertAlign) properties += `<w:vertAlign w:val="${style.vertAlign}"/>`;
+
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(run.text)}</w:t></w:r>`;
+    }
+
+    docxStyles() {
+        const theme = this.options.theme;
+        const color = value => String(value || '#000000').replace('#', '').toUpperCase();
+        const font = theme.bodyFont === 'serif' ? 'Times New Roman' : 'Calibri';
+        const headingSizes = [44, 36, 30, 26, 23, 21];
+
+        const headings = headingSizes.map((size, index) => `
+  <w:style w:type="paragraph" w:styleId="Heading${index + 1}">
+    <w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${index < 2 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr>
+    <w:rPr><w:b/><w:color w:val="${color(theme.headingColor)}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr>
+  </w:style>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="${this.escapeXml(this.options.language)}"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/><w:qFormat/>
+    <w:rPr><w:color w:val="${color(theme.textColor)}"/></w:rPr>
+  </w:style>${headings}
+  <w:style w:type="paragraph" w:styleId="Quote">
+    <w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="${color(theme.accentColor)}"/></w:pBdr><w:ind w:left="360"/></w:pPr>
+    <w:rPr><w:i/><w:color w:val="${color(theme.quoteColor)}"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph">
+    <w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Code">
+    <w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:shd w:val="clear" w:color="auto" w:fill="${color(theme.preBackground)}"/></w:pPr>
+    <w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:color w:val="${color(theme.preColor)}"/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="CodeTitle">
+    <w:name w:val="Code Title"/><w:basedOn w:val="Normal"/><w:next w:val="Code"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="120" w:after="0"/><w:shd w:val="clear" w:color="auto" w:fill="${color(theme.codeTitleBackground)}"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr>
+  </w:style>
+  <w:style w:type="character" w:styleId="CodeChar">
+    <w:name w:val="Code Char"/>
+    <w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:color w:val="${color(theme.codeColor)}"/><w:shd w:val="clear" w:color="auto" w:fill="${color(theme.codeBackground)}"/></w:rPr>
+  </w:style>
+  <w:style w:type="character" w:styleId="Hyperlink">
+    <w:name w:val="Hyperlink"/>
+    <w:rPr><w:color w:val="${color(theme.linkColor)}"/><w:u w:val="single"/></w:rPr>
+  </w:style>
+  <w:style w:type="table" w:styleId="TableGrid">
+    <w:name w:val="Table Grid"/>
+    <w:pPr><w:spacing w:after="0"/></w:pPr>
+    <w:tblPr>
+      <w:tblBorders>
+        <w:top w:val="single" w:sz="4" w:space="0" w:color="${color(theme.borderColor)}"/>
+        <w:left w:val="single" w:sz="4" w:space="0" w:color="${color(theme.borderColor)}"/>
+        <w:bottom w:val="single" w:sz="4" w:space="0" w:color="${color(theme.borderColor)}"/>
+        <w:right w:val="single" w:sz="4" w:space="0" w:color="${color(theme.borderColor)}"/>
+        <w:insideH w:val="single" w:sz="4" w:space="0" w:color="${color(theme.borderColor)}"/>
+        <w:insideV w:val="single" w:sz="4" w:space="0" w:color="${color(theme.borderColor)}"/>
+      </w:tblBorders>
+      <w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar>
+    </w:tblPr>
+  </w:style>
+</w:styles>
+`;
+    }
+
+    // Bullets and decimal numbers, one w:num per list so ordered lists restart
+    docxNumbering() {
+        const levels = ordered => Array.from({ length: 9 }, (_, level) => {
+            const format = ordered ? ['decimal', 'lowerLetter', 'lowerRoman'][level % 3] : 'bullet';
+            const text = ordered ? `%${level + 1}.` : ['•', '◦', '▪'][level % 3];
+            return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+        }).join('');
+
+        const nums = this.docx.numbering.map(({ numId, ordered, start }) =>
+            `<w:num w:numId="${numId}"><w:abstractNumId w:val="${ordered ? 1 : 0}"/>` +
+            (ordered ? `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride>` +
+                Array.from({ length: 8 }, (_, level) => `<w:lvlOverride w:ilvl="${level + 1}"><w:startOverride w:val="1"/></w:lvlOverride>`).join('') : '') +
+            '</w:num>').join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>
+${nums}
+</w:numbering>
+`;
+    }
+
+    // Helpers
+    parseDataUrl(dataURL) {
+        const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataURL);
+        if (!match) throw new Error('Not a data URL');
+        const base64 = match[2] ? match[3] : btoa(unescape(encodeURIComponent(decodeURIComponent(match[3]))));
+        return { type: match[1].replace('image/jpg', 'image/jpeg'), base64 };
+    }
+
+    createUuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    // Escapes text for XML (escapeHtml from core.js) and drops characters XML can't contain
+    escapeXml(text) {
+        return escapeHtml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+    }
+}
@@ -0,0 +1,167 @@
+// MarkdPDF - Document Library
+// Saved documents, their version snapshots and the images pasted into them, kept in IndexedDB
+
+class DocumentLibrary {
+    constructor(name = 'markdpdf') {
+        this.name = name;
+        this.db = null;
+    }
+
+    static get version() {
+        return 2;
+    }
+
+    // Snapshots kept per document; the oldest ones are dropped first
+    static get maxVersions() {
+        return 50;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, DocumentLibrary.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('documents')) {
+                    db.createObjectStore('documents', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('versions')) {
+                    const versions = db.createObjectStore('versions', { keyPath: 'id', autoIncrement: true });
+                    versions.createIndex('documentId', 'documentId');
+                }
+                if (!db.objectStoreNames.contains('images')) {
+                    db.createObjectStore('images', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs this connection closed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The document library is open in an outdated tab'));
+        });
+    }
+
+    // Runs fn(stores) in one transaction and resolves with its result once the transaction commits
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            Promise.resolve(fn(...stores)).then(value => {
+                result = value;
+            }, error => {
+                tx.abort();
+                reject(error);
+            });
+        });
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Documents
+    async listDocuments() {
+        const documents = await this.transaction('documents', 'readonly', store => DocumentLibrary.request(store.getAll()));
+        return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    getDocument(id) {
+        return this.transaction('documents', 'readonly', store => DocumentLibrary.request(store.get(id)));
+    }
+
+    async createDocument({ name, content = '' }) {
+        const now = Date.now();
+        const doc = { id: DocumentLibrary.createId(), name, content, createdAt: now, updatedAt: now };
+        await this.transaction('documents', 'readwrite', store => DocumentLibrary.request(store.add(doc)));
+        return doc;
+    }
+
+    // Merges changes into a stored document and bumps its modification time
+    async updateDocument(id, changes) {
+        return this.transaction('documents', 'readwrite', async store => {
+            const doc = await DocumentLibrary.request(store.get(id));
+            if (!doc) throw new Error(`Document ${id} not found`);
+
+            const updated = { ...doc, ...changes, id, updatedAt: Date.now() };
+            await DocumentLibrary.request(store.put(updated));
+            return updated;
+        });
+    }
+
+    async duplicateDocument(id, name) {
+        const doc = await this.getDocument(id);
+        if (!doc) throw new Error(`Document ${id} not found`);
+        return this.createDocument({ name, content: doc.content });
+    }
+
+    deleteDocument(id) {
+        return this.transaction(['documents', 'versions'], 'readwrite', async (documents, versions) => {
+            const keys = await DocumentLibrary.request(versions.index('documentId').getAllKeys(id));
+            keys.forEach(key => versions.delete(key));
+            await DocumentLibrary.request(documents.delete(id));
+        });
+    }
+
+    // Versions
+    async listVersions(documentId) {
+        const versions = await this.transaction('versions', 'readonly', store =>
+            DocumentLibrary.request(store.index('documentId').getAll(documentId)));
+        return versions.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    getVersion(id) {
+        return this.transaction('versions', 'readonly', store => DocumentLibrary.request(store.get(id)));
+    }
+
+    addVersion(documentId, content, label = '') {
+        return this.transaction('versions', 'readwrite', async store => {
+            const version = { documentId, content, label, createdAt: Date.now() };
+            version.id = await DocumentLibrary.request(store.add(version));
+
+            const keys = await DocumentLibrary.request(store.index('documentId').getAllKeys(documentId));
+            // Auto-increment keys are in creation order
+            keys.sort((a, b) => a - b)
+                .slice(0, Math.max(0, keys.length - DocumentLibrary.maxVersions))
+                .forEach(key => store.delete(key));
+
+            return version;
+        });
+    }
+
+    // Images: pasted or dropped files, shared by all documents, as { id, name, type, blob, width, height, createdAt }
+    async addImage({ blob, name = '', width = 0, height = 0 }) {
+        const image = { id: DocumentLibrary.createId(), name, type: blob.type, blob, width, height, createdAt: Date.now() };
+        await this.transaction('images', 'readwrite', store => DocumentLibrary.request(store.add(image)));
+        return image;
+    }
+
+    getImage(id) {
+        return this.transaction('images', 'readonly', store => DocumentLibrary.request(store.get(id)));
+    }
+}
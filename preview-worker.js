@@ -0,0 +1,34 @@
+// MarkdPDF - Preview Worker
+// Parses markdown into preview blocks off the main thread, so typing stays responsive in long documents.
+// The page sanitizes the blocks and puts the changed ones in the preview: DOMPurify needs a DOM.
+
+importScripts(
+    'vendor/marked/marked.min.js',
+    'vendor/js-yaml/js-yaml.min.js',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/katex/katex.min.js',
+    'emoji.js',
+    'templates.js',
+    'core.js'
+);
+
+let renderer = null;
+
+// { id, markdown, sanitize, diagramLanguages } -> { id, result } or { id, error }; result is plain data,
+// as renderBlocks() returns it
+self.addEventListener('message', ({ data }) => {
+    const { id, markdown, sanitize, diagramLanguages } = data;
+    try {
+        if (!renderer) {
+            renderer = new MarkdownRenderer({ DOMPurify: null, diagramLanguages, emoji: EMOJI_SHORTCODES, templates: DOCUMENT_TEMPLATES });
+        }
+        renderer.setSanitizeSettings(sanitize);
+
+        const { blocks, frontMatter, error, report } = renderer.renderBlocks(markdown);
+        // YAML errors don't survive being posted, only what the preview shows of them
+        const frontMatterError = error ? { reason: error.reason, message: error.message } : undefined;
+        self.postMessage({ id, result: { blocks, frontMatter, error: frontMatterError, report } });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
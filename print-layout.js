@@ -0,0 +1,290 @@
+// MarkdPDF - Print Layout
+// Splits the rendered document into pages at the paper size and margins of the page setup.
+// The preview's print layout shows these pages and the image PDF engine captures them,
+// so both break in the same places.
+
+class PrintLayout {
+    constructor(options = {}) {
+        const defaults = PrintLayout.defaults;
+        this.options = { ...defaults, ...options, margins: { ...defaults.margins, ...options.margins } };
+    }
+
+    static get defaults() {
+        return {
+            format: 'a4',
+            orientation: 'portrait',
+            // Page margins in mm, as in the page setup
+            margins: { top: 10, right: 10, bottom: 10, left: 10 },
+            // Fewest lines of a paragraph or code block left at the bottom of a page (orphans)
+            // and carried over to the top of the next one (widows)
+            orphans: 2,
+            widows: 2
+        };
+    }
+
+    // Blocks that are moved to the next page whole instead of being split
+    static get unbreakableSelector() {
+        return '.keep-together, .cover-page, h1, h2, h3, h4, h5, h6, img, hr, svg, tr, .math-block, .diagram, figure:not(.code-block), .theme-logo, .image-fallback';
+    }
+
+    // Blocks that stay on the page of the block after them
+    static get keepWithNextSelector() {
+        return 'h1, h2, h3, h4, h5, h6, .code-title, .admonition-title';
+    }
+
+    static get blockTags() {
+        return new Set([
+            'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR',
+            'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'MAIN', 'FIGURE', 'FIGCAPTION',
+            'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD'
+        ]);
+    }
+
+    // Page, margins and content area in CSS pixels
+    get size() {
+        const px = mm => mm * 96 / 25.4;
+        const { format, orientation, margins } = this.options;
+        const [short, long] = (PAPER_SIZES[format] || PAPER_SIZES.a4).map(px);
+        const [width, height] = orientation === 'landscape' ? [long, short] : [short, long];
+        const margin = {
+            top: px(margins.top),
+            right: px(margins.right),
+            bottom: px(margins.bottom),
+            left: px(margins.left)
+        };
+        return {
+            width,
+            height,
+            margins: margin,
+            contentWidth: width - margin.left - margin.right,
+            contentHeight: height - margin.top - margin.bottom
+        };
+    }
+
+    // Lays flow out as the content area of a page: as wide, with the page height for cover pages (styles.css)
+    prepareFlow(flow) {
+        const { contentWidth, contentHeight } = this.size;
+        flow.style.width = `${contentWidth}px`;
+        flow.style.setProperty('--page-content-height', `${contentHeight}px`);
+    }
+
+    // Splits the document laid out in flow, an element in the page as wide as the content area, into
+    // pages: [{ start, end, header }] with start and end in pixels from the top of flow, and header the
+    // table whose header rows are repeated at the top of the page
+    paginate(flow) {
+        this.origin = flow.getBoundingClientRect().top;
+
+        // Where a page may end and the next one start: { end, next, forced, header }
+        const breaks = [];
+        // Text blocks that may be split between lines, measured only when they cross the end of a page
+        const leaves = [];
+        const children = this.collectBreaks(flow, breaks, leaves);
+        breaks.sort((a, b) => a.end - b.end);
+
+        if (children.length === 0) {
+            return [{ start: 0, end: 0, header: null }];
+        }
+
+        const { contentHeight } = this.size;
+        const contentEnd = Math.max(...children.map(child => this.box(child).bottom));
+        const pages = [];
+        let start = this.box(children[0]).top;
+        let header = null;
+        let first = 0;
+
+        while (true) {
+            const headerHeight = header ? header.tHead.getBoundingClientRect().height : 0;
+            const limit = start + Math.max(1, contentHeight - headerHeight);
+
+            // The breaks that would end this page somewhere below its start
+            while (first < breaks.length && breaks[first].end <= start + 0.5) first++;
+            let last = first;
+            while (last < breaks.length && breaks[last].end <= limit) last++;
+            const inPage = breaks.slice(first, last);
+
+            let chosen = inPage.find(point => point.forced);
+            if (!chosen && contentEnd <= limit) {
+                pages.push({ start, end: contentEnd, header });
+                break;
+            }
+            if (!chosen) {
+                const candidates = inPage.slice();
+                leaves.filter(leaf => leaf.top < limit && leaf.bottom > limit).forEach(leaf => {
+                    candidates.push(...this.lineBreaks(leaf).filter(point => point.end > start + 0.5 && point.end <= limit));
+                });
+                chosen = candidates.reduce((best, point) => (!best || point.end > best.end ? point : best), null);
+            }
+            // Nothing fits, like an image taller than the page: it is cut at the bottom of the page
+            if (!chosen) {
+                chosen = { end: limit, next: limit, header: null };
+            }
+
+            pages.push({ start, end: chosen.end, header });
+            if (chosen.next >= contentEnd) break;
+            start = chosen.next;
+            header = chosen.header || null;
+        }
+        return pages;
+    }
+
+    // Top and bottom of an element in pixels from the top of the flow being paginated
+    box(el) {
+        const rect = el.getBoundingClientRect();
+        return { top: rect.top - this.origin, bottom: rect.bottom - this.origin };
+    }
+
+    // Break points between the children of parent and, recursively, inside them; returns the children
+    collectBreaks(parent, breaks, leaves) {
+        const children = Array.from(parent.children).filter(child => child.getClientRects().length > 0);
+
+        children.forEach((child, index) => {
+            const next = children[index + 1];
+            const bounds = this.box(child);
+
+            if (child.classList.contains('page-break')) {
+                if (next) breaks.push({ end: bounds.top, next: Math.max(bounds.top, this.box(next).top), forced: true });
+                return;
+            }
+
+            if (child.matches(PrintLayout.unbreakableSelector)) {
+                // Moved to the next page whole
+            } else if (child.tagName === 'TABLE') {
+                this.collectRowBreaks(child, breaks);
+            } else if (Array.from(child.children).some(el => PrintLayout.blockTags.has(el.tagName))) {
+                this.collectBreaks(child, breaks, leaves);
+            } else {
+                leaves.push({ el: child, ...bounds });
+            }
+
+            if (next && !child.matches(PrintLayout.keepWithNextSelector) && !next.classList.contains('page-break')) {
+                breaks.push({ end: bounds.bottom, next: Math.max(bounds.bottom, this.box(next).top) });
+            }
+        });
+        return children;
+    }
+
+    // Tables break between body rows; the header rows are repeated on the next page
+    collectRowBreaks(table, breaks) {
+        const head = table.tHead && table.tHead.rows.length > 0 ? table.tHead : null;
+        const rows = Array.from(table.rows).filter(row => row.parentNode !== head);
+
+        rows.slice(0, -1).forEach((row, index) => {
+            const end = this.box(row).bottom;
+            breaks.push({ end, next: Math.max(end, this.box(rows[index + 1]).top), header: head ? table : null });
+        });
+    }
+
+    // Breaks between the lines of a text block that leave at least `orphans` lines before and `widows` after
+    lineBreaks(leaf) {
+        if (!leaf.breaks) {
+            const { orphans, widows } = this.options;
+            const lines = this.lineBoxes(leaf.el);
+            leaf.breaks = [];
+            for (let count = Math.max(1, orphans); count <= lines.length - Math.max(1, widows); count++) {
+                leaf.breaks.push({ end: lines[count - 1].bottom, next: Math.max(lines[count - 1].bottom, lines[count].top) });
+            }
+        }
+        return leaf.breaks;
+    }
+
+    // Vertical extent of each line of text in el, from the boxes of its text and inline graphics
+    lineBoxes(el) {
+        const rects = [];
+        const range = el.ownerDocument.createRange();
+        const walker = el.ownerDocument.createTreeWalker(el, 4 /* NodeFilter.SHOW_TEXT */);
+        while (walker.nextNode()) {
+            range.selectNodeContents(walker.currentNode);
+            rects.push(...Array.from(range.getClientRects()));
+        }
+        el.querySelectorAll('img, svg, .katex, input').forEach(node => rects.push(node.getBoundingClientRect()));
+
+        const lines = [];
+        rects.filter(rect => rect.height > 0)
+            .sort((a, b) => a.top - b.top)
+            .forEach(rect => {
+                const top = rect.top - this.origin;
+                const bottom = rect.bottom - this.origin;
+                const last = lines[lines.length - 1];
+                // Boxes that overlap vertically are on the same line
+                if (last && top < last.bottom - 1) {
+                    last.bottom = Math.max(last.bottom, bottom);
+                } else {
+                    lines.push({ top, bottom });
+                }
+            });
+        return lines;
+    }
+
+    // Page elements showing each page's part of flow. Every page gets copies of the top-level blocks it
+    // shows, moved up and cut off so that only the part between the page's start and end is visible.
+    render(flow, pages) {
+        const document = flow.ownerDocument;
+        const size = this.size;
+        const flowRect = flow.getBoundingClientRect();
+        const blocks = Array.from(flow.children)
+            .filter(child => child.getClientRects().length > 0)
+            .map(el => {
+                const rect = el.getBoundingClientRect();
+                return { el, top: rect.top - flowRect.top, bottom: rect.bottom - flowRect.top };
+            });
+
+        return pages.map(({ start, end, header }) => {
+            const page = document.createElement('div');
+            page.className = 'print-page';
+            Object.assign(page.style, {
+                width: `${size.width}px`,
+                height: `${size.height}px`,
+                padding: `${size.margins.top}px ${size.margins.right}px ${size.margins.bottom}px ${size.margins.left}px`
+            });
+            page.style.setProperty('--page-content-height', `${size.contentHeight}px`);
+
+            if (header) {
+                page.appendChild(this.cloneTableHeader(header, flowRect));
+            }
+
+            const body = document.createElement('div');
+            body.className = 'print-page-body';
+            body.style.height = `${end - start}px`;
+            page.appendChild(body);
+
+            const shown = blocks.filter(block => block.bottom > start && block.top < end);
+            if (shown.length > 0) {
+                const content = document.createElement('div');
+                content.className = 'markdown-content print-content';
+                // The first block's top margin stays inside the content, which is a block formatting context
+                const marginTop = parseFloat(document.defaultView.getComputedStyle(shown[0].el).marginTop) || 0;
+                content.style.marginTop = `${shown[0].top - start - marginTop}px`;
+                shown.forEach(block => content.appendChild(block.el.cloneNode(true)));
+                body.appendChild(content);
+            }
+            return page;
+        });
+    }
+
+    // The header rows of a table continued from the previous page, at the same position and column widths
+    cloneTableHeader(table, flowRect) {
+        const document = table.ownerDocument;
+        const rect = table.getBoundingClientRect();
+        const wrapper = document.createElement('div');
+        wrapper.className = 'markdown-content print-content';
+
+        const clone = table.cloneNode(false);
+        clone.removeAttribute('id');
+        clone.removeAttribute('data-source-line');
+        clone.classList.add('print-repeated-header');
+        Object.assign(clone.style, {
+            width: `${rect.width}px`,
+            margin: `0 0 0 ${rect.left - flowRect.left}px`,
+            tableLayout: 'fixed'
+        });
+
+        const head = table.tHead.cloneNode(true);
+        Array.from(table.tHead.rows[0].cells).forEach((cell, index) => {
+            const copy = head.rows[0].cells[index];
+            if (copy) copy.style.width = `${cell.getBoundingClientRect().width}px`;
+        });
+        clone.appendChild(head);
+        wrapper.appendChild(clone);
+        return wrapper;
+    }
+}
@@ -1,330 +1,3227 @@
 // MarkdPDF - Markdown to PDF Converter
 // Main Application Logic
 
+// Delay between the last edit and saving the draft to the document library (ms)
+const AUTOSAVE_DELAY = 1000;
+
+// Minimum time between automatic version snapshots of a document (ms)
+const AUTO_VERSION_INTERVAL = 10 * 60 * 1000;
+
+// Pasted and dropped images are stored in the document library and referenced as local-images/<id>.<ext>
+const LOCAL_IMAGE_PATTERN = /^local-images\/([\w-]+)(?:\.\w+)?$/;
+
+// Downscaling and compression of pasted images; maxWidth 0 keeps the size, quality 0 keeps the format
+const DEFAULT_IMAGE_SETTINGS = { maxWidth: 1600, quality: 0 };
+
+// Delay between the last keystroke and updating the preview (ms)
+const PREVIEW_DELAY = 250;
+
+// Delay between the last preview change (an edit, an image or diagram loading) and laying out the pages again (ms)
+const PRINT_LAYOUT_DELAY = 100;
+
 class MarkdownConverter {
     constructor() {
         this.init();
         this.bindEvents();
         this.updatePreview();
+        // A .md file the installed app was opened with replaces the last document
+        this.restoreSession().then(() => this.openLaunchedFiles());
+        this.registerServiceWorker();
     }
 
     init() {
         // Get DOM elements
         this.markdownInput = document.getElementById('markdown-input');
+        this.findBar = document.getElementById('find-bar');
+        this.findCount = document.getElementById('find-count');
         this.markdownPreview = document.getElementById('markdown-preview');
+        this.previewContainer = this.markdownPreview.parentElement;
         this.fileInput = document.getElementById('file-input');
         this.savePdfBtn = document.getElementById('save-pdf');
+        this.exportToggleBtn = document.getElementById('export-toggle');
+        this.exportOptions = document.getElementById('export-options');
+        this.pdfEngineSelect = document.getElementById('pdf-engine');
+        this.pageSetupBtn = document.getElementById('page-setup-btn');
+        this.pageSetupDialog = document.getElementById('page-setup-dialog');
+        this.pageSetupForm = document.getElementById('page-setup-form');
+        this.variablesBtn = document.getElementById('variables-btn');
+        this.variablesDialog = document.getElementById('variables-dialog');
+        this.variablesForm = document.getElementById('variables-form');
+        this.variableFields = document.getElementById('variable-fields');
+        this.frontPageFields = document.getElementById('front-page-fields');
+        this.templateGallery = document.getElementById('template-gallery');
+        this.imageSettingsBtn = document.getElementById('image-settings');
+        this.imageSettingsDialog = document.getElementById('image-settings-dialog');
+        this.imageSettingsForm = document.getElementById('image-settings-form');
+        this.htmlSettingsBtn = document.getElementById('html-settings');
+        this.htmlSettingsDialog = document.getElementById('html-settings-dialog');
+        this.htmlSettingsForm = document.getElementById('html-settings-form');
         this.refreshBtn = document.getElementById('refresh-preview');
+        this.scrollSyncBtn = document.getElementById('scroll-sync');
+        this.printLayoutBtn = document.getElementById('print-layout');
+        this.printPages = document.getElementById('print-pages');
+        this.tableDialog = document.getElementById('table-dialog');
+        this.tableForm = document.getElementById('table-form');
+        this.tableGrid = document.getElementById('table-grid');
+        this.tableActionButtons = this.tableForm.querySelectorAll('[data-table-action]');
+        this.batchDialog = document.getElementById('batch-dialog');
+        this.batchForm = document.getElementById('batch-form');
+        this.batchQueueList = document.getElementById('batch-queue');
+        this.batchSummary = document.getElementById('batch-summary');
+        this.batchFileInput = document.getElementById('batch-file-input');
+        this.batchFolderInput = document.getElementById('batch-folder-input');
+        this.projectName = document.getElementById('project-name');
+        this.projectFileList = document.getElementById('project-file-list');
+        this.projectFolderInput = document.getElementById('project-folder-input');
+        this.projectZipInput = document.getElementById('project-zip-input');
+        this.convertProjectBtn = document.getElementById('convert-project');
+        this.closeProjectBtn = document.getElementById('close-project');
+        this.themeSelect = document.getElementById('document-theme');
+        this.themeCssInput = document.getElementById('theme-css-input');
+        this.loadThemeBtn = document.getElementById('load-theme-css');
+        this.deleteThemeBtn = document.getElementById('delete-theme');
         this.loadingOverlay = document.getElementById('loading-overlay');
-        this.formatBtns = document.querySelectorAll('.format-btn');
+        this.updatePrompt = document.getElementById('update-prompt');
+        this.formatBtns = document.querySelectorAll('.format-btn[data-format]');
+        this.libraryPanel = document.getElementById('library-panel');
+        this.libraryToggleBtn = document.getElementById('library-toggle');
+        this.newDocumentBtn = document.getElementById('new-document');
+        this.documentList = document.getElementById('document-list');
+        this.saveVersionBtn = document.getElementById('save-version');
+        this.versionList = document.getElementById('version-list');
+        this.insightsPanel = document.getElementById('insights-panel');
+        this.insightsToggleBtn = document.getElementById('insights-toggle');
+        this.problemCount = document.getElementById('problem-count');
+        this.documentStats = document.getElementById('document-stats');
+        this.outlineList = document.getElementById('outline-list');
+        this.problemList = document.getElementById('problem-list');
+
+        // Code editor wrapping the textarea, see editor.js
+        this.editor = new MarkdownEditor(this.markdownInput);
+        this.editorScroller = this.editor.getScrollerElement();
+
+        // Diagram-as-code fences: language -> async renderer returning SVG markup
+        this.diagramRenderers = new Map([
+            ['mermaid', source => this.renderMermaid(source)]
+        ]);
 
-        // Configure marked.js for better markdown parsing
-        marked.setOptions({
-            highlight: function(code, lang) {
-                return code; // Basic highlighting, can be enhanced with highlight.js
-            },
-            breaks: true,
-            gfm: true, // GitHub Flavored Markdown
-            tables: true,
-            sanitize: false // We'll use DOMPurify for sanitization
+        // Markdown parsing and sanitizing, see core.js
+        this.renderer = new MarkdownRenderer({
+            diagramLanguages: Array.from(this.diagramRenderers.keys()),
+            emoji: EMOJI_SHORTCODES,
+            templates: DOCUMENT_TEMPLATES,
+            sanitize: this.loadSanitizeSettings()
         });
 
+        // Markdown is parsed in a worker and only the blocks that changed are replaced in the preview
+        this.previewWorker = this.createPreviewWorker();
+        this.previewJobs = new Map();
+        this.previewJobCount = 0;
+        this.previewBlocks = [];
+        this.previewRequests = 0;
+        this.previewShown = 0;
+        this.schedulePreviewUpdate = this.debounce(() => this.updatePreview({ incremental: true }), PREVIEW_DELAY);
+        this.diagramCache = new Map();
+        this.diagramCount = 0;
+        this.diagramsReady = Promise.resolve();
+        if (typeof mermaid !== 'undefined') {
+            // Plain SVG text labels so the diagrams also survive sanitizing and rasterizing
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'default', htmlLabels: false, flowchart: { htmlLabels: false } });
+        }
+
+        // Restore the preferred PDF engine
+        this.pdfEngine = localStorage.getItem('markdpdf-pdf-engine') || 'raster';
+        this.pdfEngineSelect.value = this.pdfEngine;
+
+        // Document library: autosaved drafts and version snapshots in IndexedDB
+        this.library = new DocumentLibrary();
+        this.libraryAvailable = true;
+        this.currentDocumentId = null;
+        this.savedContent = null;
+        this.autosaveTimer = null;
+        this.saveQueue = Promise.resolve();
+        this.lastVersionAt = 0;
+        this.libraryPanel.classList.toggle('open', localStorage.getItem('markdpdf-library-open') === 'true');
+
+        // Statistics, outline and problems of the editor's document: { report, markdown } of its last parse
+        this.insights = null;
+        this.insightsPanel.classList.toggle('open', localStorage.getItem('markdpdf-insights-open') === 'true');
+
+        // Downloaded new version of the app, waiting for the update prompt (see registerServiceWorker())
+        this.waitingWorker = null;
+        this.updating = false;
+
+        // Batch conversion queue; batchSource is the markdown being converted instead of the editor's
+        this.batchQueue = [];
+        this.batchRunning = false;
+        this.batchSource = null;
+        this.batchPath = null;
+
+        // Folder or ZIP opened as a project: in-memory files that relative links and images resolve to
+        this.project = null;
+
+        // Object URLs of stored images by id (null for ones not in the library), and the ids being loaded
+        this.localImageUrls = new Map();
+        this.pendingLocalImages = new Set();
+        this.imageSettings = this.loadImageSettings();
+
+        // Editor/preview sync: matched scrolling, click-to-locate and the block under the cursor
+        this.scrollSync = localStorage.getItem('markdpdf-scroll-sync') !== 'false';
+        this.scrollSyncBtn.classList.toggle('active', this.scrollSync);
+        this.scrollAnchors = null;
+        this.syncedPane = null;
+        this.syncedScrollTop = 0;
+        this.highlightedBlock = null;
+
+        // Print layout: the preview shown as the pages of the PDF, see print-layout.js
+        this.printLayout = localStorage.getItem('markdpdf-print-layout') === 'true';
+        this.printLayoutBtn.classList.toggle('active', this.printLayout);
+        this.markdownPreview.classList.toggle('print-flow', this.printLayout);
+        this.printPages.hidden = !this.printLayout;
+        this.schedulePrintLayout = this.debounce(() => this.renderPrintLayout(), PRINT_LAYOUT_DELAY);
+
+        // Restore the saved page setup
+        this.pageSetup = this.loadPageSetup();
+
+        // Document theme: built-in and user CSS themes, scoped to the preview
+        this.customThemes = this.loadCustomThemes();
+        this.themeId = localStorage.getItem('markdpdf-theme') || 'default';
+        this.themeStyle = document.createElement('style');
+        this.themeStyle.id = 'document-theme-style';
+        document.head.appendChild(this.themeStyle);
+        this.populateThemeSelect();
+
         // Add smooth animations
         this.addAnimations();
     }
 
-    bindEvents() {
-        // Real-time markdown preview
-        this.markdownInput.addEventListener('input', () => {
-            this.debounce(this.updatePreview.bind(this), 300)();
-        });
+    bindEvents() {
+        // Real-time markdown preview
+        this.editor.on('input', () => {
+            this.schedulePreviewUpdate();
+        });
+
+        // File input handling
+        this.fileInput.addEventListener('change', (e) => {
+            this.handleFileLoad(e);
+        });
+
+        // Save PDF functionality
+        this.savePdfBtn.addEventListener('click', () => {
+            this.generatePDF();
+        });
+
+        // Export menu: HTML, DOCX and EPUB
+        this.exportToggleBtn.addEventListener('click', () => {
+            this.toggleExportMenu(this.exportOptions.hidden);
+        });
+
+        this.exportOptions.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-export]');
+            if (option) {
+                this.toggleExportMenu(false);
+                this.exportDocument(option.dataset.export);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.export-menu')) {
+                this.toggleExportMenu(false);
+            }
+        });
+
+        // PDF engine selection
+        this.pdfEngineSelect.addEventListener('change', () => {
+            this.pdfEngine = this.pdfEngineSelect.value;
+            localStorage.setItem('markdpdf-pdf-engine', this.pdfEngine);
+        });
+
+        // Document library
+        this.libraryToggleBtn.addEventListener('click', () => {
+            const open = this.libraryPanel.classList.toggle('open');
+            localStorage.setItem('markdpdf-library-open', open);
+        });
+
+        this.newDocumentBtn.addEventListener('click', () => {
+            this.createNewDocument();
+        });
+
+        this.documentList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleDocumentAction(button.dataset.action, button.closest('.document-item').dataset.id);
+            }
+        });
+
+        this.saveVersionBtn.addEventListener('click', () => {
+            this.saveVersion();
+        });
+
+        this.versionList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-version]');
+            if (button) {
+                this.restoreVersion(Number(button.dataset.version));
+            }
+        });
+
+        // New version of the app
+        document.getElementById('update-reload').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('update-dismiss').addEventListener('click', () => {
+            this.updatePrompt.hidden = true;
+        });
+
+        // Statistics, outline and problems
+        this.insightsToggleBtn.addEventListener('click', () => {
+            const open = this.insightsPanel.classList.toggle('open');
+            localStorage.setItem('markdpdf-insights-open', open);
+            this.renderInsights();
+        });
+
+        this.outlineList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-line]');
+            if (item) {
+                this.revealSourceLine(Number(item.dataset.line));
+            }
+        });
+
+        this.problemList.addEventListener('click', (e) => {
+            const fix = e.target.closest('[data-fix]');
+            const item = e.target.closest('[data-line]');
+            if (fix) {
+                this.applyQuickFix(Number(fix.dataset.fix));
+            } else if (item) {
+                this.revealSourceLine(Number(item.dataset.line));
+            }
+        });
+
+        // Don't lose the last keystrokes when the tab is closed or hidden
+        window.addEventListener('pagehide', () => this.flushAutosave());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushAutosave();
+        });
+
+        // Projects
+        document.getElementById('open-project-folder').addEventListener('click', () => this.projectFolderInput.click());
+        document.getElementById('open-project-zip').addEventListener('click', () => this.projectZipInput.click());
+
+        this.projectFolderInput.addEventListener('change', () => {
+            const files = Array.from(this.projectFolderInput.files);
+            this.openProject(files.map(file => ({ file, path: file.webkitRelativePath || file.name })));
+            this.projectFolderInput.value = '';
+        });
+
+        this.projectZipInput.addEventListener('change', () => {
+            const [file] = this.projectZipInput.files;
+            if (file) this.openProjectZip(file);
+            this.projectZipInput.value = '';
+        });
+
+        this.projectFileList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-path]');
+            if (button) {
+                this.openProjectFile(button.dataset.path);
+            }
+        });
+
+        this.convertProjectBtn.addEventListener('click', () => {
+            this.openBatch(this.getProjectMarkdownFiles().map(path => ({ file: this.project.files.get(path), path })));
+        });
+
+        this.closeProjectBtn.addEventListener('click', () => {
+            this.closeProject();
+        });
+        this.renderProjectFiles();
+
+        // Batch conversion
+        this.batchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runBatch();
+        });
+
+        this.batchQueueList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.moveBatchItem(Number(button.closest('.batch-item').dataset.index), button.dataset.action);
+            }
+        });
+
+        document.getElementById('batch-add-files').addEventListener('click', () => this.batchFileInput.click());
+        document.getElementById('batch-add-folder').addEventListener('click', () => this.batchFolderInput.click());
+        [this.batchFileInput, this.batchFolderInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.openBatch(Array.from(input.files).map(file => ({ file, path: file.webkitRelativePath || file.name })));
+                input.value = '';
+            });
+        });
+
+        // Document themes
+        this.themeSelect.addEventListener('change', () => {
+            this.selectTheme(this.themeSelect.value);
+        });
+
+        this.loadThemeBtn.addEventListener('click', () => {
+            this.themeCssInput.click();
+        });
+
+        this.themeCssInput.addEventListener('change', (e) => {
+            this.loadThemeCss(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        this.deleteThemeBtn.addEventListener('click', () => {
+            this.deleteCustomTheme(this.themeSelect.value);
+        });
+
+        // Page setup dialog
+        this.pageSetupBtn.addEventListener('click', () => {
+            this.openPageSetup();
+        });
+
+        this.pageSetupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePageSetup();
+        });
+
+        // Templates: the gallery shown in an empty editor and the document's variables
+        this.populateTemplateGallery();
+        this.templateGallery.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-template]');
+            if (card) this.useTemplate(card.dataset.template);
+        });
+
+        this.variablesBtn.addEventListener('click', () => {
+            this.openVariables();
+        });
+
+        this.variablesForm.elements.template.addEventListener('change', () => {
+            this.renderVariableFields();
+        });
+
+        this.variablesForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVariables();
+        });
+
+        // Pasted image settings
+        this.imageSettingsBtn.addEventListener('click', () => {
+            this.openImageSettings();
+        });
+
+        this.imageSettingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveImageSettings();
+        });
+
+        // Sanitization profile and allow-lists
+        this.htmlSettingsBtn.addEventListener('click', () => {
+            this.openSanitizeSettings();
+        });
+
+        this.htmlSettingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSanitizeSettings();
+        });
+
+        // Modal dialogs close on their close buttons, the backdrop and Escape
+        document.querySelectorAll('.modal-overlay').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('[data-close]')) {
+                    this.closeModal(modal);
+                }
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggleExportMenu(false);
+                document.querySelectorAll('.modal-overlay.show').forEach(modal => this.closeModal(modal));
+            }
+        });
+
+        // Internal links scroll the preview, external links open in a new tab
+        this.previewContainer.addEventListener('click', (e) => {
+            this.handlePreviewLinkClick(e);
+        });
+
+        // Editor/preview sync
+        this.scrollSyncBtn.addEventListener('click', () => {
+            this.setScrollSync(!this.scrollSync);
+        });
+
+        this.editorScroller.addEventListener('scroll', () => this.syncScroll(this.editorScroller));
+        this.previewContainer.addEventListener('scroll', () => this.syncScroll(this.previewContainer));
+        this.editor.on('input', () => this.invalidateScrollMap());
+
+        ['cursorActivity', 'focus'].forEach(type => {
+            this.editor.on(type, () => this.highlightSourceBlock());
+        });
+        this.editor.on('blur', () => this.clearSourceHighlight());
+
+        this.previewContainer.addEventListener('click', (e) => {
+            this.locateSource(e);
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            // Images and diagrams loading move the blocks below them
+            new ResizeObserver(() => {
+                this.scrollAnchors = null;
+                this.schedulePrintLayout();
+            }).observe(this.markdownPreview);
+        }
+
+        // Print layout
+        this.printLayoutBtn.addEventListener('click', () => {
+            this.setPrintLayout(!this.printLayout);
+        });
+
+        // Loaded images change the pages even when they keep their size
+        this.markdownPreview.addEventListener('load', () => this.schedulePrintLayout(), true);
+
+        // Refresh preview
+        this.refreshBtn.addEventListener('click', () => {
+            this.updatePreview();
+            this.animateRefresh();
+        });
+
+        // Formatting buttons
+        this.formatBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const button = e.target.closest('.format-btn');
+                this.handleFormatting(button.dataset.format, button);
+            });
+        });
+
+        // Table editor
+        this.tableForm.addEventListener('input', (e) => {
+            this.updateTableCell(e.target);
+        });
+
+        this.tableForm.addEventListener('focusin', (e) => {
+            this.updateTableCell(e.target);
+        });
+
+        this.tableForm.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-table-action]');
+            if (button) {
+                this.handleTableAction(button.dataset.tableAction);
+            }
+        });
+
+        this.tableForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTable();
+        });
+
+        // Keyboard shortcuts
+        this.editor.on('keydown', (e) => {
+            this.handleKeyboardShortcuts(e);
+        });
+
+        // Find and replace
+        document.getElementById('open-find').addEventListener('click', () => {
+            this.openFindBar();
+        });
+
+        this.findBar.addEventListener('submit', (e) => {
+            e.preventDefault();
+        });
+
+        this.findBar.addEventListener('input', (e) => {
+            if (e.target.name !== 'replace') {
+                this.updateSearch();
+            }
+        });
+
+        this.findBar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-find]');
+            if (button) {
+                this.handleFindAction(button.dataset.find);
+            }
+        });
+
+        this.findBar.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeFindBar();
+            } else if (e.key === 'Enter' && e.target.type === 'text') {
+                e.preventDefault();
+                if (e.target.name === 'replace') {
+                    this.handleFindAction(e.shiftKey ? 'replace-all' : 'replace');
+                } else {
+                    this.handleFindAction(e.shiftKey ? 'previous' : 'next');
+                }
+            }
+        });
+
+        // Prevent default drag and drop, enable custom file drop
+        this.setupDragAndDrop();
+
+        // Window resize handler for responsive layout
+        window.addEventListener('resize', this.debounce(this.handleResize.bind(this), 250));
+    }
+
+    // Resolves once the new content is in the preview. incremental: keep the blocks that didn't change,
+    // for edits; otherwise the preview is rebuilt, e.g. for another document or new settings.
+    updatePreview({ incremental = false } = {}) {
+        const markdownText = this.getSourceMarkdown();
+        const request = ++this.previewRequests;
+        this.renderError = null;
+        this.scheduleAutosave();
+        // The template gallery stands in for an empty document
+        this.templateGallery.hidden = this.editor.getValue() !== '';
+        
+        if (!markdownText.trim()) {
+            this.previewShown = request;
+            this.previewBlocks = [];
+            this.sourceBlocks = null;
+            this.markdownPreview.innerHTML = '<p style="color: #999; text-align: center; margin: 2em 0;">Start typing markdown to see the preview...</p>';
+            this.applyTheme();
+            if (this.batchSource === null) {
+                this.showInsights(this.renderer.createReport(), markdownText);
+            }
+            this.schedulePrintLayout();
+            return Promise.resolve();
+        }
+
+        // Parse (off the main thread when possible) and sanitize the markdown
+        return this.parseMarkdown(markdownText).then(({ blocks, error: frontMatterError, report }) => {
+            // A newer preview is showing already
+            if (request < this.previewShown) return;
+            this.previewShown = request;
+            // Batch conversions render other files; the panel stays on the editor's document
+            if (this.batchSource === null) {
+                this.showInsights(report, markdownText);
+            }
+
+            const update = () => {
+                const added = this.patchPreview(blocks, !incremental);
+                this.applyTheme();
+                this.renderer.finalize(this.markdownPreview);
+                this.markdownPreview.querySelector(':scope > .front-matter-error')?.remove();
+                if (frontMatterError) {
+                    this.showFrontMatterError(frontMatterError);
+                }
+                // Only the new blocks need their images and diagrams resolved
+                this.resolveProjectReferences(added);
+                this.resolveLocalImages(added);
+                // Handle image loading for external URLs
+                this.handleImageLoading(this.queryPreviewNodes(added, 'img'));
+                const diagrams = this.queryPreviewNodes(added, '.diagram[data-diagram]');
+                this.diagramsReady = this.diagramsReady.then(() => this.renderDiagrams(diagrams));
+                this.sourceBlocks = null;
+                this.scrollAnchors = null;
+                this.highlightedBlock = null;
+                this.highlightSourceBlock();
+                this.schedulePrintLayout();
+            };
+
+            // Edits go straight in; a new document fades in
+            return incremental ? update() : this.animatePreviewUpdate(update);
+        }).catch(error => {
+            if (request < this.previewShown) return;
+            console.error('Error parsing markdown:', error);
+            this.renderError = error;
+            this.previewBlocks = [];
+            this.sourceBlocks = null;
+            this.markdownPreview.innerHTML = `
+                <div style="color: #ff4444; padding: 1em; background: #ffe6e6; border-radius: 4px; border-left: 4px solid #ff4444;">
+                    <strong>Error parsing markdown:</strong><br>
+                    ${escapeHtml(error.message)}
+                </div>
+            `;
+            this.schedulePrintLayout();
+        });
+    }
+
+    // Replaces the preview blocks that differ from the last update, between the unchanged ones at the start
+    // and at the end, and returns the new top-level nodes. Kept blocks only get their new source line.
+    patchPreview(blocks, rebuild) {
+        const previous = rebuild || this.previewBlocks.length === 0 ? [] : this.previewBlocks;
+        if (previous.length === 0) {
+            this.markdownPreview.replaceChildren();
+        }
+
+        let start = 0;
+        while (start < previous.length && start < blocks.length && previous[start].html === blocks[start].html) {
+            start++;
+        }
+        let end = 0;
+        while (end < previous.length - start && end < blocks.length - start &&
+            previous[previous.length - 1 - end].html === blocks[blocks.length - 1 - end].html) {
+            end++;
+        }
+
+        const kept = previous.slice(previous.length - end);
+        const next = kept.flatMap(block => block.nodes)[0] || null;
+        previous.slice(start, previous.length - end).forEach(block => block.nodes.forEach(node => node.remove()));
+
+        const added = blocks.slice(start, blocks.length - end).map(block => ({
+            ...block,
+            nodes: Array.from(this.renderer.sanitizeHtml(block.html, true).childNodes)
+        }));
+        const fragment = document.createDocumentFragment();
+        added.forEach(block => fragment.append(...block.nodes));
+        this.markdownPreview.insertBefore(fragment, next);
+
+        this.previewBlocks = [...previous.slice(0, start), ...added, ...kept];
+        this.previewBlocks.forEach((block, index) => {
+            const isNew = index >= start && index < start + added.length;
+            if (isNew || block.line !== blocks[index].line) {
+                block.line = blocks[index].line;
+                this.setBlockLine(block);
+            }
+        });
+
+        return added.flatMap(block => block.nodes);
+    }
+
+    // data-source-line on the block's first element, as core.js adds it to the HTML of whole renders
+    setBlockLine(block) {
+        const first = block.nodes.find(node => node.nodeType !== Node.TEXT_NODE || node.nodeValue.trim());
+        if (!first || first.nodeType !== Node.ELEMENT_NODE) return;
+
+        if (block.line === null) {
+            first.removeAttribute('data-source-line');
+        } else {
+            first.dataset.sourceLine = block.line;
+        }
+    }
+
+    // Elements matching the selector among top-level preview nodes and their descendants
+    queryPreviewNodes(nodes, selector) {
+        return nodes.flatMap(node => (node.nodeType === Node.ELEMENT_NODE
+            ? [...(node.matches(selector) ? [node] : []), ...node.querySelectorAll(selector)]
+            : []));
+    }
+
+    // Preview workers can't start from file:// pages; the markdown is parsed on the page then
+    createPreviewWorker() {
+        if (typeof Worker === 'undefined') return null;
+
+        try {
+            const worker = new Worker('preview-worker.js');
+            worker.addEventListener('message', ({ data }) => {
+                const job = this.previewJobs.get(data.id);
+                if (!job) return;
+                this.previewJobs.delete(data.id);
+                if (data.error) {
+                    job.reject(new Error(data.error));
+                } else {
+                    job.resolve(data.result);
+                }
+            });
+            // The worker's libraries didn't load
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.stopPreviewWorker();
+            });
+            return worker;
+        } catch (error) {
+            console.warn('Parsing markdown on the page, the preview worker is not available:', error);
+            return null;
+        }
+    }
+
+    stopPreviewWorker() {
+        console.warn('The preview worker stopped, parsing markdown on the page instead');
+        this.previewWorker.terminate();
+        this.previewWorker = null;
+
+        const jobs = Array.from(this.previewJobs.values());
+        this.previewJobs.clear();
+        jobs.forEach(job => this.parseMarkdown(job.markdown).then(job.resolve, job.reject));
+    }
+
+    // Preview blocks of the markdown, see MarkdownRenderer.renderBlocks()
+    parseMarkdown(markdown) {
+        if (!this.previewWorker) {
+            return new Promise(resolve => resolve(this.renderer.renderBlocks(markdown)));
+        }
+
+        const id = ++this.previewJobCount;
+        return new Promise((resolve, reject) => {
+            this.previewJobs.set(id, { markdown, resolve, reject });
+            this.previewWorker.postMessage({
+                id,
+                markdown,
+                sanitize: this.renderer.sanitize,
+                diagramLanguages: Array.from(this.diagramRenderers.keys())
+            });
+        });
+    }
+
+    // Markdown being rendered: the editor, or the file a batch conversion is working on
+    getSourceMarkdown() {
+        return this.batchSource !== null ? this.batchSource : this.editor.getValue();
+    }
+
+    getFrontMatter() {
+        return this.renderer.parseFrontMatter(this.getSourceMarkdown()).data;
+    }
+
+    showFrontMatterError(error) {
+        const box = document.createElement('div');
+        box.className = 'front-matter-error';
+        box.style.cssText = 'color: #ff4444; padding: 1em; background: #ffe6e6; border-radius: 4px; border-left: 4px solid #ff4444; margin-bottom: 1em;';
+
+        const label = document.createElement('strong');
+        label.textContent = 'Invalid front matter: ';
+        box.append(label, error.reason || error.message);
+
+        this.markdownPreview.prepend(box);
+    }
+
+    // Page setup with the document's front matter overrides applied
+    getEffectivePageSetup() {
+        return this.renderer.getPageSetup(this.getFrontMatter(), this.pageSetup);
+    }
+
+    // Replace diagram fences in the preview with their SVG, or an inline error
+    // Runs after the previous call has finished (see diagramsReady): diagram libraries keep global render state
+    async renderDiagrams(blocks) {
+        for (const block of blocks) {
+            // Edited away while the diagrams before it were rendered
+            if (!block.isConnected) continue;
+
+            const language = block.dataset.diagram;
+            const source = block.querySelector('.diagram-source').textContent;
+            const key = `${language}\n${source}`;
+
+            let result = this.diagramCache.get(key);
+            if (!result) {
+                try {
+                    result = { svg: await this.diagramRenderers.get(language)(source) };
+                } catch (error) {
+                    result = { error: error.message || error.str || String(error) };
+                }
+                this.diagramCache.set(key, result);
+                if (this.diagramCache.size > 50) {
+                    this.diagramCache.delete(this.diagramCache.keys().next().value);
+                }
+            }
+
+            if (!block.isConnected) continue;
+
+            if (result.svg) {
+                block.innerHTML = DOMPurify.sanitize(result.svg, { USE_PROFILES: { svg: true, svgFilters: true } });
+            } else {
+                this.showDiagramError(block, result.error);
+            }
+        }
+    }
+
+    async renderMermaid(source) {
+        if (typeof mermaid === 'undefined') {
+            throw new Error('Mermaid is not loaded');
+        }
+
+        // Unique per diagram, as the SVG's styles are scoped to its id
+        const id = `mermaid-diagram-${++this.diagramCount}`;
+        try {
+            const { svg } = await mermaid.render(id, source);
+            return svg;
+        } finally {
+            // Mermaid leaves its scratch element behind when parsing fails
+            document.getElementById(`d${id}`)?.remove();
+        }
+    }
+
+    showDiagramError(block, message) {
+        const box = document.createElement('div');
+        box.className = 'diagram-error';
+        box.style.cssText = 'color: #ff4444; padding: 0.75em 1em; background: #ffe6e6; border-radius: 4px; border-left: 4px solid #ff4444; margin-bottom: 0.5em; text-align: left; white-space: pre-wrap;';
+
+        const label = document.createElement('strong');
+        label.textContent = `${block.dataset.diagram} diagram error: `;
+        box.append(label, message);
+
+        block.prepend(box);
+    }
+
+    handlePreviewLinkClick(event) {
+        const link = event.target.closest('a[href]');
+        if (!link) return;
+
+        event.preventDefault();
+        const href = link.getAttribute('href');
+
+        if (link.dataset.projectPath) {
+            this.openProjectFile(link.dataset.projectPath, link.dataset.projectFragment);
+        } else if (href.startsWith('#')) {
+            const target = this.getPreviewRoot().querySelector(`[id="${CSS.escape(fragmentId(href))}"]`);
+            if (target) {
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        } else {
+            window.open(link.href, '_blank', 'noopener');
+        }
+    }
+
+    // Editor/preview sync
+    setScrollSync(enabled) {
+        this.scrollSync = enabled;
+        localStorage.setItem('markdpdf-scroll-sync', enabled);
+        this.scrollSyncBtn.classList.toggle('active', enabled);
+
+        if (enabled) {
+            this.syncScroll(this.editorScroller);
+            this.highlightSourceBlock();
+        } else {
+            this.clearSourceHighlight();
+        }
+    }
+
+    invalidateScrollMap() {
+        this.scrollAnchors = null;
+    }
+
+    // The element showing the preview: the pages in print layout, the preview itself otherwise
+    getPreviewRoot() {
+        return this.printLayout ? this.printPages : this.markdownPreview;
+    }
+
+    // Top blocks of the preview with their first source line (data-source-line, see core.js), until the next update.
+    // In print layout, blocks split between pages are on each of them.
+    getSourceBlocks() {
+        if (!this.sourceBlocks) {
+            const selector = this.printLayout ? '.print-page-body > .print-content > [data-source-line]' : ':scope > [data-source-line]';
+            this.sourceBlocks = Array.from(this.getPreviewRoot().querySelectorAll(selector), element => ({
+                element,
+                line: Number(element.dataset.sourceLine)
+            }));
+        }
+        return this.sourceBlocks;
+    }
+
+    // Matching scroll offsets of the two panes: each preview block and the line it starts on
+    getScrollAnchors() {
+        if (this.scrollAnchors) return this.scrollAnchors;
+
+        const origin = this.previewContainer.getBoundingClientRect().top - this.previewContainer.scrollTop;
+        const anchors = [{ editor: 0, preview: 0 }];
+        const addAnchor = (editor, preview) => {
+            const last = anchors[anchors.length - 1];
+            // Both sides must keep increasing for the mapping to work in either direction
+            if (editor > last.editor && preview > last.preview) {
+                anchors.push({ editor, preview });
+            }
+        };
+
+        this.getSourceBlocks().forEach(({ element, line }) => {
+            addAnchor(this.editor.lineTop(line), element.getBoundingClientRect().top - origin);
+        });
+        addAnchor(this.editorScroller.scrollHeight, this.previewContainer.scrollHeight);
+
+        this.scrollAnchors = anchors;
+        return anchors;
+    }
+
+    // Scrolls the other pane to the position matching the one the user scrolled
+    syncScroll(source) {
+        if (!this.scrollSync || this.batchSource !== null) return;
+
+        // Skip the scroll event caused by our own update of this pane
+        if (source === this.syncedPane && Math.abs(source.scrollTop - this.syncedScrollTop) < 2) {
+            this.syncedPane = null;
+            return;
+        }
+
+        const fromEditor = source === this.editorScroller;
+        const target = fromEditor ? this.previewContainer : this.editorScroller;
+        const [from, to] = fromEditor ? ['editor', 'preview'] : ['preview', 'editor'];
+        const position = source.scrollTop;
+        let scrollTop;
+
+        if (position >= source.scrollHeight - source.clientHeight - 1) {
+            // Both ends line up even when the last blocks differ in height
+            scrollTop = target.scrollHeight - target.clientHeight;
+        } else {
+            const anchors = this.getScrollAnchors();
+            const next = anchors.findIndex(anchor => anchor[from] > position);
+            if (next === -1) {
+                scrollTop = anchors[anchors.length - 1][to];
+            } else {
+                const start = anchors[next - 1];
+                const end = anchors[next];
+                const ratio = (position - start[from]) / (end[from] - start[from]);
+                scrollTop = start[to] + ratio * (end[to] - start[to]);
+            }
+        }
+
+        target.scrollTop = scrollTop;
+        this.syncedPane = target;
+        this.syncedScrollTop = target.scrollTop;
+    }
+
+    // Clicking a preview block puts the editor cursor on its first source line
+    locateSource(event) {
+        if (!this.scrollSync || this.batchSource !== null || event.defaultPrevented) return;
+        // Leave links, checkboxes and text selections alone
+        if (event.target.closest('a, input, summary') || !window.getSelection().isCollapsed) return;
+
+        const block = this.getSourceBlocks().find(({ element }) => element.contains(event.target));
+        if (block) {
+            this.revealSourceLine(block.line);
+        }
+    }
+
+    revealSourceLine(line) {
+        const scroller = this.editorScroller;
+        this.editor.setCursor(line);
+        this.editor.focus();
+
+        // Show the line a third of the way down without moving the preview the user clicked in
+        scroller.scrollTop = Math.max(0, this.editor.lineTop(line) - scroller.clientHeight / 3);
+        this.syncedPane = scroller;
+        this.syncedScrollTop = scroller.scrollTop;
+        this.highlightSourceBlock();
+    }
+
+    // Marks the preview block that contains the editor cursor
+    highlightSourceBlock() {
+        if (!this.scrollSync || this.batchSource !== null || !this.editor.hasFocus()) return;
+
+        const line = this.editor.getCursorLine();
+        let current = null;
+        for (const block of this.getSourceBlocks()) {
+            if (block.line > line) break;
+            current = block.element;
+        }
+
+        if (current !== this.highlightedBlock) {
+            this.clearSourceHighlight();
+            if (current) {
+                current.classList.add('source-highlight');
+                this.highlightedBlock = current;
+            }
+        }
+    }
+
+    clearSourceHighlight() {
+        if (this.highlightedBlock) {
+            this.highlightedBlock.classList.remove('source-highlight');
+            this.highlightedBlock = null;
+        }
+    }
+
+    // Statistics, outline and problems, from the parse of the preview (see MarkdownRenderer.createReport())
+    showInsights(report, markdown) {
+        this.insights = { report, markdown };
+        const { issues } = report;
+        this.problemCount.textContent = issues.length;
+        this.problemCount.hidden = issues.length === 0;
+        this.problemCount.classList.toggle('has-errors', issues.some(issue => issue.severity === 'error'));
+        this.renderInsights();
+    }
+
+    // Only an open panel is kept up to date
+    renderInsights() {
+        if (!this.insights || !this.insightsPanel.classList.contains('open')) return;
+
+        const { stats, outline, issues } = this.insights.report;
+        const count = value => value.toLocaleString();
+        this.documentStats.innerHTML = [
+            ['Words', count(stats.words)],
+            ['Characters', count(stats.characters)],
+            ['Reading time', stats.words > 0 ? `${count(stats.readingMinutes)} min` : '-'],
+            ['Headings', count(stats.headings)],
+            ['Links', count(stats.links)],
+            ['Images', count(stats.images)],
+            ['Tables', count(stats.tables)],
+            ['Code blocks', count(stats.codeBlocks)]
+        ].map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('');
+
+        this.outlineList.innerHTML = outline.length === 0
+            ? '<li class="insights-empty">No headings</li>'
+            : outline.map(heading => `
+                <li>
+                    <button type="button" class="outline-item" data-line="${heading.line}" style="--level: ${heading.level}" title="Line ${heading.line + 1}">
+                        ${escapeHtml(heading.text || 'Untitled')}
+                    </button>
+                </li>
+            `).join('');
+
+        // By line; data-fix is the index in the report
+        const sorted = issues.map((issue, index) => ({ issue, index })).sort((a, b) => a.issue.line - b.issue.line);
+        this.problemList.innerHTML = sorted.length === 0
+            ? '<li class="insights-empty">No problems found</li>'
+            : sorted.map(({ issue, index }) => `
+                <li class="problem-item ${issue.severity}">
+                    <i class="fas ${issue.severity === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}" title="${issue.severity === 'error' ? 'Error' : 'Warning'}"></i>
+                    <button type="button" class="problem-text" data-line="${issue.line}" title="Go to line ${issue.line + 1}">
+                        <span>${escapeHtml(issue.message)}</span>
+                        <span class="problem-line">Line ${issue.line + 1}</span>
+                    </button>
+                    ${issue.fix ? `<button type="button" class="problem-fix" data-fix="${index}">${escapeHtml(issue.fix.label)}</button>` : ''}
+                </li>
+            `).join('');
+    }
+
+    applyQuickFix(index) {
+        const { report, markdown } = this.insights;
+        // Lines moved since the report; the next one comes with the preview update
+        if (markdown !== this.editor.getValue()) return;
+
+        const { fix } = report.issues[index];
+        this.editor.setLines(fix.first, fix.last, fix.text.split('\n'));
+        this.editor.focus();
+    }
+
+    // Print layout
+    setPrintLayout(enabled) {
+        this.printLayout = enabled;
+        localStorage.setItem('markdpdf-print-layout', enabled);
+        this.printLayoutBtn.classList.toggle('active', enabled);
+        this.clearSourceHighlight();
+
+        this.markdownPreview.classList.toggle('print-flow', enabled);
+        this.printPages.hidden = !enabled;
+        if (enabled) {
+            this.renderPrintLayout();
+        } else {
+            this.markdownPreview.style.removeProperty('width');
+            this.markdownPreview.style.removeProperty('--page-content-height');
+            this.printPages.replaceChildren();
+            this.sourceBlocks = null;
+            this.scrollAnchors = null;
+            this.highlightSourceBlock();
+        }
+    }
+
+    // Lays the preview out as pages at the paper size and margins of the page setup. The preview stays
+    // in place, hidden and as wide as the page content, and each page shows copies of its part of it.
+    renderPrintLayout() {
+        if (!this.printLayout) return;
+
+        const setup = this.getEffectivePageSetup();
+        const layout = new PrintLayout(setup);
+        this.clearSourceHighlight();
+        layout.prepareFlow(this.markdownPreview);
+
+        const pages = layout.render(this.markdownPreview, layout.paginate(this.markdownPreview));
+        this.printPages.replaceChildren(...pages);
+        this.fillTocPageNumbers(this.printPages, this.measureRasterLayout(pages, px => px).anchors);
+        this.addPageMarginText(pages, setup);
+        this.fitPrintPages();
+
+        this.sourceBlocks = null;
+        this.scrollAnchors = null;
+        this.highlightSourceBlock();
+    }
+
+    // Running header and footer in the page margins, where finishPdf() draws them in the PDF
+    addPageMarginText(pages, setup) {
+        const { header, footer, margins } = setup;
+        const markdown = this.getSourceMarkdown();
+        const values = this.renderer.getMarginTextValues(markdown, pages.length);
+        const firstPage = this.renderer.hasCoverPage(markdown) ? 1 : 0;
+        const templates = [
+            [header, `top: ${margins.top / 2 + 1.5}mm`],
+            [footer, `top: calc(100% - ${margins.bottom / 2 - 1.5}mm)`]
+        ];
+
+        pages.slice(firstPage).forEach((page, index) => {
+            templates.forEach(([template, position]) => {
+                if (!template.trim()) return;
+
+                const text = document.createElement('div');
+                text.className = 'print-margin-text';
+                text.style.cssText = `${position}; left: ${margins.left}mm; right: ${margins.right}mm;`;
+                this.renderer.getMarginTextSlots(template, { ...values, page: String(firstPage + index + 1) }).forEach(slot => {
+                    const span = document.createElement('span');
+                    span.textContent = slot;
+                    text.appendChild(span);
+                });
+                page.appendChild(text);
+            });
+        });
+    }
+
+    // Pages wider than the preview panel are shown smaller
+    fitPrintPages() {
+        const page = this.printPages.firstElementChild;
+        if (!this.printLayout || !page) return;
+
+        const style = getComputedStyle(this.previewContainer);
+        const available = this.previewContainer.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+        this.printPages.style.zoom = Math.min(1, available / page.offsetWidth);
+    }
+
+    handleFileLoad(event) {
+        const files = Array.from(event.target.files);
+        const file = files[0];
+        if (!file) return;
+
+        // A ZIP is opened as a project, several files go to the batch converter
+        if (files.length === 1 && this.isZipFile(file)) {
+            this.openProjectZip(file);
+            return;
+        }
+        if (files.length > 1) {
+            this.openBatch(files.map(item => ({ file: item, path: item.webkitRelativePath || item.name })));
+            return;
+        }
+
+        // Validate file type
+        if (!this.isMarkdownFile(file)) {
+            this.showNotification('Please select a valid markdown file (.md, .markdown, .txt)', 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            await this.importDocument(file.name, e.target.result);
+            this.animateFileLoad();
+            this.showNotification(`File "${file.name}" loaded successfully!`, 'success');
+        };
+
+        reader.onerror = () => {
+            this.showNotification('Error reading file', 'error');
+        };
+
+        reader.readAsText(file);
+    }
+
+    // Files opened with the installed app, see file_handlers in manifest.webmanifest
+    openLaunchedFiles() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async ({ files }) => {
+            if (!files || files.length === 0) return;
+            const opened = await Promise.all(files.map(handle => handle.getFile()));
+            this.handleFileLoad({ target: { files: opened } });
+        });
+    }
+
+    isZipFile(file) {
+        return /\.zip$/i.test(file.name) || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+    }
+
+    isMarkdownFile(file) {
+        const allowedTypes = ['text/markdown', 'text/plain', 'application/octet-stream'];
+        const fileExtension = file.name.toLowerCase().split('.').pop();
+        return allowedTypes.includes(file.type) || ['md', 'markdown', 'txt'].includes(fileExtension);
+    }
+
+    async generatePDF() {
+        if (!this.editor.getValue().trim()) {
+            this.showNotification('Please enter some markdown content first', 'warning');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const { pdf, filename, failedImages, missingCharacters } = await this.buildPDF();
+            pdf.save(filename);
+            
+            const warnings = [];
+            if (failedImages.length > 0) {
+                warnings.push(`${failedImages.length} image(s) could not be embedded: ${failedImages.join(', ')}`);
+            }
+            if (missingCharacters.length > 0) {
+                warnings.push(`the PDF fonts have no ${missingCharacters.join(' ')}, shown as "?"`);
+            }
+            if (warnings.length > 0) {
+                this.showNotification(`PDF generated, but ${warnings.join('; ')}`, 'warning');
+            } else {
+                this.showNotification('PDF generated successfully!', 'success');
+            }
+            
+        } catch (error) {
+            console.error('Error generating PDF:', error);
+            this.showNotification('Error generating PDF. Please try again.', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    toggleExportMenu(open) {
+        this.exportOptions.hidden = !open;
+        this.exportToggleBtn.setAttribute('aria-expanded', String(open));
+        if (open) {
+            this.exportOptions.querySelector('button').focus();
+        }
+    }
+
+    // Standalone HTML, DOCX or EPUB of the current preview, see exporters.js
+    async exportDocument(format) {
+        if (!this.getSourceMarkdown().trim()) {
+            this.showNotification('Please enter some markdown content first', 'warning');
+            return;
+        }
+
+        this.showLoading(true);
+        const element = this.markdownPreview;
+        this.clearSourceHighlight();
+        const restoreLinks = this.useProjectLinkExtension(element, format);
+
+        try {
+            await this.diagramsReady;
+            const { inlined, failed } = await this.inlineImages(element);
+            const frontMatter = this.getFrontMatter();
+
+            // HTML keeps KaTeX and SVG as they are; Word and EPUB get images of them
+            const exporter = new DocumentExporter({
+                title: this.getDocumentTitle() || 'Document',
+                author: frontMatter.author ? [].concat(frontMatter.author).join(', ') : '',
+                language: String(frontMatter.lang || frontMatter.language || 'en'),
+                css: await this.collectDocumentCss(format === 'html'),
+                images: format === 'html' ? inlined : await this.getEmbeddableImages(inlined),
+                graphics: format === 'html' ? new Map() : await this.renderGraphics(element),
+                pageSetup: this.getEffectivePageSetup(),
+                theme: { ...VectorPdfRenderer.defaults.theme, ...this.getActiveTheme().pdf }
+            });
+
+            let blob;
+            if (format === 'html') {
+                blob = exporter.toHtml(element);
+            } else if (format === 'docx') {
+                blob = await exporter.toDocx(element);
+            } else {
+                blob = await exporter.toEpub(element);
+            }
+            this.downloadBlob(blob, this.generateFilename().replace(/\.pdf$/i, `.${format}`));
+
+            if (failed.length > 0) {
+                this.showNotification(`Exported, but ${failed.length} image(s) could not be embedded: ${failed.join(', ')}`, 'warning');
+            } else {
+                this.showNotification(`${format.toUpperCase()} exported successfully!`, 'success');
+            }
+        } catch (error) {
+            console.error(`Error exporting ${format}:`, error);
+            this.showNotification(`Error exporting ${format.toUpperCase()}: ${error.message}`, 'error');
+        } finally {
+            restoreLinks();
+            this.showLoading(false);
+        }
+    }
+
+    // Preview styles for exported files: the content rules of styles.css, the document theme and KaTeX
+    async collectDocumentCss(includeMath) {
+        const contentRules = rules => Array.from(rules).map(rule => {
+            if (rule.selectorText !== undefined) {
+                return /markdown-content|^:root$/.test(rule.selectorText) ? rule.cssText : '';
+            }
+            if (rule.media && rule.cssRules) {
+                const inner = contentRules(rule.cssRules);
+                return inner ? `@media ${rule.media.mediaText} {\n${inner}\n}` : '';
+            }
+            return '';
+        }).filter(Boolean).join('\n');
+
+        const parts = [];
+        for (const sheet of Array.from(document.styleSheets)) {
+            if (sheet.ownerNode === this.themeStyle) continue;
+
+            // KaTeX's stylesheet goes in whole, the others only with their rules for the content
+            if (sheet.href && /katex/i.test(sheet.href)) {
+                if (!includeMath || !this.markdownPreview.querySelector('.katex')) continue;
+                try {
+                    const response = await fetch(sheet.href);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    // Font URLs are relative to the stylesheet
+                    const css = await response.text();
+                    parts.push(css.replace(/url\((['"]?)(?!data:|https?:)([^'")]+)\1\)/g, (match, quote, url) => `url(${quote}${new URL(url, sheet.href)}${quote})`));
+                } catch (error) {
+                    console.warn('Could not inline the KaTeX stylesheet:', error);
+                    parts.unshift(`@import url("${sheet.href}");`);
+                }
+                continue;
+            }
+
+            let rules = null;
+            try {
+                rules = sheet.cssRules;
+            } catch (error) {
+                // Cross-origin stylesheet
+            }
+            if (rules) {
+                parts.push(contentRules(rules));
+            }
+        }
+
+        parts.push(this.themeStyle.textContent);
+        return parts.filter(Boolean).join('\n');
+    }
+
+    // Renders the current preview into a finished jsPDF document with outline, headers/footers and metadata
+    async buildPDF() {
+        // Prepare content for PDF
+        const element = this.markdownPreview;
+        this.clearSourceHighlight();
+        await this.diagramsReady;
+
+        // Inline every image up front; only the ones that can't be fetched become placeholders
+        const { inlined: inlinedImages, failed: failedImages } = await this.inlineImages(element);
+
+        const setup = this.getEffectivePageSetup();
+        const restoreLinks = this.useProjectLinkExtension(element, 'pdf');
+        let rendered;
+        try {
+            rendered = this.pdfEngine === 'vector'
+                ? await this.renderVectorPDF(element, inlinedImages, setup)
+                : await this.renderRasterPDF(element, inlinedImages, setup);
+        } finally {
+            restoreLinks();
+        }
+        const { pdf, headings, anchors } = rendered;
+
+        // Characters the fonts don't have, from the text engine and the headers and footers
+        const missingCharacters = new Set(rendered.missingCharacters);
+        this.renderer.finishPdf(pdf, {
+            markdown: this.getSourceMarkdown(),
+            headings,
+            setup,
+            encodeText: text => VectorPdfRenderer.replaceMissingGlyphs(pdf, text, char => missingCharacters.add(char))
+        });
+        return { pdf, headings, anchors, filename: this.generateFilename(), failedImages, missingCharacters: Array.from(missingCharacters) };
+    }
+
+    // Raster engine: the pages of the print layout (see print-layout.js), each captured with html2canvas
+    async renderRasterPDF(element, inlinedImages, setup) {
+        const { format, orientation } = setup;
+        const layout = new PrintLayout(setup);
+
+        // The pages are laid out out of sight, from a copy of the preview laid out like the page content
+        const host = document.createElement('div');
+        host.className = 'print-host';
+        const flow = element.cloneNode(true);
+        flow.removeAttribute('id');
+        flow.removeAttribute('style');
+        flow.className = 'markdown-content print-content';
+        layout.prepareFlow(flow);
+
+        // Swap every image for its inlined copy so the canvas never gets tainted
+        flow.querySelectorAll('img').forEach(img => {
+            const dataURL = inlinedImages.get(img.getAttribute('src'));
+            if (dataURL) {
+                img.src = dataURL;
+            } else if (img.parentNode) {
+                img.parentNode.replaceChild(this.createImageFallback(document, img), img);
+            }
+        });
+        flow.querySelectorAll('iframe, embed, object').forEach(el => el.remove());
+
+        host.appendChild(flow);
+        document.body.appendChild(host);
+        try {
+            await Promise.all(Array.from(flow.querySelectorAll('img'), img => img.decode().catch(() => {})));
+            const pages = layout.render(flow, layout.paginate(flow));
+            flow.remove();
+            host.append(...pages);
+
+            // Headings and links are mapped to page positions in mm
+            const pageLayout = this.measureRasterLayout(pages, px => px * 25.4 / 96);
+            this.fillTocPageNumbers(host, pageLayout.anchors);
+
+            const pdf = new jspdf.jsPDF({ unit: 'mm', format, orientation, compress: true });
+            const width = pdf.internal.pageSize.getWidth();
+            const height = pdf.internal.pageSize.getHeight();
+            for (let index = 0; index < pages.length; index++) {
+                const canvas = await html2canvas(pages[index], {
+                    scale: 1.5,
+                    useCORS: false,
+                    allowTaint: false,
+                    logging: false,
+                    backgroundColor: '#ffffff'
+                });
+                if (index > 0) pdf.addPage();
+                pdf.addImage(canvas.toDataURL('image/jpeg', 0.98), 'JPEG', 0, 0, width, height);
+            }
+
+            this.addRasterLinks(pdf, pageLayout);
+            const anchors = new Map(Array.from(pageLayout.anchors, ([id, anchor]) => [id, anchor.page]));
+            return { pdf, headings: pageLayout.headings, anchors };
+        } finally {
+            host.remove();
+        }
+    }
+
+    // Positions of every anchor target, heading and link on the print layout pages, converted with toUnit
+    // from pixels. Blocks split between pages are on both, so only what is inside a page's body counts.
+    measureRasterLayout(pages, toUnit) {
+        const anchors = new Map();
+        const headings = [];
+        const links = [];
+
+        pages.forEach((page, index) => {
+            const origin = page.getBoundingClientRect();
+            const body = page.querySelector('.print-page-body').getBoundingClientRect();
+            const locate = rect => {
+                const top = Math.max(rect.top, body.top);
+                return {
+                    page: index + 1,
+                    top: toUnit(top - origin.top),
+                    left: toUnit(rect.left - origin.left),
+                    width: toUnit(rect.width),
+                    height: toUnit(Math.min(rect.bottom, body.bottom) - top)
+                };
+            };
+            const isShown = rect => rect.bottom > body.top && rect.top < body.bottom;
+            const startsHere = rect => rect.top >= body.top - 1 && rect.top < body.bottom;
+
+            page.querySelectorAll('.print-page-body [id]').forEach(el => {
+                const rect = el.getBoundingClientRect();
+                if (!anchors.has(el.id) && isShown(rect)) {
+                    anchors.set(el.id, locate(rect));
+                }
+            });
+
+            page.querySelectorAll('.print-page-body :is(h1, h2, h3, h4, h5, h6)').forEach(heading => {
+                if (startsHere(heading.getBoundingClientRect())) {
+                    headings.push({ level: Number(heading.tagName[1]), text: heading.textContent.trim(), page: index + 1 });
+                }
+            });
+
+            page.querySelectorAll('a[href]').forEach(link => {
+                // Wrapped links have one rectangle per line
+                Array.from(link.getClientRects()).filter(isShown).forEach(rect => {
+                    links.push({ href: link.getAttribute('href'), url: link.href, ...locate(rect) });
+                });
+            });
+        });
+
+        return { anchors, headings, links };
+    }
+
+    fillTocPageNumbers(container, anchors) {
+        container.querySelectorAll('nav.table-of-contents').forEach(toc => {
+            toc.classList.add('with-page-numbers');
+            toc.querySelectorAll('.toc-entry').forEach(entry => {
+                const anchor = anchors.get(fragmentId(entry.querySelector('a').getAttribute('href')));
+                entry.querySelector('.toc-page').textContent = anchor ? anchor.page : '';
+            });
+        });
+    }
+
+    addRasterLinks(pdf, layout) {
+        layout.links.forEach(link => {
+            let target = null;
+            if (link.href.startsWith('#')) {
+                const anchor = layout.anchors.get(fragmentId(link.href));
+                if (anchor) target = { pageNumber: anchor.page, top: anchor.top };
+            } else if (/^(https?:|mailto:)/i.test(link.url)) {
+                target = { url: link.url };
+            } else if (!/^[a-z][\w+.-]*:/i.test(link.href)) {
+                // Relative links to other files stay relative
+                target = { url: link.href };
+            }
+
+            if (target) {
+                pdf.setPage(link.page);
+                pdf.link(link.left, link.top, link.width, link.height, target);
+            }
+        });
+        pdf.setPage(pdf.internal.getNumberOfPages());
+    }
+
+    // Vector engine: real text drawn with jsPDF, see vector-pdf.js
+    async renderVectorPDF(element, inlinedImages, setup) {
+        const images = await this.getEmbeddableImages(inlinedImages);
+        const { format, orientation, margins } = setup;
+        const renderer = new VectorPdfRenderer({
+            format,
+            orientation,
+            margins: [margins.top, margins.left, margins.bottom, margins.right],
+            fonts: PDF_FONTS,
+            theme: this.getActiveTheme().pdf
+        });
+        const graphics = await this.renderGraphics(element);
+        const pdf = await renderer.render(element, { images, graphics });
+        const anchors = new Map(Array.from(renderer.anchors, ([id, anchor]) => [id, anchor.page]));
+        return { pdf, headings: renderer.headings, anchors, missingCharacters: renderer.missingCharacters };
+    }
+
+    // jsPDF, Word and EPUB readers reliably handle PNG and JPEG only, so SVG, GIF and WebP images are converted
+    async getEmbeddableImages(inlinedImages) {
+        const images = new Map();
+        await Promise.all(Array.from(inlinedImages).map(async ([src, dataURL]) => {
+            if (/^data:image\/(png|jpe?g)/i.test(dataURL)) {
+                images.set(src, dataURL);
+                return;
+            }
+            try {
+                images.set(src, await this.rasterizeImage(dataURL));
+            } catch (error) {
+                console.warn(`Could not convert image ${src}:`, error);
+            }
+        }));
+        return images;
+    }
+
+    // Math, diagrams and emoji have no text equivalent in the vector engine, so each one is captured as an image
+    async renderGraphics(element) {
+        const graphics = new Map();
+
+        const targets = element.querySelectorAll('.math-block, .math-inline, .diagram, .emoji');
+        for (const target of targets) {
+            // Diagrams that failed to render stay as text
+            const isDiagram = target.matches('.diagram');
+            const svg = isDiagram && target.querySelector(':scope > svg');
+            if (isDiagram ? !svg : typeof html2canvas === 'undefined') continue;
+
+            const rect = (svg || target).getBoundingClientRect();
+            if (!rect.width || !rect.height) continue;
+
+            try {
+                const data = svg
+                    ? await this.rasterizeSvg(svg, rect, 3)
+                    : (await html2canvas(target, { scale: 3, backgroundColor: null, logging: false })).toDataURL('image/png');
+                graphics.set(target, { data, width: rect.width, height: rect.height });
+            } catch (error) {
+                console.warn('Could not render graphic for PDF:', error);
+            }
+        }
+        return graphics;
+    }
+
+    // Document library
+    async restoreSession() {
+        try {
+            const id = localStorage.getItem('markdpdf-current-document');
+            const doc = id ? await this.library.getDocument(id) : null;
+            if (doc) {
+                this.showDocument(doc);
+            }
+            await this.refreshLibrary();
+        } catch (error) {
+            console.warn('Document library unavailable:', error);
+            this.libraryAvailable = false;
+            this.refreshLibrary();
+            this.showNotification('Autosave is not available in this browser', 'warning');
+        }
+    }
+
+    // Loads a document (or an empty editor for null) without saving it again
+    showDocument(doc) {
+        this.currentDocumentId = doc ? doc.id : null;
+        if (this.project) {
+            // Documents opened from the project keep resolving relative to their file
+            const entry = Array.from(this.project.documents).find(([, id]) => doc && id === doc.id);
+            this.project.activePath = entry ? entry[0] : null;
+        }
+        this.savedContent = doc ? doc.content : null;
+        this.lastVersionAt = 0;
+
+        if (doc) {
+            localStorage.setItem('markdpdf-current-document', doc.id);
+        } else {
+            localStorage.removeItem('markdpdf-current-document');
+        }
+
+        this.editor.setValue(doc ? doc.content : '');
+        this.updatePreview();
+    }
+
+    scheduleAutosave() {
+        if (!this.libraryAvailable) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveCurrentDocument(), AUTOSAVE_DELAY);
+    }
+
+    flushAutosave() {
+        return this.autosaveTimer ? this.saveCurrentDocument() : this.saveQueue;
+    }
+
+    // Saves are queued so that a slow write can't race the next one into creating a duplicate
+    saveCurrentDocument() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        this.saveQueue = this.saveQueue
+            .then(() => this.writeCurrentDocument())
+            .catch(error => console.warn('Autosave failed:', error));
+        return this.saveQueue;
+    }
+
+    async writeCurrentDocument() {
+        if (!this.libraryAvailable) return;
+
+        const content = this.editor.getValue();
+        if (content === this.savedContent) return;
+
+        let doc = null;
+        if (this.currentDocumentId) {
+            doc = await this.library.updateDocument(this.currentDocumentId, { content }).catch(() => null);
+        }
+        if (!doc) {
+            // Nothing worth keeping yet, or the document was deleted in another tab
+            if (!content.trim()) return;
+            doc = await this.library.createDocument({ name: this.getDocumentTitle() || 'Untitled', content });
+            this.currentDocumentId = doc.id;
+            localStorage.setItem('markdpdf-current-document', doc.id);
+        }
+        this.savedContent = content;
+
+        // Periodic snapshots, so earlier drafts can be restored without saving versions by hand
+        if (Date.now() - this.lastVersionAt > AUTO_VERSION_INTERVAL) {
+            await this.library.addVersion(doc.id, content, 'Autosave');
+            this.lastVersionAt = Date.now();
+        }
+
+        await this.refreshLibrary();
+    }
+
+    async importDocument(filename, content) {
+        await this.flushAutosave();
+
+        if (!this.libraryAvailable) {
+            this.editor.setValue(content);
+            this.updatePreview();
+            return;
+        }
+
+        try {
+            const doc = await this.library.createDocument({ name: filename, content });
+            this.showDocument(doc);
+            await this.refreshLibrary();
+        } catch (error) {
+            console.warn('Could not add the file to the document library:', error);
+            this.editor.setValue(content);
+            this.updatePreview();
+        }
+    }
+
+    async createNewDocument() {
+        if (!this.libraryAvailable) return;
+
+        await this.flushAutosave();
+        try {
+            const doc = await this.library.createDocument({ name: 'Untitled', content: '' });
+            this.showDocument(doc);
+            await this.refreshLibrary();
+            this.editor.focus();
+        } catch (error) {
+            this.showNotification(`Could not create document: ${error.message}`, 'error');
+        }
+    }
+
+    async handleDocumentAction(action, id) {
+        await this.flushAutosave();
+
+        try {
+            const doc = await this.library.getDocument(id);
+            if (!doc) {
+                await this.refreshLibrary();
+                return;
+            }
+
+            switch (action) {
+                case 'open':
+                    this.showDocument(doc);
+                    break;
+                case 'rename': {
+                    const name = prompt('Rename document:', doc.name);
+                    if (name === null || !name.trim()) return;
+                    await this.library.updateDocument(id, { name: name.trim() });
+                    break;
+                }
+                case 'duplicate':
+                    await this.library.duplicateDocument(id, `${doc.name} (copy)`);
+                    this.showNotification(`Duplicated "${doc.name}"`, 'success');
+                    break;
+                case 'delete': {
+                    if (!confirm(`Delete "${doc.name}" and all of its versions?`)) return;
+                    await this.library.deleteDocument(id);
+                    if (id === this.currentDocumentId) {
+                        const [next] = await this.library.listDocuments();
+                        this.showDocument(next || null);
+                    }
+                    this.showNotification(`Deleted "${doc.name}"`, 'success');
+                    break;
+                }
+            }
+            await this.refreshLibrary();
+        } catch (error) {
+            console.error(`Document ${action} failed:`, error);
+            this.showNotification(`Could not ${action} the document: ${error.message}`, 'error');
+        }
+    }
+
+    async saveVersion() {
+        if (!this.libraryAvailable) return;
+
+        const label = prompt('Version name (optional):', '');
+        if (label === null) return;
+
+        await this.saveCurrentDocument();
+        if (!this.currentDocumentId) {
+            this.showNotification('Type something before saving a version', 'warning');
+            return;
+        }
+
+        try {
+            await this.library.addVersion(this.currentDocumentId, this.editor.getValue(), label.trim() || 'Saved version');
+            await this.refreshLibrary();
+            this.showNotification('Version saved', 'success');
+        } catch (error) {
+            this.showNotification(`Could not save version: ${error.message}`, 'error');
+        }
+    }
+
+    async restoreVersion(versionId) {
+        await this.flushAutosave();
+
+        try {
+            const version = await this.library.getVersion(versionId);
+            if (!version || version.documentId !== this.currentDocumentId) return;
+
+            // The current text becomes a version too, so a restore can be undone
+            await this.library.addVersion(this.currentDocumentId, this.editor.getValue(), 'Before restore');
+            this.editor.setValue(version.content, { keepHistory: true });
+            this.updatePreview();
+            await this.saveCurrentDocument();
+            this.showNotification(`Restored the version from ${new Date(version.createdAt).toLocaleString()}`, 'success');
+        } catch (error) {
+            this.showNotification(`Could not restore version: ${error.message}`, 'error');
+        }
+    }
+
+    async refreshLibrary() {
+        if (!this.libraryAvailable) {
+            this.renderDocumentList([]);
+            this.renderVersionList([]);
+            return;
+        }
+
+        const [documents, versions] = await Promise.all([
+            this.library.listDocuments(),
+            this.currentDocumentId ? this.library.listVersions(this.currentDocumentId) : []
+        ]);
+        this.renderDocumentList(documents);
+        this.renderVersionList(versions);
+    }
+
+    renderDocumentList(documents) {
+        this.documentList.innerHTML = '';
+
+        if (documents.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = this.libraryAvailable ? 'Documents you edit or load are saved here.' : 'Autosave is not available in this browser.';
+            this.documentList.appendChild(empty);
+            return;
+        }
+
+        documents.forEach(doc => {
+            const item = document.createElement('li');
+            item.className = 'document-item';
+            item.classList.toggle('active', doc.id === this.currentDocumentId);
+            item.dataset.id = doc.id;
+
+            const open = document.createElement('button');
+            open.className = 'document-open';
+            open.dataset.action = 'open';
+            open.title = doc.name;
+            const name = document.createElement('span');
+            name.className = 'document-name';
+            name.textContent = doc.name;
+            const meta = document.createElement('span');
+            meta.className = 'document-meta';
+            meta.textContent = new Date(doc.updatedAt).toLocaleString();
+            open.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'document-actions';
+            [['rename', 'fa-pen', 'Rename'], ['duplicate', 'fa-copy', 'Duplicate'], ['delete', 'fa-trash-alt', 'Delete']].forEach(([action, icon, title]) => {
+                const button = document.createElement('button');
+                button.className = 'format-btn';
+                button.dataset.action = action;
+                button.title = title;
+                button.innerHTML = `<i class="fas ${escapeHtml(icon)}"></i>`;
+                actions.appendChild(button);
+            });
+
+            item.append(open, actions);
+            this.documentList.appendChild(item);
+        });
+    }
+
+    renderVersionList(versions) {
+        this.versionList.innerHTML = '';
+        this.saveVersionBtn.disabled = !this.libraryAvailable;
+
+        if (versions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'No versions yet.';
+            this.versionList.appendChild(empty);
+            return;
+        }
+
+        versions.forEach(version => {
+            const item = document.createElement('li');
+            item.className = 'version-item';
+
+            const label = document.createElement('span');
+            label.className = 'document-name';
+            label.textContent = version.label || 'Version';
+            const meta = document.createElement('span');
+            meta.className = 'document-meta';
+            meta.textContent = new Date(version.createdAt).toLocaleString();
+
+            const text = document.createElement('div');
+            text.className = 'version-text';
+            text.append(label, meta);
+
+            const restore = document.createElement('button');
+            restore.className = 'format-btn';
+            restore.dataset.version = version.id;
+            restore.title = 'Restore this version';
+            restore.innerHTML = '<i class="fas fa-undo"></i>';
+
+            item.append(text, restore);
+            this.versionList.appendChild(item);
+        });
+    }
+
+    // Batch conversion
+    // Walks dropped files and folders into { file, path } entries
+    async readDroppedEntries(entries) {
+        const results = [];
+        const readEntries = reader => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+        const visit = async entry => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                results.push({ file, path: entry.fullPath.replace(/^\//, '') });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns the folder contents in chunks until it returns none
+                let batch;
+                while ((batch = await readEntries(reader)).length > 0) {
+                    for (const child of batch) {
+                        await visit(child);
+                    }
+                }
+            }
+        };
+
+        for (const entry of entries) {
+            await visit(entry);
+        }
+        return results;
+    }
+
+    // Adds files to the queue (markdown only, no duplicates) and shows the batch dialog
+    openBatch(items) {
+        if (this.batchRunning) {
+            this.showNotification('A batch conversion is already running', 'warning');
+            return;
+        }
+
+        const known = new Set(this.batchQueue.map(item => item.path));
+        const added = items
+            // Markdown files only; hidden files and folders (.git and the like) are skipped
+            .filter(({ path }) => /\.(md|markdown|txt)$/i.test(path) && !path.split('/').some(part => part.startsWith('.')))
+            .filter(({ path }) => !known.has(path))
+            .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }))
+            .map(({ file, path }) => ({ file, path, status: 'queued', message: 'Queued', progress: 0 }));
+
+        if (added.length === 0 && this.batchQueue.length === 0) {
+            this.showNotification('No markdown files found (.md, .markdown, .txt)', 'warning');
+            return;
+        }
+
+        // A fresh run starts from an empty queue
+        if (this.batchQueue.every(item => item.status === 'done' || item.status === 'failed')) {
+            this.batchQueue = [];
+        }
+        this.batchQueue.push(...added);
+        this.renderBatchQueue();
+        this.openModal(this.batchDialog);
+    }
+
+    moveBatchItem(index, action) {
+        if (this.batchRunning) return;
+
+        if (action === 'remove') {
+            this.batchQueue.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= this.batchQueue.length) return;
+            [this.batchQueue[index], this.batchQueue[target]] = [this.batchQueue[target], this.batchQueue[index]];
+        }
+        this.renderBatchQueue();
+    }
+
+    renderBatchQueue() {
+        this.batchQueueList.innerHTML = '';
+
+        this.batchQueue.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = `batch-item batch-${item.status}`;
+            row.dataset.index = index;
+
+            const text = document.createElement('div');
+            text.className = 'batch-text';
+            const name = document.createElement('span');
+            name.className = 'batch-name';
+            name.textContent = item.path;
+            const status = document.createElement('span');
+            status.className = 'batch-status';
+            status.textContent = item.message;
+            const progress = document.createElement('progress');
+            progress.max = 100;
+            progress.value = item.progress;
+            text.append(name, status, progress);
+
+            const actions = document.createElement('div');
+            actions.className = 'batch-actions';
+            [['up', 'fa-arrow-up', 'Move up'], ['down', 'fa-arrow-down', 'Move down'], ['remove', 'fa-times', 'Remove']].forEach(([action, icon, title]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'format-btn';
+                button.dataset.action = action;
+                button.title = title;
+                button.disabled = this.batchRunning;
+                button.innerHTML = `<i class="fas ${escapeHtml(icon)}"></i>`;
+                actions.appendChild(button);
+            });
+
+            row.append(text, actions);
+            this.batchQueueList.appendChild(row);
+        });
+
+        const done = this.batchQueue.filter(item => item.status === 'done').length;
+        const failed = this.batchQueue.filter(item => item.status === 'failed').length;
+        this.batchSummary.textContent = this.batchQueue.length === 0
+            ? 'Drop files or a folder on the editor, or add them here.'
+            : `${this.batchQueue.length} file(s), ${done} converted${failed ? `, ${failed} failed` : ''}. Uses the current PDF engine, theme and page setup; front matter in each file still applies.`;
+
+        const submit = this.batchForm.querySelector('[type="submit"]');
+        submit.disabled = this.batchRunning || this.batchQueue.length === 0;
+    }
+
+    setBatchStatus(item, status, message, progress) {
+        Object.assign(item, { status, message, progress });
+        this.renderBatchQueue();
+    }
+
+    async runBatch() {
+        if (this.batchRunning || this.batchQueue.length === 0) return;
+
+        const output = this.batchForm.elements.output.value;
+        const results = [];
+
+        this.batchRunning = true;
+        this.batchDialog.classList.add('busy');
+        this.editor.setReadOnly(true);
+        await this.flushAutosave();
+
+        try {
+            this.batchQueue.forEach(item => Object.assign(item, { status: 'queued', message: 'Queued', progress: 0 }));
+
+            // One file at a time through the live preview, so themes, diagrams and page setup apply as usual
+            for (const item of this.batchQueue) {
+                try {
+                    this.setBatchStatus(item, 'running', 'Reading...', 10);
+                    this.batchSource = await this.readBatchItem(item);
+                    this.batchPath = this.project && this.project.files.has(item.path) ? item.path : null;
+
+                    this.setBatchStatus(item, 'running', 'Rendering...', 30);
+                    await this.updatePreview();
+                    if (this.renderError) throw this.renderError;
+
+                    this.setBatchStatus(item, 'running', 'Creating PDF...', 60);
+                    const { pdf, headings, anchors, failedImages, missingCharacters } = await this.buildPDF();
+                    results.push({
+                        item,
+                        pdf,
+                        headings,
+                        anchors,
+                        title: this.getDocumentTitle() || item.path.split('/').pop().replace(/\.[^.]+$/, '')
+                    });
+
+                    const warnings = [];
+                    if (failedImages.length) warnings.push(`${failedImages.length} image(s) missing`);
+                    if (missingCharacters.length) warnings.push(`no font for ${missingCharacters.join(' ')}`);
+                    const warning = warnings.length ? ` (${warnings.join(', ')})` : '';
+                    this.setBatchStatus(item, 'done', `Done${warning}`, 100);
+                } catch (error) {
+                    console.error(`Batch conversion failed for ${item.path}:`, error);
+                    this.setBatchStatus(item, 'failed', `Error: ${error.message || error}`, 100);
+                }
+            }
+        } finally {
+            this.batchSource = null;
+            this.batchPath = null;
+            this.batchRunning = false;
+            this.batchDialog.classList.remove('busy');
+            this.editor.setReadOnly(false);
+            await this.updatePreview();
+            this.renderBatchQueue();
+        }
+
+        if (results.length === 0) {
+            this.showNotification('No files could be converted', 'error');
+            return;
+        }
+
+        try {
+            if (output === 'merged') {
+                await this.downloadMergedPdf(results);
+            } else {
+                await this.downloadPdfZip(results);
+            }
+            const failed = this.batchQueue.length - results.length;
+            this.showNotification(`${results.length} file(s) converted${failed ? `, ${failed} failed` : ''}`, failed ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Error packaging batch output:', error);
+            this.showNotification(`Could not create the download: ${error.message}`, 'error');
+        }
+    }
+
+    // Project files that were opened (and maybe edited) convert from their library copy
+    async readBatchItem(item) {
+        const documentId = this.project && this.project.files.get(item.path) === item.file && this.project.documents.get(item.path);
+        const doc = documentId && this.libraryAvailable ? await this.library.getDocument(documentId) : null;
+        return doc ? doc.content : item.file.text();
+    }
+
+    // Name for batch downloads: the dropped folder if all files share one, otherwise the date
+    getBatchName(results) {
+        const folders = new Set(results.map(({ item }) => (item.path.includes('/') ? item.path.split('/')[0] : '')));
+        const [folder] = folders;
+        return folders.size === 1 && folder ? folder : `markdpdf-batch-${new Date().toISOString().split('T')[0]}`;
+    }
+
+    async downloadPdfZip(results) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip is not loaded');
+        }
+
+        // Keeps the folder layout, with .pdf in place of the markdown extension
+        const zip = new JSZip();
+        results.forEach(({ item, pdf }) => {
+            zip.file(item.path.replace(/\.(md|markdown|txt)$/i, '') + '.pdf', pdf.output('arraybuffer'));
+        });
+
+        const blob = await zip.generateAsync({ type: 'blob' });
+        this.downloadBlob(blob, `${this.getBatchName(results)}.zip`);
+    }
+
+    async downloadMergedPdf(results) {
+        if (typeof PDFLib === 'undefined') {
+            throw new Error('pdf-lib is not loaded');
+        }
+
+        const { PDFDocument } = PDFLib;
+        const merged = await PDFDocument.create();
+        const chapters = [];
+
+        for (const { item, pdf, headings, anchors, title } of results) {
+            const source = await PDFDocument.load(pdf.output('arraybuffer'));
+            const pages = await this.copyPdfPages(merged, source);
+            const firstPage = merged.getPageCount();
+            pages.forEach(page => merged.addPage(page));
+
+            chapters.push({
+                title,
+                path: item.path,
+                page: firstPage,
+                pageCount: pages.length,
+                anchors,
+                children: this.buildOutlineTree(headings.map(heading => ({ ...heading, page: firstPage + heading.page - 1 })))
+            });
+        }
+
+        this.linkMergedChapters(merged, chapters);
+        this.addMergedOutline(merged, chapters);
+        const name = this.getBatchName(results);
+        merged.setTitle(name);
+        merged.setCreator('MarkdPDF');
+        merged.setProducer('MarkdPDF');
+
+        const bytes = await merged.save();
+        this.downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `${name}.pdf`);
+    }
+
+    // copyPages would also copy the pages that internal links point at, as detached duplicates,
+    // so link targets are taken off first and pointed at the copied pages afterwards
+    async copyPdfPages(target, source) {
+        const { PDFArray, PDFDict, PDFName, PDFRef } = PDFLib;
+        const sourcePages = source.getPages();
+        const links = [];
+
+        sourcePages.forEach((page, pageIndex) => {
+            const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+            if (!annots) return;
+
+            annots.asArray().forEach((annotRef, annotIndex) => {
+                const annot = source.context.lookupMaybe(annotRef, PDFDict);
+                const dest = annot && annot.lookupMaybe(PDFName.of('Dest'), PDFArray);
+                const destPage = dest && dest.get(0);
+                const targetIndex = destPage instanceof PDFRef ? sourcePages.findIndex(candidate => candidate.ref === destPage) : -1;
+                if (targetIndex === -1) return;
+
+                links.push({ pageIndex, annotIndex, targetIndex, view: dest.asArray().slice(1) });
+                annot.delete(PDFName.of('Dest'));
+            });
+        });
+
+        const pages = await target.copyPages(source, source.getPageIndices());
+        links.forEach(({ pageIndex, annotIndex, targetIndex, view }) => {
+            const annots = pages[pageIndex].node.lookup(PDFName.of('Annots'), PDFArray);
+            const annot = target.context.lookup(annots.get(annotIndex), PDFDict);
+            annot.set(PDFName.of('Dest'), target.context.obj([pages[targetIndex].ref, ...view]));
+        });
+        return pages;
+    }
+
+    // Links from one file to another become links to that file's chapter (or the heading in it)
+    linkMergedChapters(doc, chapters) {
+        const { PDFArray, PDFDict, PDFName, PDFString, PDFHexString } = PDFLib;
+        const withoutExtension = path => path.replace(/\.(md|markdown|txt|pdf)$/i, '');
+
+        doc.getPages().forEach((page, pageIndex) => {
+            const chapter = chapters.find(candidate => pageIndex >= candidate.page && pageIndex < candidate.page + candidate.pageCount);
+            const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+            if (!chapter || !annots) return;
+
+            annots.asArray().forEach(annotRef => {
+                const annot = doc.context.lookupMaybe(annotRef, PDFDict);
+                const action = annot && annot.lookupMaybe(PDFName.of('A'), PDFDict);
+                const uri = action && action.lookupMaybe(PDFName.of('URI'), PDFString, PDFHexString);
+                if (!uri) return;
+
+                const [target, fragment] = uri.decodeText().split('#');
+                const path = target && this.resolveProjectPath(chapter.path, target);
+                const targetChapter = path && chapters.find(candidate => withoutExtension(candidate.path) === withoutExtension(path));
+                if (!targetChapter) return;
+
+                const anchorPage = fragment ? targetChapter.anchors.get(fragmentId(`#${fragment}`)) : null;
+                const targetPage = doc.getPage(targetChapter.page + (anchorPage || 1) - 1);
+                annot.delete(PDFName.of('A'));
+                annot.set(PDFName.of('Dest'), doc.context.obj([targetPage.ref, 'XYZ', null, null, null]));
+            });
+        });
+    }
+
+    // Nests a flat heading list by level: [{ title, page, children }]
+    buildOutlineTree(headings) {
+        const root = { level: 0, children: [] };
+        const stack = [root];
+        headings.forEach(heading => {
+            while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
+            }
+            const node = { level: heading.level, title: heading.text, page: heading.page, children: [] };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        });
+        return root.children;
+    }
+
+    // pdf-lib has no bookmarks API, so the outline dictionaries are written directly.
+    // Page numbers are 0-based; chapters are listed with their headings collapsed.
+    addMergedOutline(doc, items) {
+        if (items.length === 0) return;
+
+        const { PDFName, PDFHexString } = PDFLib;
+        const context = doc.context;
+
+        const addItems = (nodes, parentRef) => {
+            const refs = nodes.map(() => context.nextRef());
+            nodes.forEach((node, index) => {
+                const entry = {
+                    Title: PDFHexString.fromText(node.title),
+                    Parent: parentRef,
+                    Dest: [doc.getPage(node.page).ref, 'XYZ', null, null, null]
+                };
+                if (index > 0) entry.Prev = refs[index - 1];
+                if (index < refs.length - 1) entry.Next = refs[index + 1];
+                if (node.children.length > 0) {
+                    const children = addItems(node.children, refs[index]);
+                    entry.First = children[0];
+                    entry.Last = children[children.length - 1];
+                    entry.Count = -children.length;
+                }
+                context.assign(refs[index], context.obj(entry));
+            });
+            return refs;
+        };
+
+        const outlinesRef = context.nextRef();
+        const refs = addItems(items, outlinesRef);
+        context.assign(outlinesRef, context.obj({
+            Type: 'Outlines',
+            First: refs[0],
+            Last: refs[refs.length - 1],
+            Count: refs.length
+        }));
+        doc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+        doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Projects
+    async openProjectZip(file) {
+        if (typeof JSZip === 'undefined') {
+            this.showNotification('JSZip is not loaded', 'error');
+            return;
+        }
+
+        try {
+            const zip = await JSZip.loadAsync(file);
+            const entries = Object.values(zip.files).filter(entry => !entry.dir);
+            const items = await Promise.all(entries.map(async entry => {
+                const blob = await entry.async('blob');
+                const name = entry.name.split('/').pop();
+                // Blob URLs need the right type, or SVG images won't display
+                return { file: new File([blob], name, { type: this.getMimeType(name) }), path: entry.name };
+            }));
+            await this.openProject(items, file.name.replace(/\.zip$/i, ''));
+        } catch (error) {
+            console.error('Error reading ZIP:', error);
+            this.showNotification(`Could not open "${file.name}": ${error.message}`, 'error');
+        }
+    }
+
+    getMimeType(filename) {
+        const types = {
+            png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+            svg: 'image/svg+xml', bmp: 'image/bmp', avif: 'image/avif',
+            md: 'text/markdown', markdown: 'text/markdown', txt: 'text/plain'
+        };
+        return types[filename.toLowerCase().split('.').pop()] || 'application/octet-stream';
+    }
+
+    async openProject(items, name) {
+        // Hidden files and folders (.git and the like) are left out
+        items = items.filter(({ path }) => !path.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+
+        // Paths are kept relative to the project root, without the folder that was opened
+        const topFolders = new Set(items.map(({ path }) => (path.includes('/') ? path.split('/')[0] : '')));
+        const [topFolder] = topFolders;
+        const prefix = topFolders.size === 1 && topFolder ? `${topFolder}/` : '';
+
+        const files = new Map(items.map(({ file, path }) => [path.slice(prefix.length), file]));
+        if (!Array.from(files.keys()).some(path => /\.(md|markdown|txt)$/i.test(path))) {
+            this.showNotification('No markdown files found (.md, .markdown, .txt)', 'warning');
+            return;
+        }
+
+        await this.flushAutosave();
+        this.closeProject();
+        this.project = {
+            name: name || (prefix ? topFolder : 'Project'),
+            files,
+            urls: new Map(),
+            // Project path -> library document, so a file opened twice keeps its edits
+            documents: new Map(),
+            activePath: null
+        };
+
+        this.libraryPanel.classList.add('open');
+        localStorage.setItem('markdpdf-library-open', true);
+
+        const markdownFiles = this.getProjectMarkdownFiles();
+        const start = markdownFiles.find(path => /^(readme|index)\.(md|markdown)$/i.test(path)) || markdownFiles[0];
+        await this.openProjectFile(start);
+        this.showNotification(`Opened "${this.project.name}" with ${files.size} file(s)`, 'success');
+    }
+
+    closeProject() {
+        if (!this.project) return;
+
+        this.project.urls.forEach(url => URL.revokeObjectURL(url));
+        this.project = null;
+        this.renderProjectFiles();
+        this.updatePreview();
+    }
+
+    getProjectMarkdownFiles() {
+        if (!this.project) return [];
+        return Array.from(this.project.files.keys())
+            .filter(path => /\.(md|markdown|txt)$/i.test(path))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    async openProjectFile(path, fragment) {
+        const file = this.project && this.project.files.get(path);
+        if (!file) {
+            this.showNotification(`"${path}" is not part of the open project`, 'warning');
+            return;
+        }
+
+        await this.flushAutosave();
+
+        try {
+            const documentId = this.project.documents.get(path);
+            let doc = documentId && this.libraryAvailable ? await this.library.getDocument(documentId) : null;
+            if (!doc && this.libraryAvailable) {
+                doc = await this.library.createDocument({ name: `${this.project.name}/${path}`, content: await file.text() });
+                this.project.documents.set(path, doc.id);
+            }
+
+            if (doc) {
+                this.showDocument(doc);
+                await this.refreshLibrary();
+            } else {
+                // Without the library the file is edited in memory only
+                this.project.activePath = path;
+                this.currentDocumentId = null;
+                this.editor.setValue(await file.text());
+                this.updatePreview();
+            }
+        } catch (error) {
+            console.error(`Error opening ${path}:`, error);
+            this.showNotification(`Could not open "${path}": ${error.message}`, 'error');
+            return;
+        }
+
+        this.renderProjectFiles();
+
+        if (fragment) {
+            // The preview updates asynchronously
+            setTimeout(() => {
+                const target = document.getElementById(fragmentId(`#${fragment}`));
+                if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }, 200);
+        }
+    }
+
+    // Project path of the markdown being rendered, or null outside a project
+    getSourcePath() {
+        if (this.batchSource !== null) return this.batchPath;
+        return this.project ? this.project.activePath : null;
+    }
+
+    // Resolves a reference from a project file to a project path; null for URLs and paths outside the project
+    resolveProjectPath(fromPath, reference) {
+        let target = reference.split(/[?#]/)[0];
+        if (!target || /^[a-z][\w+.-]*:/i.test(target) || target.startsWith('//')) return null;
+
+        try {
+            target = decodeURI(target);
+        } catch (error) {
+            // Keep malformed escapes as they are
+        }
+
+        // Root-relative references start at the project root
+        const parts = target.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+        for (const part of target.split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..') {
+                if (parts.length === 0) return null;
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+        return parts.join('/');
+    }
+
+    getProjectFileUrl(path) {
+        if (!this.project.urls.has(path)) {
+            this.project.urls.set(path, URL.createObjectURL(this.project.files.get(path)));
+        }
+        return this.project.urls.get(path);
+    }
+
+    // Points relative images at the project's files and marks links to its other documents
+    // nodes: the preview nodes to resolve, see patchPreview()
+    resolveProjectReferences(nodes) {
+        const sourcePath = this.getSourcePath();
+        if (!this.project || sourcePath === null) return;
+
+        this.queryPreviewNodes(nodes, 'img[src]').forEach(img => {
+            const path = this.resolveProjectPath(sourcePath, img.getAttribute('src'));
+            if (path && this.project.files.has(path)) {
+                img.dataset.projectSrc = img.getAttribute('src');
+                img.src = this.getProjectFileUrl(path);
+            }
+        });
+
+        this.queryPreviewNodes(nodes, 'a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            const path = this.resolveProjectPath(sourcePath, href);
+            if (path && this.project.files.has(path) && /\.(md|markdown|txt)$/i.test(path)) {
+                link.dataset.projectPath = path;
+                const fragment = href.split('#')[1];
+                if (fragment) link.dataset.projectFragment = fragment;
+            }
+        });
+    }
+
+    // Points local-images/ references at the images stored in the library. Ones not loaded yet get no
+    // src until they are, so they don't show as broken first; they get it once they are in.
+    resolveLocalImages(nodes) {
+        const missing = [];
+
+        this.queryPreviewNodes(nodes, 'img[src]').forEach(img => {
+            const match = LOCAL_IMAGE_PATTERN.exec(img.getAttribute('src'));
+            if (!match) return;
+
+            const id = match[1];
+            if (!this.localImageUrls.has(id)) {
+                img.dataset.localSrc = img.getAttribute('src');
+                img.removeAttribute('src');
+                missing.push(id);
+            } else if (this.localImageUrls.get(id)) {
+                img.dataset.localSrc = img.getAttribute('src');
+                img.src = this.localImageUrls.get(id);
+            }
+        });
+
+        const ids = missing.filter(id => !this.pendingLocalImages.has(id));
+        if (ids.length > 0) {
+            this.loadLocalImages(ids);
+        }
+    }
+
+    async loadLocalImages(ids) {
+        ids.forEach(id => this.pendingLocalImages.add(id));
+
+        await Promise.all(ids.map(async (id) => {
+            let url = null;
+            try {
+                const image = await this.library.getImage(id);
+                if (image) url = URL.createObjectURL(image.blob);
+            } catch (error) {
+                console.warn(`Could not load stored image ${id}:`, error);
+            }
+            // Images that aren't in the library keep their path and show as missing
+            this.localImageUrls.set(id, url);
+            this.pendingLocalImages.delete(id);
+        }));
+
+        const images = Array.from(this.markdownPreview.querySelectorAll('img[data-local-src]:not([src])')).filter(img => {
+            const url = this.localImageUrls.get(LOCAL_IMAGE_PATTERN.exec(img.dataset.localSrc)[1]);
+            if (url === undefined) return false;
+            img.src = url || img.dataset.localSrc;
+            return true;
+        });
+        this.handleImageLoading(images);
+    }
+
+    // In an exported file, links to other markdown files point at the files exported from them; returns an undo function
+    useProjectLinkExtension(element, extension) {
+        const links = Array.from(element.querySelectorAll('a[data-project-path]'));
+        const originals = links.map(link => link.getAttribute('href'));
+        links.forEach(link => {
+            link.setAttribute('href', link.getAttribute('href').replace(/\.(md|markdown|txt)(?=$|[?#])/i, `.${extension}`));
+        });
+        return () => links.forEach((link, index) => link.setAttribute('href', originals[index]));
+    }
+
+    renderProjectFiles() {
+        this.projectFileList.innerHTML = '';
+        this.convertProjectBtn.hidden = !this.project;
+        this.closeProjectBtn.hidden = !this.project;
+        this.projectName.textContent = this.project ? this.project.name : 'Project';
+        this.projectName.title = this.project ? `${this.project.files.size} file(s)` : '';
+
+        if (!this.project) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'Open a folder or ZIP of markdown files and images, or drop one on the editor.';
+            this.projectFileList.appendChild(empty);
+            return;
+        }
+
+        this.getProjectMarkdownFiles().forEach(path => {
+            const item = document.createElement('li');
+            item.className = 'document-item';
+            item.classList.toggle('active', path === this.project.activePath);
+
+            const open = document.createElement('button');
+            open.className = 'document-open';
+            open.dataset.path = path;
+            open.title = path;
+            const name = document.createElement('span');
+            name.className = 'document-name';
+            name.textContent = path;
+            open.appendChild(name);
+
+            item.appendChild(open);
+            this.projectFileList.appendChild(item);
+        });
+    }
+
+    // Document themes
+    getThemes() {
+        return [...DOCUMENT_THEMES, ...this.customThemes];
+    }
+
+    findTheme(idOrName) {
+        const key = String(idOrName || '').toLowerCase();
+        return this.getThemes().find(theme => theme.id === key || theme.name.toLowerCase() === key);
+    }
+
+    // The front matter "theme" key wins over the theme picked in the UI
+    getActiveTheme() {
+        const frontMatter = this.getFrontMatter();
+        return (frontMatter.theme && this.findTheme(frontMatter.theme))
+            || this.findTheme(this.themeId)
+            || DOCUMENT_THEMES[0];
+    }
+
+    loadCustomThemes() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('markdpdf-custom-themes')) || [];
+            return saved.filter(theme => theme && theme.id && theme.name && typeof theme.css === 'string');
+        } catch (error) {
+            console.warn('Ignoring invalid custom themes:', error);
+            return [];
+        }
+    }
+
+    saveCustomThemes() {
+        localStorage.setItem('markdpdf-custom-themes', JSON.stringify(this.customThemes));
+    }
+
+    populateThemeSelect() {
+        this.themeSelect.innerHTML = '';
+
+        const groups = [['Built-in', DOCUMENT_THEMES], ['My themes', this.customThemes]];
+        groups.forEach(([label, themes]) => {
+            if (themes.length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            themes.forEach(theme => group.appendChild(new Option(theme.name, theme.id)));
+            this.themeSelect.appendChild(group);
+        });
+    }
+
+    selectTheme(id) {
+        this.themeId = id;
+        localStorage.setItem('markdpdf-theme', id);
+        this.applyTheme();
+        this.schedulePrintLayout();
+
+        const active = this.getActiveTheme();
+        if (active.id !== id) {
+            this.showNotification(`This document's front matter uses the "${active.name}" theme`, 'warning');
+        }
+    }
+
+    applyTheme() {
+        const theme = this.getActiveTheme();
+        // The document's template adds its own CSS, for the cover page and the like
+        const template = this.renderer.getTemplate(this.getFrontMatter());
+        const styleId = template && template.css ? `${theme.id}+${template.id}` : theme.id;
+
+        if (this.markdownPreview.dataset.theme !== styleId) {
+            try {
+                this.themeStyle.textContent = this.scopeThemeCss([theme.css, template && template.css].filter(Boolean).join('\n'));
+            } catch (error) {
+                console.warn(`Could not apply theme "${theme.name}":`, error);
+                this.themeStyle.textContent = '';
+            }
+            this.markdownPreview.dataset.theme = styleId;
+        }
+
+        this.themeSelect.value = theme.id;
+        this.deleteThemeBtn.hidden = !this.customThemes.some(custom => custom.id === theme.id);
+
+        this.renderer.placeThemeLogo(this.markdownPreview, theme);
+    }
+
+    // Rewrites every selector to apply inside the preview and its print layout pages only,
+    // so theme CSS never reaches the editor UI
+    scopeThemeCss(css, scopes = ['#markdown-preview', '.print-content']) {
+        if (!css.trim()) return '';
+
+        // Parsed by a stylesheet that matches no media, so the unscoped CSS is never applied
+        const style = document.createElement('style');
+        style.media = 'not all';
+        style.textContent = css;
+        document.head.appendChild(style);
+        try {
+            return this.scopeCssRules(style.sheet.cssRules, scopes);
+        } finally {
+            style.remove();
+        }
+    }
+
+    scopeCssRules(rules, scopes) {
+        return Array.from(rules).map(rule => {
+            if (rule.selectorText !== undefined) {
+                const selectors = this.splitSelectorList(rule.selectorText)
+                    .flatMap(selector => scopes.map(scope => this.scopeSelector(selector, scope)));
+                return `${selectors.join(', ')} { ${rule.style.cssText} }`;
+            }
+            if (rule.cssRules && rule.conditionText !== undefined) {
+                // @media and @supports: keep the condition, scope the rules inside
+                const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{'));
+                return `${prelude}{ ${this.scopeCssRules(rule.cssRules, scopes)} }`;
+            }
+            // @font-face, @keyframes and the like apply as they are
+            return rule.cssText;
+        }).join('\n');
+    }
+
+    // Splits "a, b:is(c, d)" at the top-level commas only
+    splitSelectorList(selectorText) {
+        const selectors = [];
+        let depth = 0;
+        let current = '';
+        for (const char of selectorText) {
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if (char === ',' && depth === 0) {
+                selectors.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        selectors.push(current);
+        return selectors.map(selector => selector.trim()).filter(Boolean);
+    }
+
+    scopeSelector(selector, scope) {
+        // Page-level selectors all mean the document itself
+        const root = /^(?:html|:root|body|\.markdown-content|#markdown-preview)(?![\w-])/;
+        let rest = selector;
+        if (!root.test(rest)) {
+            return `${scope} ${rest}`;
+        }
+        while (root.test(rest)) {
+            rest = rest.replace(root, '');
+            if (root.test(rest.trimStart())) {
+                rest = rest.trimStart();
+            }
+        }
+        return scope + rest;
+    }
+
+    loadThemeCss(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const css = e.target.result;
+            const suggestedName = file.name.replace(/\.css$/i, '');
+            const name = prompt('Name for this theme:', suggestedName);
+            if (name === null) return;
+
+            const trimmedName = name.trim() || suggestedName;
+            try {
+                this.scopeThemeCss(css);
+            } catch (error) {
+                this.showNotification(`"${file.name}" is not valid CSS: ${error.message}`, 'error');
+                return;
+            }
+
+            // Loading a theme under an existing name replaces it
+            const builtIn = DOCUMENT_THEMES.find(theme => theme.name.toLowerCase() === trimmedName.toLowerCase());
+            const existing = this.customThemes.find(theme => theme.name.toLowerCase() === trimmedName.toLowerCase());
+            const theme = existing || { id: `custom-${Date.now()}`, name: builtIn ? `${trimmedName} (custom)` : trimmedName };
+            const previousCss = theme.css;
+            theme.css = css;
+            if (!existing) this.customThemes.push(theme);
+
+            try {
+                this.saveCustomThemes();
+            } catch (error) {
+                // Most likely the localStorage quota
+                if (existing) {
+                    theme.css = previousCss;
+                } else {
+                    this.customThemes.pop();
+                }
+                this.showNotification(`Could not save theme: ${error.message}`, 'error');
+                return;
+            }
+
+            // Force the stylesheet to be rebuilt even if this theme is already active
+            delete this.markdownPreview.dataset.theme;
+            this.populateThemeSelect();
+            this.selectTheme(theme.id);
+            this.showNotification(`Theme "${theme.name}" saved`, 'success');
+        };
+
+        reader.onerror = () => {
+            this.showNotification('Error reading file', 'error');
+        };
+
+        reader.readAsText(file);
+    }
+
+    deleteCustomTheme(id) {
+        const theme = this.customThemes.find(custom => custom.id === id);
+        if (!theme || !confirm(`Delete the theme "${theme.name}"?`)) return;
+
+        this.customThemes = this.customThemes.filter(custom => custom.id !== id);
+        this.saveCustomThemes();
+        this.populateThemeSelect();
+        this.selectTheme('default');
+        this.showNotification(`Theme "${theme.name}" deleted`, 'success');
+    }
+
+    loadPageSetup() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('markdpdf-page-setup')) || {};
+            return {
+                ...DEFAULT_PAGE_SETUP,
+                ...saved,
+                margins: { ...DEFAULT_PAGE_SETUP.margins, ...saved.margins }
+            };
+        } catch (error) {
+            console.warn('Ignoring invalid page setup:', error);
+            return { ...DEFAULT_PAGE_SETUP, margins: { ...DEFAULT_PAGE_SETUP.margins } };
+        }
+    }
+
+    openPageSetup() {
+        const form = this.pageSetupForm.elements;
+        form.format.value = this.pageSetup.format;
+        form.orientation.value = this.pageSetup.orientation;
+        ['top', 'right', 'bottom', 'left'].forEach(side => {
+            form[`margin-${side}`].value = this.pageSetup.margins[side];
+        });
+        form.header.value = this.pageSetup.header;
+        form.footer.value = this.pageSetup.footer;
+
+        this.openModal(this.pageSetupDialog);
+    }
+
+    savePageSetup() {
+        const form = this.pageSetupForm.elements;
+        const margins = {};
+
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            const value = parseFloat(form[`margin-${side}`].value);
+            if (isNaN(value) || value < 0 || value > 50) {
+                this.showNotification('Margins must be between 0 and 50 mm', 'error');
+                return;
+            }
+            margins[side] = value;
+        }
+
+        this.pageSetup = {
+            format: form.format.value,
+            orientation: form.orientation.value,
+            margins,
+            header: form.header.value,
+            footer: form.footer.value
+        };
+        localStorage.setItem('markdpdf-page-setup', JSON.stringify(this.pageSetup));
+        this.schedulePrintLayout();
+
+        this.closeModal(this.pageSetupDialog);
+        this.showNotification('Page setup saved', 'success');
+    }
+
+    // Templates, see templates.js
+    populateTemplateGallery() {
+        const cards = document.createDocumentFragment();
+        const blank = { id: '', name: 'Blank', description: 'Start typing on an empty page', icon: 'fa-file' };
+        [blank, ...DOCUMENT_TEMPLATES].forEach(template => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'template-card';
+            card.dataset.template = template.id;
+            card.innerHTML = `
+                <i class="fas ${escapeHtml(template.icon || 'fa-file-alt')}"></i>
+                <strong>${escapeHtml(template.name)}</strong>
+                <span>${escapeHtml(template.description || '')}</span>
+            `;
+            cards.appendChild(card);
+        });
+        this.templateGallery.querySelector('.template-cards').replaceChildren(cards);
+
+        const select = this.variablesForm.elements.template;
+        select.replaceChildren(new Option('None', ''), ...DOCUMENT_TEMPLATES.map(template => new Option(template.name, template.id)));
+    }
+
+    // Fills the empty editor with a template's starting document
+    useTemplate(id) {
+        const template = DOCUMENT_TEMPLATES.find(candidate => candidate.id === id);
+        if (template) {
+            this.editor.setValue(template.content);
+            this.updatePreview();
+        }
+        this.editor.focus();
+    }
+
+    openVariables() {
+        const { data, error } = this.renderer.parseFrontMatter(this.editor.getValue());
+        if (error) {
+            this.showNotification('Fix the front matter before editing the variables', 'error');
+            return;
+        }
+
+        this.variablesForm.elements.template.value = this.renderer.getTemplate(data) ? data.template : '';
+        this.renderVariableFields();
+        this.openModal(this.variablesDialog);
+    }
+
+    // Fields for the selected template's variables and the other {{variables}} the document uses,
+    // and a checkbox per front page. Values typed before switching templates are kept.
+    renderVariableFields() {
+        const markdown = this.editor.getValue();
+        const { data, body } = this.renderer.parseFrontMatter(markdown);
+        const template = DOCUMENT_TEMPLATES.find(candidate => candidate.id === this.variablesForm.elements.template.value);
+
+        const typed = new Map(Array.from(this.variableFields.querySelectorAll('input'), input => [input.name, input.value]));
+        const variables = template ? [...(template.variables || [])] : [];
+        for (const [, name] of body.matchAll(/\{\{\s*([\w-]+)\s*\}\}/g)) {
+            if (!variables.some(variable => variable.name === name)) variables.push({ name, label: name });
+        }
+
+        this.variableFields.replaceChildren(...variables.map(variable => {
+            const label = document.createElement('label');
+            label.textContent = variable.label;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = variable.name;
+            input.autocomplete = 'off';
+            // The current front matter value, as the preview shows it
+            input.dataset.initial = this.renderer.formatVariable(data[variable.name]);
+            input.value = typed.has(variable.name) ? typed.get(variable.name) : input.dataset.initial;
+            if (variable.value !== undefined) input.placeholder = variable.value;
+            label.appendChild(input);
+            return label;
+        }));
+        if (variables.length === 0) {
+            this.variableFields.innerHTML = '<p class="form-hint">This document uses no variables. Pick a template or write <code>{{name}}</code> in the document.</p>';
+        }
+
+        const pages = template && template.pages || [];
+        const selected = data['front-pages'];
+        this.frontPageFields.hidden = pages.length === 0;
+        this.frontPageFields.querySelectorAll('label').forEach(label => label.remove());
+        pages.forEach(page => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = page.id;
+            input.checked = !Array.isArray(selected) || selected.includes(page.id);
+            label.append(input, ` ${page.name}`);
+            this.frontPageFields.appendChild(label);
+        });
+    }
+
+    // Writes the form into the document's front matter; emptied fields are removed from it
+    saveVariables() {
+        const markdown = this.editor.getValue();
+        const { data, body, error } = this.renderer.parseFrontMatter(markdown);
+        if (error) {
+            this.showNotification('Fix the front matter before editing the variables', 'error');
+            return;
+        }
+
+        const frontMatter = { ...data };
+        const templateId = this.variablesForm.elements.template.value;
+        if (templateId) {
+            frontMatter.template = templateId;
+        } else {
+            delete frontMatter.template;
+        }
+
+        this.variableFields.querySelectorAll('input').forEach(input => {
+            const value = input.value.trim();
+            // Untouched values keep their YAML type, like a list of attendees
+            if (value === input.dataset.initial) return;
+            if (value) {
+                frontMatter[input.name] = value;
+            } else {
+                delete frontMatter[input.name];
+            }
+        });
+
+        const pages = Array.from(this.frontPageFields.querySelectorAll('input'));
+        if (!templateId || pages.every(input => input.checked)) {
+            delete frontMatter['front-pages'];
+        } else {
+            frontMatter['front-pages'] = pages.filter(input => input.checked).map(input => input.value);
+        }
+
+        // Dates are written back as they are shown, not as timestamps
+        const replacer = (key, value) => (value instanceof Date ? this.renderer.formatFrontMatterDate(value) : value);
+        const yaml = Object.keys(frontMatter).length > 0 ? `---\n${jsyaml.dump(frontMatter, { replacer })}---\n` : '';
+        this.editor.setValue(yaml + body, { keepHistory: true });
+        this.updatePreview();
+
+        this.closeModal(this.variablesDialog);
+        this.showNotification('Variables saved', 'success');
+    }
+
+    loadImageSettings() {
+        try {
+            return { ...DEFAULT_IMAGE_SETTINGS, ...JSON.parse(localStorage.getItem('markdpdf-image-settings')) };
+        } catch (error) {
+            console.warn('Ignoring invalid image settings:', error);
+            return { ...DEFAULT_IMAGE_SETTINGS };
+        }
+    }
+
+    openImageSettings() {
+        const form = this.imageSettingsForm.elements;
+        form['max-width'].value = this.imageSettings.maxWidth;
+        form.quality.value = this.imageSettings.quality;
+        this.openModal(this.imageSettingsDialog);
+    }
+
+    saveImageSettings() {
+        const form = this.imageSettingsForm.elements;
+        this.imageSettings = {
+            maxWidth: parseInt(form['max-width'].value, 10) || 0,
+            quality: parseFloat(form.quality.value) || 0
+        };
+        localStorage.setItem('markdpdf-image-settings', JSON.stringify(this.imageSettings));
+
+        this.closeModal(this.imageSettingsDialog);
+        this.showNotification('Image settings saved', 'success');
+    }
+
+    loadSanitizeSettings() {
+        try {
+            return { ...DEFAULT_SANITIZE_SETTINGS, ...JSON.parse(localStorage.getItem('markdpdf-sanitize-settings')) };
+        } catch (error) {
+            console.warn('Ignoring invalid HTML settings:', error);
+            return { ...DEFAULT_SANITIZE_SETTINGS };
+        }
+    }
+
+    openSanitizeSettings() {
+        const form = this.htmlSettingsForm.elements;
+        const { profile, allowedTags, allowedAttributes } = this.renderer.sanitize;
+        form.profile.value = profile;
+        form['allowed-tags'].value = allowedTags.join(', ');
+        form['allowed-attributes'].value = allowedAttributes.join(', ');
+        this.openModal(this.htmlSettingsDialog);
+    }
 
-        // File input handling
-        this.fileInput.addEventListener('change', (e) => {
-            this.handleFileLoad(e);
+    saveSanitizeSettings() {
+        const form = this.htmlSettingsForm.elements;
+        const list = value => value.split(/[\s,]+/).filter(Boolean);
+        this.renderer.setSanitizeSettings({
+            profile: form.profile.value,
+            allowedTags: list(form['allowed-tags'].value),
+            allowedAttributes: list(form['allowed-attributes'].value)
         });
+        localStorage.setItem('markdpdf-sanitize-settings', JSON.stringify(this.renderer.sanitize));
 
-        // Save PDF functionality
-        this.savePdfBtn.addEventListener('click', () => {
-            this.generatePDF();
-        });
+        this.closeModal(this.htmlSettingsDialog);
+        this.updatePreview();
+        this.showNotification('HTML settings saved', 'success');
+    }
 
-        // Refresh preview
-        this.refreshBtn.addEventListener('click', () => {
-            this.updatePreview();
-            this.animateRefresh();
-        });
+    openModal(modal) {
+        modal.classList.add('show');
+        const firstField = modal.querySelector('input, select, textarea');
+        if (firstField) firstField.focus();
+    }
 
-        // Formatting buttons
-        this.formatBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.handleFormatting(e.target.closest('.format-btn').dataset.format);
-            });
-        });
+    closeModal(modal) {
+        // Busy dialogs (a running batch) stay open until the work is done
+        if (modal.classList.contains('busy')) return;
+        modal.classList.remove('show');
+    }
 
-        // Keyboard shortcuts
-        this.markdownInput.addEventListener('keydown', (e) => {
-            this.handleKeyboardShortcuts(e);
-        });
+    handleFormatting(format, button) {
+        const headings = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
 
-        // Prevent default drag and drop, enable custom file drop
-        this.setupDragAndDrop();
+        // The editor does the edits, each one undo step; its input event updates the preview
+        if (headings[format]) {
+            this.editor.toggleHeading(headings[format]);
+        } else {
+            switch (format) {
+                case 'bold':
+                    this.editor.toggleInline('**', '**', 'bold text');
+                    break;
+                case 'italic':
+                    this.editor.toggleInline('*', '*', 'italic text');
+                    break;
+                case 'underline':
+                    this.editor.toggleInline('<u>', '</u>', 'underlined text');
+                    break;
+                case 'quote':
+                    this.editor.toggleQuote();
+                    break;
+                case 'code':
+                    this.editor.toggleCode();
+                    break;
+                case 'link':
+                case 'image':
+                    this.insertLink(format === 'image');
+                    break;
+                case 'table':
+                    this.openTableDialog();
+                    break;
+                case 'list':
+                    this.editor.toggleList('bullet');
+                    break;
+                case 'ordered-list':
+                    this.editor.toggleList('ordered');
+                    break;
+                case 'task-list':
+                    this.editor.toggleList('task');
+                    break;
+            }
+        }
 
-        // Auto-resize textarea
-        this.markdownInput.addEventListener('input', () => {
-            this.autoResizeTextarea();
-        });
+        if (format !== 'table') {
+            this.editor.focus();
+        }
 
-        // Window resize handler for responsive layout
-        window.addEventListener('resize', () => {
-            this.debounce(this.handleResize.bind(this), 250)();
-        });
+        // Add button animation
+        if (button) {
+            this.animateButton(button);
+        }
     }
 
-    updatePreview() {
-        const markdownText = this.markdownInput.value;
-        
-        if (!markdownText.trim()) {
-            this.markdownPreview.innerHTML = '<p style="color: #999; text-align: center; margin: 2em 0;">Start typing markdown to see the preview...</p>';
+    // Asks for the address; the link button on an existing link removes it instead
+    insertLink(image) {
+        const existing = this.editor.getLinkAtCursor();
+        if (existing && !image && !existing.image) {
+            this.editor.removeLink(existing);
             return;
         }
 
-        try {
-            // Parse markdown to HTML
-            let html = marked.parse(markdownText);
-            
-            // Sanitize HTML to prevent XSS
-            html = DOMPurify.sanitize(html);
-            
-            // Update preview with animation
-            this.animatePreviewUpdate(() => {
-                this.markdownPreview.innerHTML = html;
-                // Handle image loading for external URLs
-                this.handleImageLoading();
-            });
+        const current = existing && existing.image === image ? existing.url : '';
+        const url = prompt(image ? 'Image URL or path:' : 'Link URL:', current || (image ? '' : 'https://'));
+        if (url === null || !url.trim() || url.trim() === 'https://') return;
 
-        } catch (error) {
-            console.error('Error parsing markdown:', error);
-            this.markdownPreview.innerHTML = `
-                <div style="color: #ff4444; padding: 1em; background: #ffe6e6; border-radius: 4px; border-left: 4px solid #ff4444;">
-                    <strong>Error parsing markdown:</strong><br>
-                    ${error.message}
-                </div>
-            `;
+        this.editor.insertLink(url.trim(), image);
+    }
+
+    // Table editor: edits the table at the cursor, or builds a new one
+    openTableDialog() {
+        const existing = this.editor.getTableAt(this.editor.getCursorLine());
+        if (existing) {
+            const { first, last, header, alignments, rows } = existing;
+            const columns = Math.max(header.length, ...rows.map(row => row.length));
+            const fit = cells => Array.from({ length: columns }, (_, index) => cells[index] || '');
+            this.tableDraft = {
+                header: fit(header),
+                alignments: fit(alignments),
+                rows: rows.map(fit),
+                range: { first, last }
+            };
+        } else {
+            this.tableDraft = {
+                header: ['Header 1', 'Header 2', 'Header 3'],
+                alignments: ['', '', ''],
+                rows: [['', '', ''], ['', '', '']],
+                range: null
+            };
         }
+        this.tableFocus = { row: -1, column: 0 };
+
+        this.tableForm.querySelector('[type="submit"]').textContent = existing ? 'Update' : 'Insert';
+        this.renderTableGrid();
+        this.openModal(this.tableDialog);
     }
 
-    handleFileLoad(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    renderTableGrid() {
+        const { header, alignments, rows } = this.tableDraft;
+        const table = document.createElement('table');
+        const head = table.createTHead();
 
-        // Validate file type
-        const allowedTypes = ['text/markdown', 'text/plain', 'application/octet-stream'];
-        const fileExtension = file.name.toLowerCase().split('.').pop();
-        
-        if (!allowedTypes.includes(file.type) && !['md', 'markdown', 'txt'].includes(fileExtension)) {
-            this.showNotification('Please select a valid markdown file (.md, .markdown, .txt)', 'error');
-            return;
-        }
+        const alignRow = head.insertRow();
+        alignments.forEach((align, column) => {
+            const cell = document.createElement('th');
+            const select = document.createElement('select');
+            select.dataset.align = column;
+            select.title = `Column ${column + 1} alignment`;
+            [['', 'Default'], ['left', 'Left'], ['center', 'Center'], ['right', 'Right']].forEach(([value, label]) => {
+                select.add(new Option(label, value, false, value === align));
+            });
+            cell.appendChild(select);
+            alignRow.appendChild(cell);
+        });
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.markdownInput.value = e.target.result;
-            this.updatePreview();
-            this.animateFileLoad();
-            this.showNotification(`File "${file.name}" loaded successfully!`, 'success');
+        const addInputs = (row, cells, rowIndex, tag) => {
+            cells.forEach((text, column) => {
+                const cell = document.createElement(tag);
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = text;
+                input.dataset.row = rowIndex;
+                input.dataset.column = column;
+                input.placeholder = rowIndex < 0 ? `Header ${column + 1}` : '';
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
         };
+        addInputs(head.insertRow(), header, -1, 'th');
 
-        reader.onerror = () => {
-            this.showNotification('Error reading file', 'error');
-        };
+        const body = table.createTBody();
+        rows.forEach((cells, rowIndex) => addInputs(body.insertRow(), cells, rowIndex, 'td'));
 
-        reader.readAsText(file);
+        this.tableGrid.replaceChildren(table);
+        this.tableActionButtons.forEach(button => {
+            const action = button.dataset.tableAction;
+            button.disabled = (action === 'remove-row' && rows.length === 0) ||
+                (action === 'remove-column' && header.length <= 1);
+        });
     }
 
-    async generatePDF() {
-        if (!this.markdownInput.value.trim()) {
-            this.showNotification('Please enter some markdown content first', 'warning');
+    // Remembers the cell being edited, so row and column actions work on it
+    updateTableCell(target) {
+        if (target.dataset.align !== undefined) {
+            this.tableDraft.alignments[target.dataset.align] = target.value;
             return;
         }
+        if (target.dataset.column === undefined) return;
 
-        this.showLoading(true);
-
-        try {
-            // Prepare content for PDF
-            const element = this.markdownPreview;
-            
-            // PDF generation options
-            const options = {
-                margin: [10, 10, 10, 10],
-                filename: this.generateFilename(),
-                image: { type: 'jpeg', quality: 0.98 },
-                html2canvas: {
-                    scale: 1.5,
-                    useCORS: false,
-                    allowTaint: false,
-                    letterRendering: true,
-                    logging: false,
-                    width: this.markdownPreview.scrollWidth,
-                    height: this.markdownPreview.scrollHeight,
-                    ignoreElements: function(element) {
-                        // Completely ignore all images to prevent canvas taint
-                        return element.tagName === 'IMG';
-                    },
-                    onclone: function(clonedDoc) {
-                        // Remove ALL images completely to prevent any taint issues
-                        const images = clonedDoc.querySelectorAll('img');
-                        images.forEach(img => {
-                            const textDiv = clonedDoc.createElement('div');
-                            textDiv.style.cssText = 'padding: 12px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; margin: 12px 0; font-size: 14px; color: #666; text-align: center; font-family: Arial, sans-serif;';
-                            textDiv.innerHTML = '<em>[Image: ' + (img.alt || 'Image') + ']</em>';
-                            img.parentNode.replaceChild(textDiv, img);
-                        });
-                        
-                        // Replace image fallback divs
-                        const fallbacks = clonedDoc.querySelectorAll('div[style*="border: 2px dashed"]');
-                        fallbacks.forEach(fallback => {
-                            const textDiv = clonedDoc.createElement('div');
-                            textDiv.style.cssText = 'padding: 12px; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; margin: 12px 0; font-size: 14px; color: #666; text-align: center; font-family: Arial, sans-serif;';
-                            textDiv.innerHTML = '<em>[Image not available in PDF]</em>';
-                            fallback.parentNode.replaceChild(textDiv, fallback);
-                        });
-                        
-                        // Remove any remaining potentially problematic elements
-                        const iframes = clonedDoc.querySelectorAll('iframe, embed, object');
-                        iframes.forEach(el => el.remove());
-                        
-                        // Improve page break handling with CSS
-                        const style = clonedDoc.createElement('style');
-                        style.textContent = `
-                            @media print {
-                                h1, h2, h3, h4, h5, h6 {
-                                    page-break-after: avoid;
-                                    page-break-inside: avoid;
-                                    break-after: avoid;
-                                    break-inside: avoid;
-                                }
-                                p, li {
-                                    page-break-inside: avoid;
-                                    break-inside: avoid;
-                                    orphans: 2;
-                                    widows: 2;
-                                }
-                                pre, blockquote {
-                                    page-break-inside: avoid;
-                                    break-inside: avoid;
-                                }
-                                table {
-                                    page-break-inside: auto;
-                                }
-                                tr {
-                                    page-break-inside: avoid;
-                                    break-inside: avoid;
-                                }
-                            }
-                        `;
-                        clonedDoc.head.appendChild(style);
-                    }
-                },
-                jsPDF: {
-                    unit: 'mm',
-                    format: 'a4',
-                    orientation: 'portrait',
-                    compress: true
-                },
-                pagebreak: {
-                    mode: ['avoid-all', 'css', 'legacy'],
-                    avoid: 'h1,h2,h3,h4,h5,h6,p,li,pre,blockquote'
-                }
-            };
-
-            // Generate PDF
-            await html2pdf().set(options).from(element).save();
-            
-            this.showNotification('PDF generated successfully!', 'success');
-            
-        } catch (error) {
-            console.error('Error generating PDF:', error);
-            this.showNotification('Error generating PDF. Please try again.', 'error');
-        } finally {
-            this.showLoading(false);
-        }
+        const row = Number(target.dataset.row);
+        const column = Number(target.dataset.column);
+        const cells = row < 0 ? this.tableDraft.header : this.tableDraft.rows[row];
+        cells[column] = target.value;
+        this.tableFocus = { row, column };
     }
 
-    handleFormatting(format) {
-        const textarea = this.markdownInput;
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        const selectedText = textarea.value.substring(start, end);
-        let replacement = '';
+    handleTableAction(action) {
+        const draft = this.tableDraft;
+        const { row, column } = this.tableFocus;
+        const columns = draft.header.length;
 
-        switch (format) {
-            case 'bold':
-                replacement = `**${selectedText || 'bold text'}**`;
-                break;
-            case 'italic':
-                replacement = `*${selectedText || 'italic text'}*`;
-                break;
-            case 'underline':
-                replacement = `<u>${selectedText || 'underlined text'}</u>`;
-                break;
-            case 'h1':
-                replacement = `# ${selectedText || 'Heading 1'}`;
-                break;
-            case 'h2':
-                replacement = `## ${selectedText || 'Heading 2'}`;
-                break;
-            case 'h3':
-                replacement = `### ${selectedText || 'Heading 3'}`;
-                break;
-            case 'h4':
-                replacement = `#### ${selectedText || 'Heading 4'}`;
-                break;
-            case 'h5':
-                replacement = `##### ${selectedText || 'Heading 5'}`;
-                break;
-            case 'h6':
-                replacement = `###### ${selectedText || 'Heading 6'}`;
+        switch (action) {
+            case 'add-row':
+                draft.rows.splice(row + 1, 0, new Array(columns).fill(''));
+                this.tableFocus = { row: row + 1, column };
                 break;
-            case 'quote':
-                replacement = `> ${selectedText || 'Quote text'}`;
+            case 'remove-row': {
+                // From the header row the last row goes
+                const target = row < 0 ? draft.rows.length - 1 : row;
+                if (target < 0) return;
+                draft.rows.splice(target, 1);
+                this.tableFocus = { row: Math.min(target, draft.rows.length - 1), column };
                 break;
-            case 'code':
-                if (selectedText.includes('\n')) {
-                    replacement = `\`\`\`\n${selectedText || 'code block'}\n\`\`\``;
-                } else {
-                    replacement = `\`${selectedText || 'code'}\``;
-                }
-                break;
-            case 'link':
-                replacement = `[${selectedText || 'link text'}](https://example.com)`;
-                break;
-            case 'image':
-                replacement = `![${selectedText || 'alt text'}](image-url.jpg)`;
-                break;
-            case 'table':
-                replacement = `| Header 1 | Header 2 | Header 3 |\n|----------|----------|----------|\n| Cell 1   | Cell 2   | Cell 3   |\n| Cell 4   | Cell 5   | Cell 6   |`;
+            }
+            case 'add-column':
+                [draft.header, draft.alignments, ...draft.rows].forEach(cells => cells.splice(column + 1, 0, ''));
+                draft.header[column + 1] = `Header ${columns + 1}`;
+                this.tableFocus = { row, column: column + 1 };
                 break;
-            case 'list':
-                replacement = `- ${selectedText || 'List item 1'}\n- List item 2\n- List item 3`;
+            case 'remove-column':
+                if (columns <= 1) return;
+                [draft.header, draft.alignments, ...draft.rows].forEach(cells => cells.splice(column, 1));
+                this.tableFocus = { row, column: Math.min(column, columns - 2) };
                 break;
         }
 
-        // Insert the replacement text
-        textarea.value = textarea.value.substring(0, start) + replacement + textarea.value.substring(end);
-        
-        // Update cursor position
-        const newCursorPos = start + replacement.length;
-        textarea.setSelectionRange(newCursorPos, newCursorPos);
-        
-        // Focus back to textarea
-        textarea.focus();
-        
-        // Update preview
-        this.updatePreview();
-        
-        // Add button animation
-        this.animateButton(event.target.closest('.format-btn'));
+        this.renderTableGrid();
+        const focus = this.tableGrid.querySelector(`input[data-row="${this.tableFocus.row}"][data-column="${this.tableFocus.column}"]`);
+        if (focus) focus.focus();
+    }
+
+    saveTable() {
+        const { header, alignments, rows, range } = this.tableDraft;
+        this.editor.setTable({ header, alignments, rows }, range);
+        this.closeModal(this.tableDialog);
+        this.editor.focus();
     }
 
     handleKeyboardShortcuts(event) {
@@ -336,12 +3233,19 @@ class MarkdownConverter {
             'k': 'link'
         };
 
-        const format = shortcuts[event.key.toLowerCase()];
+        const key = event.key.toLowerCase();
+        const format = shortcuts[key];
         if (format) {
             event.preventDefault();
             this.handleFormatting(format);
         }
 
+        // Find, and find and replace
+        if (key === 'f' || key === 'h') {
+            event.preventDefault();
+            this.openFindBar(key === 'h' || event.shiftKey);
+        }
+
         // Save shortcut
         if (event.key === 's') {
             event.preventDefault();
@@ -349,37 +3253,217 @@ class MarkdownConverter {
         }
     }
 
+    // Find and replace bar; the searching itself is done by the editor
+    openFindBar(replace = false) {
+        const { find, replace: replaceField } = this.findBar.elements;
+        const selection = this.editor.getSelectedText();
+        if (selection && !selection.includes('\n')) {
+            find.value = selection;
+        }
+
+        this.findBar.hidden = false;
+        const field = replace ? replaceField : find;
+        field.focus();
+        field.select();
+        this.updateSearch();
+    }
+
+    closeFindBar() {
+        this.findBar.hidden = true;
+        this.editor.clearSearch();
+        this.editor.focus();
+    }
+
+    // Highlights the matches of the query as it is typed
+    updateSearch() {
+        const { find, regex, caseSensitive } = this.findBar.elements;
+        try {
+            this.editor.setSearch(find.value, { regex: regex.checked, caseSensitive: caseSensitive.checked });
+            find.setCustomValidity('');
+            this.showFindCount(this.editor.getMatchInfo());
+        } catch (error) {
+            // Usually a regular expression that isn't finished yet
+            this.editor.clearSearch();
+            find.setCustomValidity(error.message);
+            this.findCount.textContent = 'Invalid expression';
+        }
+    }
+
+    handleFindAction(action) {
+        if (action === 'close') {
+            this.closeFindBar();
+            return;
+        }
+        if (!this.findBar.elements.find.value || !this.findBar.elements.find.checkValidity()) return;
+
+        const replacement = this.findBar.elements.replace.value;
+        switch (action) {
+            case 'next':
+                this.showFindCount(this.editor.findNext());
+                break;
+            case 'previous':
+                this.showFindCount(this.editor.findNext(true));
+                break;
+            case 'replace':
+                this.showFindCount(this.editor.replace(replacement));
+                break;
+            case 'replace-all': {
+                const count = this.editor.replaceAll(replacement);
+                this.showFindCount(this.editor.getMatchInfo());
+                this.showNotification(`Replaced ${count} match${count === 1 ? '' : 'es'}`, count ? 'success' : 'info');
+                break;
+            }
+        }
+    }
+
+    showFindCount({ index, count }) {
+        if (count === 0) {
+            this.findCount.textContent = this.findBar.elements.find.value ? 'No matches' : '';
+        } else if (index === -1) {
+            this.findCount.textContent = `${count} match${count === 1 ? '' : 'es'}`;
+        } else {
+            this.findCount.textContent = `${index + 1} of ${count}`;
+        }
+    }
+
     setupDragAndDrop() {
-        const dropZone = this.markdownInput;
+        const dropZone = this.editor.getWrapperElement();
+        // Dragging text inside the editor is left to the editor
+        const hasFiles = e => Array.from(e.dataTransfer ? e.dataTransfer.types : []).includes('Files');
 
+        // Capture phase, so the editor never handles dropped files itself
         ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
             dropZone.addEventListener(eventName, (e) => {
+                if (!hasFiles(e)) return;
                 e.preventDefault();
                 e.stopPropagation();
-            });
+            }, true);
         });
 
         ['dragenter', 'dragover'].forEach(eventName => {
-            dropZone.addEventListener(eventName, () => {
-                dropZone.classList.add('drag-over');
-            });
+            dropZone.addEventListener(eventName, (e) => {
+                if (hasFiles(e)) dropZone.classList.add('drag-over');
+            }, true);
         });
 
         ['dragleave', 'drop'].forEach(eventName => {
             dropZone.addEventListener(eventName, () => {
                 dropZone.classList.remove('drag-over');
-            });
+            }, true);
         });
 
-        dropZone.addEventListener('drop', (e) => {
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.fileInput.files = files;
-                this.handleFileLoad({ target: { files } });
+        dropZone.addEventListener('drop', async (e) => {
+            if (!hasFiles(e)) return;
+
+            // Entries have to be taken while the event is dispatched; folders are read afterwards
+            const entries = Array.from(e.dataTransfer.items || [])
+                .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+                .filter(Boolean);
+            if (entries.some(entry => entry.isDirectory)) {
+                this.openProject(await this.readDroppedEntries(entries));
+                return;
+            }
+
+            const files = Array.from(e.dataTransfer.files);
+            if (files.length === 1 && this.isZipFile(files[0])) {
+                this.openProjectZip(files[0]);
+                return;
+            }
+            const images = files.filter(file => file.type.startsWith('image/'));
+            const documents = files.filter(file => !file.type.startsWith('image/'));
+
+            if (images.length > 0) {
+                this.insertImageFiles(images);
+            }
+            if (documents.length > 0) {
+                this.handleFileLoad({ target: { files: documents } });
+            }
+        }, true);
+
+        // Pasted screenshots and copied images
+        this.editor.on('paste', (e) => {
+            const items = Array.from(e.clipboardData ? e.clipboardData.items : []);
+            const images = items
+                .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+                .map(item => item.getAsFile())
+                .filter(Boolean);
+
+            if (images.length > 0) {
+                e.preventDefault();
+                this.insertImageFiles(images);
             }
         });
     }
 
+    // Images go into the document library and are linked by a short local-images/ path;
+    // without the library they are embedded as data URLs
+    async insertImageFiles(files) {
+        const extensions = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+        try {
+            const snippets = await Promise.all(files.map(async (file) => {
+                const blob = await this.prepareImage(file);
+                const alt = (file.name || 'pasted-image').replace(/\.[^.]+$/, '').replace(/[[\]\\]/g, '\\$&');
+
+                if (this.libraryAvailable) {
+                    try {
+                        const image = await this.library.addImage({ blob, name: file.name || '' });
+                        this.localImageUrls.set(image.id, URL.createObjectURL(blob));
+                        return `![${alt}](local-images/${image.id}.${extensions[blob.type] || 'img'})`;
+                    } catch (error) {
+                        console.warn('Could not store image, embedding it instead:', error);
+                    }
+                }
+                return `![${alt}](${await this.readAsDataURL(blob)})`;
+            }));
+
+            this.editor.replaceSelection(snippets.join('\n\n'));
+            this.editor.focus();
+
+            this.showNotification(`${files.length} image(s) added`, 'success');
+        } catch (error) {
+            console.error('Error reading image:', error);
+            this.showNotification('Error reading image', 'error');
+        }
+    }
+
+    // Downscales and recompresses PNG, JPEG and WebP images as the image settings say; SVG and GIF stay as they are
+    async prepareImage(file) {
+        const { maxWidth, quality } = this.imageSettings;
+        if (!/^image\/(png|jpeg|webp)$/.test(file.type) || (!maxWidth && !quality)) return file;
+
+        const url = URL.createObjectURL(file);
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Image could not be decoded'));
+                image.src = url;
+            });
+
+            const scale = maxWidth && img.naturalWidth > maxWidth ? maxWidth / img.naturalWidth : 1;
+            if (scale === 1 && !quality) return file;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.naturalWidth * scale);
+            canvas.height = Math.round(img.naturalHeight * scale);
+            const context = canvas.getContext('2d');
+            const type = quality ? 'image/jpeg' : file.type;
+            if (type === 'image/jpeg') {
+                // JPEG has no transparency, which would turn black
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality || undefined));
+            // Recompressing an already small image can make it bigger
+            return blob && (scale < 1 || blob.size < file.size) ? blob : file;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
     // Utility functions
     debounce(func, wait) {
         let timeout;
@@ -393,17 +3477,138 @@ class MarkdownConverter {
         };
     }
 
+    readAsDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Image inlining for PDF export
+    async inlineImages(container) {
+        const sources = new Set();
+        container.querySelectorAll('img').forEach(img => {
+            const src = img.getAttribute('src');
+            if (src) sources.add(src);
+        });
+
+        const inlined = new Map();
+        const failed = [];
+
+        await Promise.all(Array.from(sources).map(async (src) => {
+            try {
+                inlined.set(src, await this.imageToDataURL(src));
+            } catch (error) {
+                console.warn(`Could not inline image ${src}:`, error);
+                failed.push(src);
+            }
+        }));
+
+        // Images that already failed in the preview are reported too
+        container.querySelectorAll('.image-fallback').forEach(fallback => {
+            failed.push(fallback.dataset.src);
+        });
+
+        return { inlined, failed };
+    }
+
+    async imageToDataURL(src) {
+        if (src.startsWith('data:')) return src;
+
+        try {
+            // Same-origin, blob: and CORS-enabled images can be read directly
+            const response = await fetch(src, { mode: 'cors' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const blob = await response.blob();
+            if (!blob.type.startsWith('image/')) throw new Error(`Unexpected content type "${blob.type}"`);
+
+            return await this.readAsDataURL(blob);
+        } catch (error) {
+            // Some servers only send CORS headers for image requests, so try a canvas copy
+            return this.rasterizeImage(src);
+        }
+    }
+
+    rasterizeImage(src, size = {}) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+
+            img.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = size.width || img.naturalWidth;
+                    canvas.height = size.height || img.naturalHeight;
+                    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                    // Throws if the image tainted the canvas
+                    resolve(canvas.toDataURL('image/png'));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            img.onerror = () => reject(new Error('Image could not be loaded'));
+            img.src = src;
+        });
+    }
+
+    // Inline SVG drawn at a multiple of its on-screen size
+    rasterizeSvg(svg, rect, scale) {
+        const clone = svg.cloneNode(true);
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('width', rect.width);
+        clone.setAttribute('height', rect.height);
+
+        const markup = new XMLSerializer().serializeToString(clone);
+        return this.rasterizeImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`, {
+            width: Math.round(rect.width * scale),
+            height: Math.round(rect.height * scale)
+        });
+    }
+
+    createImageFallback(doc, img) {
+        const src = img.getAttribute('src') || '';
+
+        const fallback = doc.createElement('div');
+        fallback.className = 'image-fallback';
+        fallback.dataset.src = src;
+        fallback.title = `Failed to load ${src}`;
+        fallback.style.cssText = `
+            border: 2px dashed #ccc;
+            padding: 20px;
+            background: #f9f9f9;
+            color: #666;
+            text-align: center;
+            font-size: 14px;
+            font-family: Arial, sans-serif;
+            border-radius: 4px;
+            margin: 1em 0;
+        `;
+
+        const icon = doc.createElement('i');
+        icon.className = 'fas fa-image';
+        icon.style.cssText = 'font-size: 24px; margin-bottom: 10px; display: block; color: #999;';
+
+        const label = doc.createElement('div');
+        label.textContent = img.alt ? `Image could not be loaded: ${img.alt}` : 'Image could not be loaded';
+
+        const source = doc.createElement('div');
+        source.style.cssText = 'font-size: 12px; margin-top: 5px; word-break: break-all;';
+        source.textContent = src;
+
+        fallback.append(icon, label, source);
+        return fallback;
+    }
+
     generateFilename() {
-        const now = new Date();
-        const timestamp = now.toISOString().split('T')[0];
-        const title = this.extractTitleFromMarkdown() || 'markdown-document';
-        return `${title}-${timestamp}.pdf`;
+        return this.renderer.generateFilename(this.getSourceMarkdown());
     }
 
-    extractTitleFromMarkdown() {
-        const content = this.markdownInput.value;
-        const match = content.match(/^#\s+(.+)$/m);
-        return match ? match[1].replace(/[^a-zA-Z0-9]/g, '-').toLowerCase() : null;
+    getDocumentTitle() {
+        return this.renderer.getDocumentTitle(this.getSourceMarkdown());
     }
 
     showLoading(show) {
@@ -420,8 +3625,8 @@ class MarkdownConverter {
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <i class="fas fa-${this.getNotificationIcon(type)}"></i>
-                <span>${message}</span>
+                <i class="fas fa-${escapeHtml(this.getNotificationIcon(type))}"></i>
+                <span>${escapeHtml(message)}</span>
             </div>
         `;
 
@@ -544,10 +3749,16 @@ class MarkdownConverter {
     animatePreviewUpdate(callback) {
         this.markdownPreview.classList.add('preview-updating');
         
-        setTimeout(() => {
-            callback();
-            this.markdownPreview.classList.remove('preview-updating');
-        }, 150);
+        return new Promise(resolve => {
+            setTimeout(() => {
+                try {
+                    callback();
+                } finally {
+                    this.markdownPreview.classList.remove('preview-updating');
+                    resolve();
+                }
+            }, 150);
+        });
     }
 
     animateButton(button) {
@@ -565,26 +3776,23 @@ class MarkdownConverter {
     }
 
     animateFileLoad() {
-        this.markdownInput.style.transform = 'scale(1.02)';
-        this.markdownInput.style.transition = 'transform 0.2s ease';
+        const editorElement = this.editor.getWrapperElement();
+        editorElement.style.transform = 'scale(1.02)';
+        editorElement.style.transition = 'transform 0.2s ease';
         
         setTimeout(() => {
-            this.markdownInput.style.transform = 'scale(1)';
+            editorElement.style.transform = 'scale(1)';
             setTimeout(() => {
-                this.markdownInput.style.transition = '';
+                editorElement.style.transition = '';
             }, 200);
         }, 100);
     }
 
-    autoResizeTextarea() {
-        const textarea = this.markdownInput;
-        textarea.style.height = 'auto';
-        textarea.style.height = Math.max(400, textarea.scrollHeight) + 'px';
-    }
-
-    handleImageLoading() {
-        const images = this.markdownPreview.querySelectorAll('img');
+    handleImageLoading(images) {
         images.forEach(img => {
+            // Stored images still being loaded get their src later
+            if (!img.getAttribute('src')) return;
+
             // Don't set CORS initially - let browser try normal loading first
             img.style.opacity = '0.7';
             img.style.transition = 'opacity 0.3s ease';
@@ -614,33 +3822,65 @@ class MarkdownConverter {
             loadImage(img, false)
                 .catch(() => loadImage(img, true))
                 .catch(() => {
-                    // Only show fallback if both attempts fail
-                    const fallback = document.createElement('div');
-                    fallback.style.cssText = `
-                        border: 2px dashed #ccc;
-                        padding: 20px;
-                        background: #f9f9f9;
-                        color: #666;
-                        text-align: center;
-                        font-size: 14px;
-                        font-family: Arial, sans-serif;
-                        border-radius: 4px;
-                        margin: 1em 0;
-                    `;
-                    fallback.innerHTML = `
-                        <i class="fas fa-image" style="font-size: 24px; margin-bottom: 10px; display: block; color: #999;"></i>
-                        <div>Image could not be loaded</div>
-                        <div style="font-size: 12px; margin-top: 5px; word-break: break-all;">${img.src}</div>
-                    `;
-                    
+                    // Only show fallback if both attempts fail; a preview update may have removed the image since
+                    if (!img.parentNode) return;
+                    const fallback = this.createImageFallback(document, img);
                     img.parentNode.replaceChild(fallback, img);
+                    console.warn(`Image failed to load: ${fallback.dataset.src}`);
+                });
+        });
+    }
+
+    // Offline support, see sw.js. An update is downloaded in the background and shown as a prompt;
+    // the page only reloads into it when the user asks.
+    registerServiceWorker() {
+        // Service workers need http(s); opened from a file, the app still loads everything from disk
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        const offerUpdate = (worker) => {
+            this.waitingWorker = worker;
+            this.updatePrompt.hidden = false;
+        };
+
+        navigator.serviceWorker.register('sw.js').then((registration) => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
                 });
+            });
+        }).catch((error) => {
+            console.warn('Offline support is not available:', error);
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) {
+                window.location.reload();
+            }
         });
     }
 
+    // Saves the draft, then lets the new version take over; the page reloads when it has
+    async applyUpdate() {
+        this.updatePrompt.hidden = true;
+        if (!this.waitingWorker || this.updating) return;
+
+        this.updating = true;
+        await this.flushAutosave();
+        this.waitingWorker.postMessage({ type: 'skip-waiting' });
+    }
+
     handleResize() {
         // Handle any responsive layout adjustments
-        this.autoResizeTextarea();
+        this.editor.refresh();
+        this.fitPrintPages();
+        this.invalidateScrollMap();
     }
 }
 
@@ -653,5 +3893,3 @@ document.addEventListener('DOMContentLoaded', () => {
         document.querySelector('.app-container').classList.add('fade-in');
     }, 100);
 });
-
-// Service worker removed to avoid 404 errors
\ No newline at end of file
@@ -0,0 +1,112 @@
+// MarkdPDF - Service Worker
+// Keeps the app and its libraries in a cache so that MarkdPDF starts and works without a network.
+// Change CACHE_VERSION whenever a cached file changes: the new worker caches the files again and waits
+// until the page's update prompt lets it take over (see registerServiceWorker() in script.js).
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `markdpdf-v${CACHE_VERSION}`;
+
+const KATEX_FONTS = [
+    'AMS-Regular', 'Caligraphic-Bold', 'Caligraphic-Regular', 'Fraktur-Bold', 'Fraktur-Regular',
+    'Main-Bold', 'Main-BoldItalic', 'Main-Italic', 'Main-Regular', 'Math-BoldItalic', 'Math-Italic',
+    'SansSerif-Bold', 'SansSerif-Italic', 'SansSerif-Regular', 'Script-Regular',
+    'Size1-Regular', 'Size2-Regular', 'Size3-Regular', 'Size4-Regular', 'Typewriter-Regular'
+];
+
+// Embedded by the text PDF engine, see PDF_FONTS in core.js
+const PDF_FONT_FILES = [
+    'sans-regular', 'sans-bold', 'sans-italic', 'sans-bolditalic',
+    'serif-regular', 'serif-bold', 'serif-italic', 'serif-bolditalic',
+    'mono-regular', 'mono-bold'
+];
+
+// Everything the page and the preview worker load, fetched when the worker installs
+const APP_FILES = [
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'markdPDF_icon.png',
+    'script.js',
+    'core.js',
+    'editor.js',
+    'emoji.js',
+    'exporters.js',
+    ...PDF_FONT_FILES.map(name => `fonts/${name}.ttf`),
+    'library.js',
+    'preview-worker.js',
+    'print-layout.js',
+    'templates.js',
+    'themes.js',
+    'vector-pdf.js',
+    'vendor/codemirror/lib/codemirror.css',
+    'vendor/codemirror/lib/codemirror.js',
+    'vendor/codemirror/mode/xml/xml.js',
+    'vendor/codemirror/mode/yaml/yaml.js',
+    'vendor/codemirror/mode/markdown/markdown.js',
+    'vendor/codemirror/addon/mode/overlay.js',
+    'vendor/codemirror/mode/gfm/gfm.js',
+    'vendor/codemirror/mode/yaml-frontmatter/yaml-frontmatter.js',
+    'vendor/codemirror/addon/edit/continuelist.js',
+    'vendor/codemirror/addon/search/searchcursor.js',
+    'vendor/codemirror/addon/display/placeholder.js',
+    'vendor/dompurify/purify.min.js',
+    'vendor/font-awesome/css/all.min.css',
+    'vendor/font-awesome/webfonts/fa-solid-900.woff2',
+    'vendor/font-awesome/webfonts/fa-regular-400.woff2',
+    'vendor/font-awesome/webfonts/fa-brands-400.woff2',
+    'vendor/font-awesome/webfonts/fa-v4compatibility.woff2',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/html2canvas/html2canvas.min.js',
+    'vendor/js-yaml/js-yaml.min.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/jszip/jszip.min.js',
+    'vendor/katex/katex.min.css',
+    'vendor/katex/katex.min.js',
+    ...KATEX_FONTS.map(name => `vendor/katex/fonts/KaTeX_${name}.woff2`),
+    'vendor/marked/marked.min.js',
+    'vendor/mermaid/mermaid.min.js',
+    'vendor/pdf-lib/pdf-lib.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // Past the browser's HTTP cache, so a new version doesn't cache the old files
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('markdpdf-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        // The page that installed the first version works offline without a reload
+        .then(() => self.clients.claim()));
+});
+
+// Sent by the update prompt
+self.addEventListener('message', ({ data }) => {
+    if (data && data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Images and links to other sites go to the network as usual
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Every page of the app is index.html, also when it is opened with a .md file
+    if (request.mode === 'navigate') {
+        event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+        return;
+    }
+
+    // Files that aren't in APP_FILES are cached the first time they load
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request).then((response) => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    })));
+});
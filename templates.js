@@ -0,0 +1,226 @@
+// MarkdPDF - Document Templates
+// Starting points for new documents. A document uses a template with "template: <id>" in its front matter:
+// the template's cover page and front pages come before the content, and its CSS is added to the theme.
+// {{variables}} in the cover, the pages and the document are filled in from the front matter, then from
+// the "value" of the template's variables. In the cover, a line whose variables are all empty is left out;
+// in the pages, only if it has nothing but its variables, like a table row. In both, a line using
+// {{list.field}} is repeated for each item of the list.
+
+const DOCUMENT_TEMPLATES = [
+    {
+        id: 'welcome',
+        name: 'Welcome',
+        description: 'A tour of the Markdown MarkdPDF understands',
+        icon: 'fa-hand-sparkles',
+        content: `# Welcome to MarkdPDF
+
+This is a **markdown to PDF** converter. You can:
+
+- Write markdown in this editor
+- See live preview on the right
+- Use formatting buttons above
+- Load \`.md\` files
+- Export as PDF
+
+## Features
+
+- **Bold text**
+- *Italic text*
+- \`Code snippets\`
+- [Links](https://example.com)
+
+> This is a blockquote
+
+\`\`\`javascript title="hello.js" {2}
+// Code blocks are highlighted
+function hello() {
+    console.log('Hello World!');
+}
+\`\`\`
+
+| Column 1 | Column 2 | Column 3 |
+|----------|----------|----------|
+| Data 1   | Data 2   | Data 3   |
+| Data 4   | Data 5   | Data 6   |
+
+### Ready to convert?
+
+Click the **Save PDF** button when you're ready!
+`
+    },
+    {
+        id: 'report',
+        name: 'Report',
+        description: 'Cover page, revision history, disclaimer and a table of contents',
+        icon: 'fa-file-contract',
+        variables: [
+            { name: 'title', label: 'Title' },
+            { name: 'subtitle', label: 'Subtitle' },
+            { name: 'author', label: 'Author' },
+            { name: 'organization', label: 'Organization' },
+            { name: 'version', label: 'Version', value: '1.0' },
+            { name: 'date', label: 'Date' },
+            { name: 'logo', label: 'Logo URL' },
+            { name: 'confidentiality', label: 'Confidentiality notice', value: 'Confidential. For internal use only.' }
+        ],
+        cover: `
+<img class="cover-logo" src="{{logo}}" alt="">
+<p class="cover-title">{{title}}</p>
+<p class="cover-subtitle">{{subtitle}}</p>
+<p class="cover-meta">{{author}}</p>
+<p class="cover-meta">{{organization}}</p>
+<p class="cover-meta">Version {{version}} · {{date}}</p>
+<p class="cover-notice">{{confidentiality}}</p>
+`,
+        pages: [
+            {
+                id: 'revisions',
+                name: 'Revision history',
+                content: `
+## Revision History
+
+| Version | Date | Author | Changes |
+|---------|------|--------|---------|
+| {{revisions.version}} | {{revisions.date}} | {{revisions.author}} | {{revisions.changes}} |
+`
+            },
+            {
+                id: 'disclaimer',
+                name: 'Disclaimer',
+                content: `
+## Disclaimer
+
+This document is provided for information only. The authors make no warranties, express or implied, about the completeness or accuracy of its contents, which may change without notice.
+
+{{confidentiality}}
+`
+            }
+        ],
+        css: `
+            .markdown-content .cover-page { border-top: 12px solid #1f3a5f; }
+            .markdown-content .cover-title { color: #1f3a5f; }
+        `,
+        content: `---
+template: report
+title: Quarterly Report
+subtitle: Results and outlook
+author: Your Name
+organization: Your Company
+version: "1.0"
+toc: true
+theme: corporate
+revisions:
+  - version: "1.0"
+    date: ${new Date().toISOString().split('T')[0]}
+    author: Your Name
+    changes: First version
+---
+
+# Summary
+
+Key results of the quarter for {{organization}}.
+
+# Results
+
+# Outlook
+`
+    },
+    {
+        id: 'specification',
+        name: 'Technical Specification',
+        description: 'Cover page and revision history for design documents',
+        icon: 'fa-drafting-compass',
+        variables: [
+            { name: 'title', label: 'Title' },
+            { name: 'project', label: 'Project' },
+            { name: 'author', label: 'Author' },
+            { name: 'status', label: 'Status', value: 'Draft' },
+            { name: 'version', label: 'Version', value: '0.1' },
+            { name: 'date', label: 'Date' }
+        ],
+        cover: `
+<p class="cover-meta">{{project}}</p>
+<p class="cover-title">{{title}}</p>
+<p class="cover-subtitle">{{status}} · Version {{version}}</p>
+<p class="cover-meta">{{author}}</p>
+<p class="cover-meta">{{date}}</p>
+`,
+        pages: [
+            {
+                id: 'revisions',
+                name: 'Revision history',
+                content: `
+## Revision History
+
+| Version | Date | Author | Changes |
+|---------|------|--------|---------|
+| {{revisions.version}} | {{revisions.date}} | {{revisions.author}} | {{revisions.changes}} |
+`
+            }
+        ],
+        content: `---
+template: specification
+title: Feature Name
+project: Project Name
+author: Your Name
+status: Draft
+version: "0.1"
+toc: true
+theme: github
+revisions:
+  - version: "0.1"
+    date: ${new Date().toISOString().split('T')[0]}
+    author: Your Name
+    changes: First draft
+---
+
+# Overview
+
+What {{title}} does and why.
+
+# Goals and Non-Goals
+
+# Design
+
+# Alternatives Considered
+`
+    },
+    {
+        id: 'meeting-notes',
+        name: 'Meeting Notes',
+        description: 'Attendees, agenda, decisions and action items',
+        icon: 'fa-users',
+        variables: [
+            { name: 'title', label: 'Meeting' },
+            { name: 'date', label: 'Date' },
+            { name: 'attendees', label: 'Attendees' }
+        ],
+        content: `---
+template: meeting-notes
+title: Weekly Sync
+date: ${new Date().toISOString().split('T')[0]}
+attendees: [Alice, Bob]
+header: "{title}||{date}"
+---
+
+# {{title}}
+
+**Date:** {{date}}
+**Attendees:** {{attendees}}
+
+## Agenda
+
+1. First topic
+
+## Decisions
+
+## Action Items
+
+- [ ] Owner: task
+`
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DOCUMENT_TEMPLATES;
+}
@@ -0,0 +1,175 @@
+// MarkdPDF - Document Themes
+// Styles for the rendered document only (preview and PDF), separate from the editor UI.
+// Selectors are written against .markdown-content and scoped to the preview when applied;
+// "pdf" overrides the VectorPdfRenderer theme and "logo" is shown above the content.
+
+const DOCUMENT_THEMES = [
+    {
+        id: 'default',
+        name: 'MarkdPDF',
+        css: ''
+    },
+    {
+        id: 'github',
+        name: 'GitHub',
+        css: `
+            .markdown-content {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans', Helvetica, Arial, sans-serif;
+                color: #1f2328;
+                line-height: 1.5;
+                font-size: 16px;
+            }
+            .markdown-content h1, .markdown-content h2, .markdown-content h3,
+            .markdown-content h4, .markdown-content h5, .markdown-content h6 {
+                color: #1f2328;
+                font-weight: 600;
+                margin: 1.5em 0 1em;
+                line-height: 1.25;
+            }
+            .markdown-content h1 { font-size: 2em; border-bottom: 1px solid #d1d9e0; }
+            .markdown-content h2 { font-size: 1.5em; border-bottom: 1px solid #d1d9e0; }
+            .markdown-content h3 { font-size: 1.25em; }
+            .markdown-content h4 { font-size: 1em; }
+            .markdown-content p, .markdown-content strong, .markdown-content em { color: inherit; }
+            .markdown-content p { margin: 0 0 1em; }
+            .markdown-content a { color: #0969da; }
+            .markdown-content code {
+                background: rgba(129, 139, 152, 0.12);
+                color: inherit;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 85%;
+                border-radius: 6px;
+            }
+            .markdown-content pre {
+                background: #f6f8fa;
+                border-left: none;
+                border-radius: 6px;
+                padding: 16px;
+            }
+            .markdown-content .code-title { border-left: none; background: #eaeef2; }
+            .markdown-content blockquote {
+                background: none;
+                border-left: 0.25em solid #d1d9e0;
+                color: #59636e;
+                font-style: normal;
+            }
+            .markdown-content th, .markdown-content td { border: 1px solid #d1d9e0; padding: 6px 13px; }
+            .markdown-content th { background: #f6f8fa; color: #1f2328; }
+            .markdown-content hr { height: 0.25em; border: 0; background: #d1d9e0; }
+        `,
+        pdf: {
+            textColor: '#1f2328',
+            headingColor: '#1f2328',
+            linkColor: '#0969da',
+            accentColor: '#d1d9e0',
+            codeColor: '#1f2328',
+            codeBackground: '#eff1f3',
+            preBackground: '#f6f8fa',
+            quoteColor: '#59636e',
+            borderColor: '#d1d9e0',
+            ruleColor: '#d1d9e0',
+            tableHeaderBackground: '#f6f8fa'
+        }
+    },
+    {
+        id: 'academic',
+        name: 'Academic',
+        css: `
+            .markdown-content {
+                font-family: 'Latin Modern Roman', 'Computer Modern Serif', Georgia, 'Times New Roman', serif;
+                color: #111111;
+                line-height: 1.6;
+                font-size: 15px;
+                text-align: justify;
+                hyphens: auto;
+            }
+            .markdown-content h1, .markdown-content h2, .markdown-content h3,
+            .markdown-content h4, .markdown-content h5, .markdown-content h6 {
+                font-family: inherit;
+                color: #111111;
+                font-weight: 600;
+                text-align: left;
+            }
+            .markdown-content h1 { font-size: 1.9em; text-align: center; border-bottom: none; margin-bottom: 1em; }
+            .markdown-content h2 { font-size: 1.4em; border-bottom: none; }
+            .markdown-content h3 { font-size: 1.15em; font-style: italic; }
+            .markdown-content p, .markdown-content strong, .markdown-content em { color: inherit; }
+            .markdown-content p { margin: 0.6em 0; }
+            .markdown-content a { color: #1a3d7c; }
+            .markdown-content code { background: none; color: inherit; padding: 0; }
+            .markdown-content pre {
+                background: #fafafa;
+                border: 1px solid #dddddd;
+                border-left: 1px solid #dddddd;
+                border-radius: 0;
+                text-align: left;
+            }
+            .markdown-content .code-title { border-left: none; border-radius: 0; }
+            .markdown-content blockquote {
+                background: none;
+                border-left: none;
+                margin: 1em 2.5em;
+                padding: 0;
+                color: #333333;
+                font-size: 0.95em;
+            }
+            .markdown-content table { margin: 1.5em auto; border-top: 2px solid #111111; border-bottom: 2px solid #111111; }
+            .markdown-content th, .markdown-content td { border: none; background: none; }
+            .markdown-content th { border-bottom: 1px solid #111111; color: #111111; }
+        `,
+        pdf: {
+            bodyFont: 'serif',
+            textColor: '#111111',
+            headingColor: '#111111',
+            linkColor: '#1a3d7c',
+            accentColor: '#dddddd',
+            codeColor: '#111111',
+            codeBackground: '#ffffff',
+            preBackground: '#fafafa',
+            quoteColor: '#333333',
+            ruleColor: '#111111'
+        }
+    },
+    {
+        id: 'corporate',
+        name: 'Corporate',
+        logo: 'markdPDF_icon.png',
+        css: `
+            .markdown-content {
+                font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif;
+                color: #2b2f36;
+                line-height: 1.6;
+            }
+            .markdown-content .theme-logo { margin-bottom: 1.5em; padding-bottom: 0.75em; border-bottom: 3px solid #1f3a5f; }
+            .markdown-content .theme-logo img { height: 48px; width: auto; display: block; }
+            .markdown-content h1, .markdown-content h2, .markdown-content h3,
+            .markdown-content h4, .markdown-content h5, .markdown-content h6 {
+                color: #1f3a5f;
+            }
+            .markdown-content h1 { border-bottom: none; text-transform: uppercase; letter-spacing: 0.04em; }
+            .markdown-content h2 { border-bottom: 2px solid #1c8c8c; }
+            .markdown-content p, .markdown-content strong, .markdown-content em { color: inherit; }
+            .markdown-content a { color: #1c8c8c; }
+            .markdown-content code { color: #1f3a5f; background: #eef2f7; }
+            .markdown-content pre { border-left-color: #1c8c8c; background: #f5f7fa; }
+            .markdown-content .code-title { border-left-color: #1c8c8c; }
+            .markdown-content blockquote { border-left-color: #1c8c8c; background: #f5f7fa; color: #4a5563; font-style: normal; }
+            .markdown-content th { background: #1f3a5f; color: #ffffff; }
+        `,
+        pdf: {
+            textColor: '#2b2f36',
+            headingColor: '#1f3a5f',
+            linkColor: '#1c8c8c',
+            accentColor: '#1c8c8c',
+            codeColor: '#1f3a5f',
+            codeBackground: '#eef2f7',
+            preBackground: '#f5f7fa',
+            quoteColor: '#4a5563',
+            tableHeaderBackground: '#e3e9f1'
+        }
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DOCUMENT_THEMES;
+}
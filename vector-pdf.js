@@ -0,0 +1,1505 @@
+// MarkdPDF - Vector PDF Renderer
+// Walks the sanitized preview DOM and draws it with jsPDF text primitives,
+// so the exported text stays selectable and searchable
+
+class VectorPdfRenderer {
+    constructor(options = {}) {
+        const defaults = VectorPdfRenderer.defaults;
+        this.options = { ...defaults, ...options };
+        this.theme = { ...defaults.theme, ...(options.theme || {}) };
+    }
+
+    static get defaults() {
+        return {
+            format: 'a4',
+            orientation: 'portrait',
+            // Same order and unit (mm) as the html2pdf margin option: top, left, bottom, right
+            margins: [10, 10, 10, 10],
+            // Fewest lines of a paragraph or code block left at the bottom of a page (orphans)
+            // and carried over to the top of the next one (widows), as in the print layout
+            orphans: 2,
+            widows: 2,
+            // Optional TTF fonts to embed: { sans: { normal, bold, italic, bolditalic }, serif: { ... }, mono: { ... } }.
+            // Only the faces the document uses end up in the PDF.
+            fonts: null,
+            // async (url) => base64 font data; defaults to fetch(), the CLI reads from disk
+            loadFont: null,
+            jsPDF: null,
+            theme: {
+                // 'sans' or 'serif'; code always uses the mono font
+                bodyFont: 'sans',
+                fontSize: 10.5,
+                lineHeight: 1.45,
+                textColor: '#333333',
+                headingColor: '#1a1a1a',
+                headingSizes: [22, 18, 15, 13, 11.5, 10.5],
+                linkColor: '#ff6b35',
+                accentColor: '#ff6b35',
+                codeColor: '#d73a49',
+                codeBackground: '#f5f5f5',
+                preColor: '#333333',
+                preBackground: '#f8f8f8',
+                quoteColor: '#666666',
+                markBackground: '#fff3a3',
+                borderColor: '#dddddd',
+                ruleColor: '#e0e0e0',
+                tableHeaderBackground: '#f8f8f8',
+                mutedColor: '#666666',
+                lineHighlightBackground: '#fff8c5',
+                codeTitleBackground: '#eeeeee',
+                // Callout bar and title colors by kind, see ADMONITION_KINDS in core.js
+                admonitionColors: {
+                    note: '#0969da',
+                    tip: '#1a7f37',
+                    important: '#8250df',
+                    warning: '#9a6700',
+                    caution: '#cf222e'
+                },
+                // highlight.js token colors, matching the preview stylesheet
+                syntax: {
+                    doctag: '#d73a49',
+                    keyword: '#d73a49',
+                    'template-tag': '#d73a49',
+                    'template-variable': '#d73a49',
+                    type: '#d73a49',
+                    title: '#6f42c1',
+                    attr: '#005cc5',
+                    attribute: '#005cc5',
+                    literal: '#005cc5',
+                    meta: '#005cc5',
+                    number: '#005cc5',
+                    operator: '#005cc5',
+                    variable: '#005cc5',
+                    'selector-attr': '#005cc5',
+                    'selector-class': '#005cc5',
+                    'selector-id': '#005cc5',
+                    regexp: '#032f62',
+                    string: '#032f62',
+                    built_in: '#e36209',
+                    symbol: '#e36209',
+                    comment: '#6a737d',
+                    code: '#6a737d',
+                    formula: '#6a737d',
+                    name: '#22863a',
+                    quote: '#22863a',
+                    'selector-tag': '#22863a',
+                    'selector-pseudo': '#22863a',
+                    section: '#005cc5',
+                    bullet: '#735c0f',
+                    addition: '#22863a',
+                    deletion: '#b31d28'
+                }
+            }
+        };
+    }
+
+    static get blockTags() {
+        return new Set([
+            'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR',
+            'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'MAIN', 'FIGURE', 'FIGCAPTION',
+            'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'IMG'
+        ]);
+    }
+
+    // Characters of the standard PDF fonts (WinAnsiEncoding) besides Latin-1
+    static get winAnsiCharacters() {
+        return '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+    }
+
+    // Text with the characters the PDF's current font has no glyph for replaced by "?", calling onMissing
+    // with each of them. Left to jsPDF, they would be dropped from an embedded font, and with a standard
+    // font the whole text would come out garbled.
+    static replaceMissingGlyphs(pdf, text, onMissing) {
+        const font = pdf.getFont();
+        const codeMap = font.encoding === 'Identity-H' ? font.metadata.cmap.unicode.codeMap : null;
+        if (!codeMap && /^[\x00-\xff]*$/.test(text)) return text;
+
+        let result = '';
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            const shown = codeMap
+                ? code < 0x10000 && codeMap[code] !== undefined
+                : code <= 0xff || VectorPdfRenderer.winAnsiCharacters.includes(char);
+            if (shown || /\s/.test(char)) {
+                result += char;
+            } else if (!/[\p{Cf}\ufe00-\ufe0f]/u.test(char)) {
+                // Invisible formatting characters and emoji variation selectors are just left out
+                onMissing(char);
+                result += '?';
+            }
+        }
+        return result;
+    }
+
+    // images: image src -> PNG/JPEG data URL
+    // graphics: element -> { data, width, height } pre-rendered image (CSS pixels) drawn in place of the element
+    async render(root, { images = new Map(), graphics = new Map() } = {}) {
+        this.JsPDF = this.options.jsPDF || (typeof window !== 'undefined' && window.jspdf && window.jspdf.jsPDF);
+        if (!this.JsPDF) {
+            throw new Error('jsPDF is not available');
+        }
+
+        this.images = images;
+        this.graphics = graphics;
+        this.fontData = new Map();
+        // Characters written as "?" because the fonts don't have them, see replaceMissingGlyphs()
+        this.missingCharacters = new Set();
+        this.anchorPages = new Map();
+
+        // A table of contents needs the page numbers of a first layout pass
+        const passes = root.querySelector('.table-of-contents') ? 2 : 1;
+        for (let pass = 0; pass < passes; pass++) {
+            await this.layoutDocument(root);
+            this.anchorPages = new Map(Array.from(this.anchors, ([id, anchor]) => [id, anchor.page]));
+        }
+
+        this.resolveInternalLinks();
+        return this.doc;
+    }
+
+    async layoutDocument(root) {
+        await this.startDocument();
+
+        // Navigation data: headings for the outline, element positions for internal links
+        this.headings = [];
+        this.anchors = new Map();
+        this.internalLinks = [];
+
+        this.keptHeights = await this.measureKeptBlocks(root);
+
+        // Footnotes are drawn at the bottom of the page that first refers to them
+        this.footnotes = this.collectFootnotes(root);
+        this.placedFootnotes = new Set();
+        this.pageFootnotes = [];
+
+        this.renderChildren(root, { left: this.page.left, right: this.page.right, listDepth: 0 });
+
+        // Footnotes referred to only where they can't be placed (tables of contents, captions) end up on the last page
+        const remaining = Array.from(this.footnotes.keys()).filter(id => !this.placedFootnotes.has(id));
+        this.ensureSpace(0, remaining);
+        this.addFootnotes(remaining);
+        this.drawFootnotes();
+    }
+
+    // New jsPDF document with the page geometry and fonts, positioned at the top of the first page
+    async startDocument() {
+        this.doc = new this.JsPDF({
+            unit: 'pt',
+            format: this.options.format,
+            orientation: this.options.orientation,
+            compress: true
+        });
+
+        const mm = 72 / 25.4;
+        const [top, left, bottom, right] = this.options.margins.map(margin => margin * mm);
+        const width = this.doc.internal.pageSize.getWidth();
+        const height = this.doc.internal.pageSize.getHeight();
+        this.page = { width, height, top, bottom: height - bottom, left, right: width - right };
+
+        this.y = this.page.top;
+        this.blockStyle = this.baseStyle();
+        this.collapseNextSpace = false;
+        this.pendingMarker = null;
+
+        await this.registerFonts(this.options.fonts);
+    }
+
+    // Heights of the keep-together blocks (see core.js), drawn first on a throwaway page without a bottom
+    async measureKeptBlocks(root) {
+        const heights = new Map();
+        const blocks = Array.from(root.querySelectorAll('.keep-together'));
+        if (blocks.length === 0) return heights;
+
+        const measurer = new VectorPdfRenderer(this.options);
+        Object.assign(measurer, {
+            JsPDF: this.JsPDF,
+            images: this.images,
+            graphics: this.graphics,
+            fontData: this.fontData,
+            missingCharacters: this.missingCharacters,
+            anchorPages: this.anchorPages,
+            measuring: true
+        });
+        await measurer.startDocument();
+        Object.assign(measurer, {
+            headings: [],
+            anchors: new Map(),
+            internalLinks: [],
+            keptHeights: new Map(),
+            footnotes: new Map(),
+            placedFootnotes: new Set(),
+            pageFootnotes: []
+        });
+
+        blocks.forEach(block => {
+            // Just below the top of the page, so the space above the block counts
+            measurer.y = measurer.page.top + 1;
+            measurer.renderBlock(block, { left: this.page.left, right: this.page.right, listDepth: 0 });
+            heights.set(block, measurer.y - measurer.page.top - 1);
+        });
+        return heights;
+    }
+
+    // Fonts
+    async registerFonts(fonts) {
+        this.fonts = { sans: 'helvetica', serif: 'times', mono: 'courier' };
+        // Embedded faces by font name and style, added to the document when first used (see setFontFor)
+        this.embeddedFaces = new Map();
+        this.addedFaces = new Set();
+        if (!fonts) return;
+
+        // Headers and footers are in the sans font (see core.js)
+        const used = new Set(['sans', this.theme.bodyFont, 'mono']);
+        for (const [family, variants] of Object.entries(fonts)) {
+            if (!used.has(family) || !variants || !variants.normal) continue;
+
+            const name = `MarkdPDF-${family}`;
+            try {
+                // Missing variants reuse the regular face instead of breaking setFont()
+                for (const style of ['normal', 'bold', 'italic', 'bolditalic']) {
+                    const url = variants[style] || variants.normal;
+                    if (!this.fontData.has(url)) {
+                        this.fontData.set(url, await (this.options.loadFont || this.loadFontData)(url));
+                    }
+                    this.embeddedFaces.set(`${name}-${style}`, url);
+                }
+                this.fonts[family] = name;
+            } catch (error) {
+                console.warn(`Could not embed ${family} font, using the built-in PDF font instead:`, error);
+            }
+        }
+    }
+
+    async loadFontData(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    setFontFor(style) {
+        const family = style.mono ? this.fonts.mono : (this.fonts[this.theme.bodyFont] || this.fonts.sans);
+        let fontStyle = 'normal';
+        if (style.bold && style.italic) fontStyle = 'bolditalic';
+        else if (style.bold) fontStyle = 'bold';
+        else if (style.italic) fontStyle = 'italic';
+
+        const face = `${family}-${fontStyle}`;
+        if (this.embeddedFaces.has(face) && !this.addedFaces.has(face)) {
+            this.doc.addFileToVFS(`${face}.ttf`, this.fontData.get(this.embeddedFaces.get(face)));
+            this.doc.addFont(`${face}.ttf`, family, fontStyle);
+            this.addedFaces.add(face);
+        }
+
+        this.doc.setFont(family, fontStyle);
+        this.doc.setFontSize(style.size);
+    }
+
+    // Text in the font of style, see replaceMissingGlyphs()
+    encodeText(text, style) {
+        this.setFontFor(style);
+        return VectorPdfRenderer.replaceMissingGlyphs(this.doc, text, char => this.missingCharacters.add(char));
+    }
+
+    measure(text, style) {
+        this.setFontFor(style);
+        return this.doc.getTextWidth(text);
+    }
+
+    // Page flow
+    baseStyle() {
+        return {
+            size: this.theme.fontSize,
+            color: this.theme.textColor,
+            bold: false,
+            italic: false,
+            mono: false
+        };
+    }
+
+    lineHeightFor(size) {
+        return size * this.theme.lineHeight;
+    }
+
+    atPageTop() {
+        return this.y <= this.page.top + 0.01;
+    }
+
+    addSpace(amount) {
+        if (this.collapseNextSpace) {
+            this.collapseNextSpace = false;
+            return;
+        }
+        if (!this.atPageTop()) {
+            this.y += amount;
+        }
+    }
+
+    // footnotes: ids of footnotes that have to go on the same page
+    ensureSpace(height, footnotes = []) {
+        if (this.y + height > this.contentBottom() - this.footnotesHeight(footnotes) && !this.atPageTop()) {
+            this.newPage();
+        }
+    }
+
+    // Bottom of the space left for content, above the current page's footnotes
+    contentBottom() {
+        if (this.measuring) return Infinity;
+        return this.page.bottom - this.footnotesHeight(this.pageFootnotes.map(note => note.id), true);
+    }
+
+    newPage() {
+        this.drawFootnotes();
+        this.doc.addPage();
+        this.y = this.page.top;
+    }
+
+    currentPage() {
+        return this.doc.internal.getCurrentPageInfo().pageNumber;
+    }
+
+    // Draws a vertical bar from a start position to the current one, across page breaks
+    drawBar(start, x, width, color) {
+        const endPage = this.currentPage();
+        this.doc.setFillColor(color);
+
+        for (let page = start.page; page <= endPage; page++) {
+            const from = page === start.page ? start.y : this.page.top;
+            const to = page === endPage ? this.y : this.page.bottom;
+            if (to <= from) continue;
+
+            this.doc.setPage(page);
+            this.doc.rect(x, from, width, to - from, 'F');
+        }
+        this.doc.setPage(endPage);
+    }
+
+    // Block rendering
+    isBlock(node) {
+        return node.nodeType === 1 && VectorPdfRenderer.blockTags.has(node.tagName);
+    }
+
+    renderChildren(parent, box) {
+        let inline = [];
+        const flush = () => {
+            if (inline.length > 0) {
+                this.renderRuns(this.collectRuns(inline, this.blockStyle), box);
+                inline = [];
+            }
+        };
+
+        Array.from(parent.childNodes).forEach(child => {
+            if (this.isBlock(child)) {
+                flush();
+                this.renderBlock(child, box);
+            } else {
+                inline.push(child);
+            }
+        });
+        flush();
+    }
+
+    renderBlock(el, box) {
+        if (el.classList && el.classList.contains('page-break')) {
+            if (!this.atPageTop()) this.newPage();
+            return;
+        }
+        if (this.keptHeights.has(el)) {
+            this.ensureSpace(this.keptHeights.get(el));
+        }
+
+        if (el.id && !/^H[1-6]$/.test(el.tagName)) {
+            this.addAnchor(el.id);
+        }
+
+        if (this.graphics.has(el)) {
+            this.renderGraphic(this.graphics.get(el), box);
+            return;
+        }
+
+        switch (el.tagName) {
+            case 'H1':
+            case 'H2':
+            case 'H3':
+            case 'H4':
+            case 'H5':
+            case 'H6':
+                this.renderHeading(el, box);
+                break;
+            case 'P':
+                this.addSpace(this.theme.fontSize * 0.8);
+                this.renderRuns(this.collectRuns(el.childNodes, this.blockStyle), box);
+                break;
+            case 'UL':
+            case 'OL':
+                this.renderList(el, box);
+                break;
+            case 'BLOCKQUOTE':
+                this.renderBlockquote(el, box);
+                break;
+            case 'PRE':
+                this.renderCodeBlock(el, box);
+                break;
+            case 'TABLE':
+                this.renderTable(el, box);
+                break;
+            case 'HR':
+                this.renderRule(box);
+                break;
+            case 'IMG':
+                this.renderImage(el, box);
+                break;
+            case 'DL':
+                this.addSpace(this.theme.fontSize * 0.8);
+                this.renderChildren(el, box);
+                break;
+            case 'DT':
+                this.addSpace(this.theme.fontSize * 0.5);
+                this.renderRuns(this.collectRuns(el.childNodes, { ...this.blockStyle, bold: true }), box);
+                break;
+            case 'DD':
+                this.collapseNextSpace = true;
+                this.renderChildren(el, { ...box, left: box.left + this.theme.fontSize * 1.8 });
+                this.collapseNextSpace = false;
+                break;
+            default:
+                if (el.classList && el.classList.contains('footnotes')) {
+                    // Already drawn at the bottom of the pages
+                } else if (el.classList && el.classList.contains('cover-page')) {
+                    this.renderCoverPage(el, box);
+                } else if (el.classList && el.classList.contains('admonition')) {
+                    this.renderAdmonition(el, box);
+                } else if (el.classList && el.classList.contains('table-of-contents')) {
+                    this.renderTableOfContents(el, box);
+                } else if (el.classList && el.classList.contains('code-title')) {
+                    this.renderCodeTitle(el, box);
+                } else if (el.classList && el.classList.contains('image-fallback')) {
+                    this.renderImagePlaceholder(el.textContent.trim(), box);
+                } else {
+                    this.renderChildren(el, box);
+                }
+        }
+    }
+
+    // Template cover page (see templates.js): centered lines from a third down the page, the notice at the bottom
+    renderCoverPage(el, box) {
+        if (!this.atPageTop()) this.newPage();
+        this.y = this.page.top + (this.page.bottom - this.page.top) / 3;
+
+        const center = { ...box, align: 'center' };
+        const muted = { ...this.blockStyle, color: this.theme.mutedColor };
+        const styles = {
+            'cover-title': { ...this.blockStyle, size: this.theme.headingSizes[0] * 1.3, bold: true, color: this.theme.headingColor },
+            'cover-subtitle': { ...muted, size: this.theme.headingSizes[2] },
+            'cover-notice': { ...muted, size: this.theme.fontSize * 0.9, italic: true }
+        };
+
+        Array.from(el.children).forEach(child => {
+            const image = child.tagName === 'IMG' ? child : child.classList.contains('theme-logo') && child.querySelector('img');
+            if (image) {
+                this.renderImage(image, center);
+                this.y += this.theme.fontSize * 2;
+                return;
+            }
+
+            const style = styles[Array.from(child.classList).find(name => name in styles)] || muted;
+            const runs = this.collectRuns(child.childNodes, style);
+            if (child.classList.contains('cover-notice')) {
+                const height = this.layoutRuns(runs, box.right - box.left).reduce((sum, line) => sum + line.height, 0);
+                this.y = Math.max(this.y, this.page.bottom - height);
+            } else {
+                this.addSpace(style.size * 0.5);
+            }
+            this.renderRuns(runs, box, 'center');
+        });
+    }
+
+    renderHeading(el, box) {
+        const level = Number(el.tagName[1]);
+        const size = this.theme.headingSizes[level - 1];
+        const style = { ...this.blockStyle, size, bold: true, italic: false, color: this.theme.headingColor };
+
+        this.addSpace(size * 0.9);
+        // Keep the heading on the same page as the first lines that follow it
+        this.ensureSpace(this.lineHeightFor(size) + this.lineHeightFor(this.theme.fontSize) * 2);
+
+        this.headings.push({ level, text: el.textContent.trim(), id: el.id, page: this.currentPage(), y: this.y });
+        if (el.id) {
+            this.addAnchor(el.id);
+        }
+
+        this.renderRuns(this.collectRuns(el.childNodes, style), box);
+
+        if (level <= 2) {
+            this.y += size * 0.15;
+            this.doc.setDrawColor(this.theme.ruleColor);
+            this.doc.setLineWidth(level === 1 ? 1.5 : 0.75);
+            this.doc.line(box.left, this.y, box.right, this.y);
+        }
+        this.y += size * 0.2;
+    }
+
+    renderList(el, box) {
+        const ordered = el.tagName === 'OL';
+        const indent = this.theme.fontSize * 1.8;
+        let number = ordered ? parseInt(el.getAttribute('start') || '1', 10) : 0;
+
+        if (box.listDepth === 0) {
+            this.addSpace(this.theme.fontSize * 0.8);
+        }
+
+        Array.from(el.children).filter(item => item.tagName === 'LI').forEach(item => {
+            const itemBox = { ...box, left: box.left + indent, listDepth: box.listDepth + 1 };
+            const marker = ordered ? `${number}.` : null;
+            number++;
+
+            this.addSpace(this.theme.fontSize * 0.3);
+            this.collapseNextSpace = true;
+
+            // Task list items show their checkbox instead of a bullet
+            const isTask = Boolean(item.querySelector(':scope > input[type="checkbox"], :scope > p:first-child > input[type="checkbox"]'));
+
+            const start = { page: this.currentPage(), y: this.y };
+            this.pendingMarker = isTask ? null : (baseline, size) => {
+                this.drawListMarker(marker, box.listDepth, itemBox.left, baseline, size);
+            };
+
+            this.renderChildren(item, itemBox);
+            this.collapseNextSpace = false;
+
+            // Items without any text (e.g. only a nested list) still get their marker
+            if (this.pendingMarker) {
+                const page = this.currentPage();
+                this.doc.setPage(start.page);
+                this.pendingMarker(start.y + this.theme.fontSize, this.theme.fontSize);
+                this.doc.setPage(page);
+                this.pendingMarker = null;
+            }
+        });
+    }
+
+    drawListMarker(marker, depth, left, baseline, size) {
+        const style = { ...this.baseStyle(), size };
+        this.setFontFor(style);
+        this.doc.setTextColor(this.theme.textColor);
+
+        if (marker) {
+            this.doc.text(marker, left - size * 0.5, baseline, { align: 'right' });
+            return;
+        }
+
+        const radius = size * 0.17;
+        const x = left - size * 0.9;
+        const y = baseline - size * 0.3;
+        this.doc.setDrawColor(this.theme.textColor);
+        this.doc.setFillColor(this.theme.textColor);
+        this.doc.setLineWidth(0.6);
+
+        if (depth % 3 === 0) {
+            this.doc.circle(x, y, radius, 'F');
+        } else if (depth % 3 === 1) {
+            this.doc.circle(x, y, radius, 'S');
+        } else {
+            this.doc.rect(x - radius, y - radius, radius * 2, radius * 2, 'F');
+        }
+    }
+
+    renderBlockquote(el, box) {
+        const barWidth = 3;
+        this.addSpace(this.theme.fontSize * 0.8);
+
+        const start = { page: this.currentPage(), y: this.y };
+        const previousStyle = this.blockStyle;
+        this.blockStyle = { ...previousStyle, italic: true, color: this.theme.quoteColor };
+
+        this.y += 4;
+        this.collapseNextSpace = true;
+        this.renderChildren(el, { ...box, left: box.left + barWidth + 10 });
+        this.collapseNextSpace = false;
+        this.y += 4;
+
+        this.blockStyle = previousStyle;
+        this.drawBar(start, box.left, barWidth, this.theme.accentColor);
+    }
+
+    // Callouts: a bar in the kind's color and a colored title
+    renderAdmonition(el, box) {
+        const barWidth = 3;
+        const kind = Array.from(el.classList).map(name => name.replace(/^admonition-/, '')).find(name => name in this.theme.admonitionColors);
+        const color = this.theme.admonitionColors[kind || 'note'];
+        this.addSpace(this.theme.fontSize * 0.8);
+
+        const start = { page: this.currentPage(), y: this.y };
+        const inner = { ...box, left: box.left + barWidth + 10 };
+        this.y += 4;
+        this.collapseNextSpace = true;
+        Array.from(el.childNodes).forEach(child => {
+            if (child.nodeType === 1 && child.classList.contains('admonition-title')) {
+                this.renderRuns(this.collectRuns(child.childNodes, { ...this.blockStyle, bold: true, color }), inner);
+                this.collapseNextSpace = true;
+            } else if (this.isBlock(child)) {
+                this.renderBlock(child, inner);
+            } else if (child.nodeType === 1 || child.nodeValue.trim()) {
+                this.renderRuns(this.collectRuns([child], this.blockStyle), inner);
+            }
+        });
+        this.collapseNextSpace = false;
+        this.y += 4;
+
+        this.drawBar(start, box.left, barWidth, color);
+    }
+
+    renderRule(box) {
+        this.addSpace(this.theme.fontSize);
+        this.doc.setDrawColor(this.theme.ruleColor);
+        this.doc.setLineWidth(1);
+        this.doc.line(box.left, this.y, box.right, this.y);
+        this.y += this.theme.fontSize * 0.5;
+    }
+
+    // Code blocks
+    renderCodeBlock(el, box) {
+        const code = el.querySelector('code') || el;
+        const size = this.theme.fontSize * 0.85;
+        const lineHeight = size * 1.4;
+        const padding = 8;
+        const barWidth = 3;
+        const style = { ...this.baseStyle(), mono: true, size, color: this.theme.preColor };
+
+        this.setFontFor(style);
+        const charWidth = this.doc.getTextWidth('M');
+        const maxChars = Math.max(1, Math.floor((box.right - box.left - barWidth - padding * 2) / charWidth));
+        const lines = this.wrapCodeLines(this.collectCodeLines(code).map(segments => segments.map(segment => ({
+            ...segment,
+            text: this.encodeText(segment.text, { ...style, bold: segment.bold, italic: segment.italic })
+        }))), maxChars);
+
+        this.addSpace(this.theme.fontSize * 0.8);
+
+        let index = 0;
+        while (index < lines.length) {
+            // Widow/orphan control, as for paragraphs
+            const { orphans, widows } = this.options;
+            const remaining = lines.length - index;
+            const kept = index === 0 ? (remaining < orphans + widows ? remaining : orphans) : 1;
+            this.ensureSpace(padding * 2 + lineHeight * kept);
+
+            let fits = Math.max(1, Math.floor((this.contentBottom() - this.y - padding * 2) / lineHeight));
+            if (fits < remaining) {
+                fits = Math.max(1, Math.min(fits, remaining - widows));
+            }
+            const chunk = lines.slice(index, index + fits);
+            const height = chunk.length * lineHeight + padding * 2;
+
+            this.doc.setFillColor(this.theme.preBackground);
+            this.doc.rect(box.left, this.y, box.right - box.left, height, 'F');
+            this.doc.setFillColor(this.theme.accentColor);
+            this.doc.rect(box.left, this.y, barWidth, height, 'F');
+
+            let baseline = this.y + padding + (lineHeight - size) / 2 + size * 0.8;
+            chunk.forEach(segments => {
+                if (segments.some(segment => segment.lineBackground)) {
+                    this.doc.setFillColor(this.theme.lineHighlightBackground);
+                    this.doc.rect(box.left + barWidth, baseline - size * 0.8 - (lineHeight - size) / 2, box.right - box.left - barWidth, lineHeight, 'F');
+                }
+
+                let x = box.left + barWidth + padding;
+                segments.forEach(segment => {
+                    this.setFontFor({ ...style, bold: segment.bold, italic: segment.italic });
+                    this.doc.setTextColor(segment.color || style.color);
+                    this.doc.text(segment.text, x, baseline);
+                    x += segment.text.length * charWidth;
+                });
+                baseline += lineHeight;
+            });
+
+            this.y += height;
+            index += chunk.length;
+            if (index < lines.length) {
+                this.newPage();
+            }
+        }
+    }
+
+    // File name caption above a code block
+    renderCodeTitle(el, box) {
+        const style = { ...this.baseStyle(), mono: true, bold: true, size: this.theme.fontSize * 0.8, color: this.theme.mutedColor };
+        const lines = this.layoutRuns([{ text: el.textContent.trim(), style }], box.right - box.left - 16);
+        const height = lines.reduce((sum, line) => sum + line.height, 0) + 8;
+
+        this.addSpace(this.theme.fontSize * 0.8);
+        // The caption stays on the page of the code it labels
+        this.ensureSpace(height + 40);
+
+        this.doc.setFillColor(this.theme.codeTitleBackground);
+        this.doc.rect(box.left, this.y, box.right - box.left, height, 'F');
+        this.doc.setFillColor(this.theme.accentColor);
+        this.doc.rect(box.left, this.y, 3, height, 'F');
+
+        let top = this.y + 4;
+        lines.forEach(line => {
+            this.drawLine(line, box.left + 11, box.right - box.left - 16, top);
+            top += line.height;
+        });
+
+        this.y += height;
+        this.collapseNextSpace = true;
+    }
+
+    // Splits the code element into lines of colored text segments
+    collectCodeLines(code) {
+        const lines = [[]];
+        const walk = (node, format) => {
+            if (node.nodeType === 3) {
+                node.nodeValue.replace(/\t/g, '    ').split('\n').forEach((text, i) => {
+                    if (i > 0) lines.push([]);
+                    if (text) lines[lines.length - 1].push({ text, ...format });
+                });
+            } else if (node.nodeType === 1) {
+                const childFormat = { ...format, ...this.codeFormatFor(node) };
+                Array.from(node.childNodes).forEach(child => walk(child, childFormat));
+            }
+        };
+        walk(code, {});
+
+        if (lines.length > 1 && lines[lines.length - 1].length === 0) {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    // Text format of highlight.js tokens and code fence line markup: { color, bold, italic, lineBackground }
+    codeFormatFor(el) {
+        const classes = Array.from(el.classList || []);
+
+        if (classes.includes('line-number')) {
+            return { color: this.theme.mutedColor, italic: false, bold: false };
+        }
+        if (classes.includes('is-highlighted')) {
+            return { lineBackground: this.theme.lineHighlightBackground };
+        }
+
+        const token = classes.find(name => name.startsWith('hljs-'));
+        if (!token) return {};
+
+        const name = token.slice('hljs-'.length);
+        const format = {};
+        if (this.theme.syntax[name]) format.color = this.theme.syntax[name];
+        if (name === 'strong' || name === 'section') format.bold = true;
+        if (name === 'emphasis' || name === 'comment' || name === 'code' || name === 'formula') format.italic = true;
+        return format;
+    }
+
+    wrapCodeLines(lines, maxChars) {
+        const wrapped = [];
+        lines.forEach(segments => {
+            let line = [];
+            let length = 0;
+            segments.forEach(segment => {
+                let text = segment.text;
+                while (length + text.length > maxChars) {
+                    const room = maxChars - length;
+                    line.push({ ...segment, text: text.slice(0, room) });
+                    wrapped.push(line);
+                    line = [];
+                    length = 0;
+                    text = text.slice(room);
+                }
+                if (text) {
+                    line.push({ ...segment, text });
+                    length += text.length;
+                }
+            });
+            wrapped.push(line);
+        });
+        return wrapped;
+    }
+
+    // Tables
+    renderTable(el, box) {
+        const padding = 5;
+        const rows = Array.from(el.rows || []);
+        if (rows.length === 0) return;
+
+        const columnCount = Math.max(...rows.map(row => row.cells.length));
+        const cells = rows.map(row => Array.from(row.cells).map(cell => {
+            const header = cell.tagName === 'TH';
+            const style = { ...this.baseStyle(), size: this.theme.fontSize * 0.95, bold: header };
+            return {
+                el: cell,
+                header,
+                runs: this.collectRuns(cell.childNodes, style),
+                align: cell.getAttribute('align') || (cell.style && cell.style.textAlign) || 'left'
+            };
+        }));
+
+        const widths = this.computeColumnWidths(cells, columnCount, box.right - box.left, padding);
+        const headerRows = rows.map((row, i) => i).filter(i => rows[i].parentNode && rows[i].parentNode.tagName === 'THEAD');
+
+        const layoutRow = rowCells => {
+            const laidOut = rowCells.map((cell, column) => {
+                const lines = this.layoutRuns(cell.runs, widths[column] - padding * 2);
+                return { ...cell, lines, height: lines.reduce((sum, line) => sum + line.height, 0) };
+            });
+            const height = Math.max(this.lineHeightFor(this.theme.fontSize), ...laidOut.map(cell => cell.height)) + padding * 2;
+            return { cells: laidOut, height };
+        };
+        const laidOutRows = cells.map(layoutRow);
+
+        this.addSpace(this.theme.fontSize * 0.8);
+
+        laidOutRows.forEach((row, index) => {
+            const footnotes = this.newFootnotes(row.cells.flatMap(cell => cell.lines));
+            if (this.y + row.height > this.contentBottom() - this.footnotesHeight(footnotes) && !this.atPageTop()) {
+                this.newPage();
+                // Repeat the header rows at the top of every page the table continues on
+                if (!headerRows.includes(index)) {
+                    headerRows.forEach(headerIndex => this.drawTableRow(laidOutRows[headerIndex], widths, box, padding));
+                }
+            }
+            this.drawTableRow(row, widths, box, padding);
+            this.addFootnotes(footnotes);
+        });
+    }
+
+    computeColumnWidths(cells, columnCount, available, padding) {
+        const natural = new Array(columnCount).fill(padding * 2);
+        const minimum = new Array(columnCount).fill(padding * 2);
+
+        cells.forEach(row => row.forEach((cell, column) => {
+            const lines = this.layoutRuns(cell.runs, Infinity);
+            const widest = Math.max(0, ...lines.map(line => line.width));
+            natural[column] = Math.max(natural[column], widest + padding * 2);
+
+            let longestWord = 0;
+            cell.runs.forEach(run => {
+                (run.text || '').split(/\s+/).forEach(word => {
+                    if (word) longestWord = Math.max(longestWord, this.measure(word, run.style));
+                });
+            });
+            minimum[column] = Math.max(minimum[column], Math.min(longestWord + padding * 2, available / columnCount));
+        }));
+
+        const naturalTotal = natural.reduce((a, b) => a + b, 0);
+        if (naturalTotal <= available) {
+            return natural.map(width => width * available / naturalTotal);
+        }
+
+        const minimumTotal = minimum.reduce((a, b) => a + b, 0);
+        if (minimumTotal >= available) {
+            return minimum.map(width => width * available / minimumTotal);
+        }
+
+        const flexible = natural.map((width, i) => width - minimum[i]);
+        const flexibleTotal = flexible.reduce((a, b) => a + b, 0) || 1;
+        return minimum.map((width, i) => width + (available - minimumTotal) * flexible[i] / flexibleTotal);
+    }
+
+    drawTableRow(row, widths, box, padding) {
+        let x = box.left;
+        this.doc.setDrawColor(this.theme.borderColor);
+        this.doc.setLineWidth(0.75);
+
+        row.cells.forEach((cell, column) => {
+            const width = widths[column];
+            if (cell.header) {
+                this.doc.setFillColor(this.theme.tableHeaderBackground);
+                this.doc.rect(x, this.y, width, row.height, 'FD');
+            } else {
+                this.doc.rect(x, this.y, width, row.height, 'S');
+            }
+
+            let top = this.y + padding;
+            cell.lines.forEach(line => {
+                this.drawLine(line, x + padding, width - padding * 2, top, cell.align);
+                top += line.height;
+            });
+            x += width;
+        });
+
+        // Rows with fewer cells still get their full border
+        for (let column = row.cells.length; column < widths.length; column++) {
+            this.doc.rect(x, this.y, widths[column], row.height, 'S');
+            x += widths[column];
+        }
+
+        this.y += row.height;
+    }
+
+    // Images
+    renderImage(img, box, link) {
+        const src = img.getAttribute('src') || '';
+        const data = this.images.get(src) || (src.startsWith('data:image/') ? src : null);
+        const format = data && (data.match(/^data:image\/(png|jpe?g)/i) || [])[1];
+
+        if (!format) {
+            this.renderImagePlaceholder(`[Image: ${img.getAttribute('alt') || 'Image'}]`, box);
+            return;
+        }
+
+        let properties;
+        try {
+            properties = this.doc.getImageProperties(data);
+        } catch (error) {
+            this.renderImagePlaceholder(`[Image: ${img.getAttribute('alt') || 'Image'}]`, box);
+            return;
+        }
+
+        // CSS pixels to points, scaled down to fit the content box
+        const requestedWidth = parseFloat(img.getAttribute('width')) || properties.width;
+        let width = requestedWidth * 0.75;
+        let height = properties.height * (requestedWidth / properties.width) * 0.75;
+        const scale = Math.min(1, (box.right - box.left) / width, (this.page.bottom - this.page.top) / height);
+        width *= scale;
+        height *= scale;
+
+        this.addSpace(this.theme.fontSize * 0.6);
+        this.ensureSpace(height);
+        const left = box.align === 'center' ? box.left + (box.right - box.left - width) / 2 : box.left;
+        this.doc.addImage(data, format.toUpperCase() === 'PNG' ? 'PNG' : 'JPEG', left, this.y, width, height);
+
+        if (link) {
+            this.addLink(link, left, this.y, width, height);
+        }
+        this.y += height;
+    }
+
+    // Pre-rendered block content (display math, diagrams), centered and scaled to fit
+    renderGraphic(graphic, box) {
+        const scale = Math.min(1, (box.right - box.left) / (graphic.width * 0.75), (this.page.bottom - this.page.top) / (graphic.height * 0.75));
+        const width = graphic.width * 0.75 * scale;
+        const height = graphic.height * 0.75 * scale;
+
+        this.addSpace(this.theme.fontSize * 0.8);
+        this.ensureSpace(height);
+        this.doc.addImage(graphic.data, 'PNG', box.left + (box.right - box.left - width) / 2, this.y, width, height);
+        this.y += height;
+    }
+
+    renderImagePlaceholder(text, box) {
+        const style = { ...this.baseStyle(), italic: true, size: this.theme.fontSize * 0.9, color: this.theme.mutedColor };
+        const lines = this.layoutRuns([{ text, style }], box.right - box.left - 24);
+        const height = lines.reduce((sum, line) => sum + line.height, 0) + 24;
+
+        this.addSpace(this.theme.fontSize * 0.6);
+        this.ensureSpace(height);
+
+        this.doc.setDrawColor('#cccccc');
+        this.doc.setLineWidth(1);
+        this.doc.setLineDashPattern([4, 3], 0);
+        this.doc.rect(box.left, this.y, box.right - box.left, height, 'S');
+        this.doc.setLineDashPattern([], 0);
+
+        let top = this.y + 12;
+        lines.forEach(line => {
+            this.drawLine(line, box.left + 12, box.right - box.left - 24, top, 'center');
+            top += line.height;
+        });
+        this.y += height;
+    }
+
+    // Inline content
+    collectRuns(nodes, style, runs = []) {
+        Array.from(nodes).forEach(node => {
+            if (node.nodeType === 3) {
+                runs.push({ text: node.nodeValue, style });
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            if (this.graphics.has(node)) {
+                runs.push({ graphic: this.graphics.get(node), style });
+                return;
+            }
+
+            switch (node.tagName) {
+                case 'BR':
+                    runs.push({ br: true, style });
+                    break;
+                case 'IMG':
+                    runs.push({ image: node, style });
+                    break;
+                case 'INPUT':
+                    if (node.getAttribute('type') === 'checkbox') {
+                        runs.push({ checkbox: node.hasAttribute('checked') || node.checked, style });
+                    }
+                    break;
+                case 'SPAN':
+                    // The standard PDF fonts have no emoji, so they are written as their shortcode
+                    if (node.classList.contains('emoji')) {
+                        runs.push({ text: node.getAttribute('title') || node.textContent, style });
+                    } else {
+                        this.collectRuns(node.childNodes, this.inlineStyle(node, style), runs);
+                    }
+                    break;
+                default:
+                    this.collectRuns(node.childNodes, this.inlineStyle(node, style), runs);
+            }
+        });
+        return runs;
+    }
+
+    inlineStyle(el, style) {
+        switch (el.tagName) {
+            case 'STRONG':
+            case 'B':
+                return { ...style, bold: true };
+            case 'EM':
+            case 'I':
+            case 'CITE':
+                return { ...style, italic: true };
+            case 'CODE':
+            case 'KBD':
+            case 'SAMP':
+                return { ...style, mono: true, color: this.theme.codeColor, background: this.theme.codeBackground };
+            case 'A':
+                return { ...style, link: el.getAttribute('href'), color: this.theme.linkColor };
+            case 'DEL':
+            case 'S':
+            case 'STRIKE':
+                return { ...style, strike: true };
+            case 'U':
+            case 'INS':
+                return { ...style, underline: true };
+            case 'MARK':
+                return { ...style, background: this.theme.markBackground };
+            case 'SUP':
+            case 'SUB': {
+                const scripted = { ...style, size: style.size * 0.75, script: el.tagName.toLowerCase() };
+                // Footnote references place their footnote on the same page
+                const ref = el.classList.contains('footnote-ref') && el.querySelector('a[href^="#"]');
+                return ref ? { ...scripted, footnote: this.fragmentId(ref.getAttribute('href')) } : scripted;
+            }
+            default:
+                return style;
+        }
+    }
+
+    // Renders inline runs as wrapped lines; images inside the runs are drawn as blocks
+    renderRuns(runs, box, align = 'left') {
+        let segment = [];
+        const flush = () => {
+            const lines = this.layoutRuns(segment, box.right - box.left);
+            lines.forEach((line, index) => {
+                // Widow/orphan control: the first and the last lines go to the next page together
+                const kept = lines.slice(index, index + this.keptLineCount(lines.length, index));
+                this.ensureSpace(kept.reduce((sum, keptLine) => sum + keptLine.height, 0), this.newFootnotes(kept));
+
+                const footnotes = this.newFootnotes([line]);
+                this.drawLine(line, box.left, box.right - box.left, this.y, align);
+                this.y += line.height;
+                this.addFootnotes(footnotes);
+            });
+            segment = [];
+        };
+
+        runs.forEach(run => {
+            if (run.image) {
+                flush();
+                this.renderImage(run.image, box, run.style.link);
+            } else {
+                segment.push(run);
+            }
+        });
+        flush();
+    }
+
+    // How many lines, from the one at index, have to be on the same page: the first `orphans` lines,
+    // the last `widows` ones, or all of them in a paragraph too short to be split that way
+    keptLineCount(count, index) {
+        const { orphans, widows } = this.options;
+        if (count < orphans + widows) return index === 0 ? count : 1;
+        if (index === 0) return orphans;
+        return index === count - widows ? widows : 1;
+    }
+
+    layoutRuns(runs, width) {
+        const hasContent = runs.some(run => run.checkbox !== undefined || run.image || run.graphic || (run.text && run.text.trim()));
+        if (!hasContent) return [];
+
+        const lines = [];
+        let line = { items: [], width: 0, size: 0, graphicHeight: 0 };
+        const isVisible = item => item.checkbox !== undefined || item.graphic || (item.text && item.text.trim());
+
+        const finishLine = () => {
+            // Drop trailing whitespace so alignment and backgrounds stay tight
+            const last = line.items[line.items.length - 1];
+            if (last && last.text && / $/.test(last.text)) {
+                const trimmed = last.text.replace(/ +$/, '');
+                const removed = last.width - this.measure(trimmed, last.style);
+                last.text = trimmed;
+                last.width -= removed;
+                line.width -= removed;
+            }
+            const size = line.size || this.blockStyle.size;
+            const height = Math.max(this.lineHeightFor(size), line.graphicHeight + size * 0.4);
+            lines.push({ ...line, size, height });
+            line = { items: [], width: 0, size: 0, graphicHeight: 0 };
+        };
+
+        const append = (text, style, itemWidth) => {
+            const last = line.items[line.items.length - 1];
+            if (last && last.style === style && last.text !== undefined) {
+                last.text += text;
+                last.width += itemWidth;
+            } else {
+                line.items.push({ text, style, width: itemWidth });
+            }
+            line.width += itemWidth;
+            line.size = Math.max(line.size, style.script ? style.size / 0.75 : style.size);
+        };
+
+        const endsWithSpace = () => {
+            const last = line.items[line.items.length - 1];
+            return !last || (last.text !== undefined && / $/.test(last.text));
+        };
+
+        runs.forEach(run => {
+            if (run.br) {
+                finishLine();
+                return;
+            }
+
+            if (run.checkbox !== undefined) {
+                const boxWidth = run.style.size * 1.3;
+                if (line.width + boxWidth > width && line.items.length > 0) finishLine();
+                line.items.push({ checkbox: run.checkbox, style: run.style, width: boxWidth });
+                line.width += boxWidth;
+                line.size = Math.max(line.size, run.style.size);
+                return;
+            }
+
+            if (run.graphic) {
+                // Inline math and similar content, scaled down if wider than the line
+                const scale = Math.min(1, width / (run.graphic.width * 0.75));
+                const graphicWidth = run.graphic.width * 0.75 * scale;
+                const graphicHeight = run.graphic.height * 0.75 * scale;
+                if (line.width + graphicWidth > width && line.items.some(isVisible)) finishLine();
+                line.items.push({ graphic: run.graphic, style: run.style, width: graphicWidth, height: graphicHeight });
+                line.width += graphicWidth;
+                line.size = Math.max(line.size, run.style.size);
+                line.graphicHeight = Math.max(line.graphicHeight, graphicHeight);
+                return;
+            }
+
+            // Images only end up here inside table cells, where they are shown by their alt text
+            const text = this.encodeText(run.image ? `[${run.image.getAttribute('alt') || 'Image'}]` : run.text, run.style);
+
+            text.replace(/\s+/g, ' ').split(/( )/).forEach(token => {
+                if (!token) return;
+
+                if (token === ' ') {
+                    if (!endsWithSpace()) {
+                        append(' ', run.style, this.measure(' ', run.style));
+                    }
+                    return;
+                }
+
+                let word = token;
+                let wordWidth = this.measure(word, run.style);
+                if (line.width + wordWidth > width && line.items.some(isVisible)) {
+                    finishLine();
+                }
+
+                // Words wider than the whole line are broken by character
+                while (wordWidth > width && word.length > 1) {
+                    let fit = word.length - 1;
+                    while (fit > 1 && line.width + this.measure(word.slice(0, fit), run.style) > width) fit--;
+                    append(word.slice(0, fit), run.style, this.measure(word.slice(0, fit), run.style));
+                    finishLine();
+                    word = word.slice(fit);
+                    wordWidth = this.measure(word, run.style);
+                }
+                append(word, run.style, wordWidth);
+            });
+        });
+
+        if (line.items.length > 0) finishLine();
+
+        // Leading whitespace never starts a line
+        lines.forEach(current => {
+            const first = current.items[0];
+            if (first && first.text && first.text.startsWith(' ')) {
+                const trimmed = first.text.replace(/^ +/, '');
+                const removed = first.width - this.measure(trimmed, first.style);
+                first.text = trimmed;
+                first.width -= removed;
+                current.width -= removed;
+            }
+        });
+
+        return lines;
+    }
+
+    drawLine(line, left, width, top, align = 'left') {
+        let x = left;
+        if (align === 'center') x += (width - line.width) / 2;
+        if (align === 'right') x += width - line.width;
+
+        const baseline = top + (line.height - line.size) / 2 + line.size * 0.8;
+
+        if (this.pendingMarker) {
+            this.pendingMarker(baseline, line.size);
+            this.pendingMarker = null;
+        }
+
+        line.items.forEach(item => {
+            const style = item.style;
+
+            if (item.checkbox !== undefined) {
+                this.drawCheckbox(item.checkbox, x, baseline, style.size);
+                x += item.width;
+                return;
+            }
+
+            if (item.graphic) {
+                // Centered on the middle of the lowercase letters
+                const graphicTop = Math.max(top, baseline - style.size * 0.3 - item.height / 2);
+                this.doc.addImage(item.graphic.data, 'PNG', x, graphicTop, item.width, item.height);
+                if (style.link) {
+                    this.addLink(style.link, x, graphicTop, item.width, item.height);
+                }
+                x += item.width;
+                return;
+            }
+
+            if (style.background && item.text.trim()) {
+                this.doc.setFillColor(style.background);
+                this.doc.rect(x - 1, baseline - style.size * 0.85, item.width + 2, style.size * 1.1, 'F');
+            }
+
+            let y = baseline;
+            if (style.script === 'sup') y -= style.size * 0.45;
+            if (style.script === 'sub') y += style.size * 0.25;
+
+            this.setFontFor(style);
+            this.doc.setTextColor(style.color);
+            this.doc.text(item.text, x, y);
+
+            if (style.underline || style.strike) {
+                this.doc.setDrawColor(style.color);
+                this.doc.setLineWidth(style.size * 0.06);
+                const lineY = style.strike ? y - style.size * 0.28 : y + style.size * 0.12;
+                this.doc.line(x, lineY, x + item.width, lineY);
+            }
+
+            if (style.link) {
+                this.addLink(style.link, x, top, item.width, line.height);
+            }
+
+            x += item.width;
+        });
+    }
+
+    drawCheckbox(checked, x, baseline, size) {
+        const boxSize = size * 0.8;
+        const top = baseline - boxSize * 0.9;
+
+        this.doc.setDrawColor(this.theme.textColor);
+        this.doc.setLineWidth(0.8);
+        this.doc.rect(x, top, boxSize, boxSize, 'S');
+
+        if (checked) {
+            this.doc.setLineWidth(1.2);
+            this.doc.lines([[boxSize * 0.25, boxSize * 0.3], [boxSize * 0.45, -boxSize * 0.6]],
+                x + boxSize * 0.18, top + boxSize * 0.5);
+        }
+    }
+
+    addLink(href, x, y, width, height) {
+        if (!href) return;
+
+        if (href.startsWith('#')) {
+            // Resolved once every anchor position is known
+            this.internalLinks.push({ id: this.fragmentId(href), page: this.currentPage(), x, y, width, height });
+        } else if (/^(https?:|mailto:)/i.test(href) || !/^[a-z][\w+.-]*:/i.test(href)) {
+            // Relative links (to other files of a project) are kept as they are
+            this.doc.link(x, y, width, height, { url: href });
+        }
+    }
+
+    // Footnotes
+    // Footnotes listed at the end of the document, by id: { element, number }
+    collectFootnotes(root) {
+        const footnotes = new Map();
+        root.querySelectorAll('.footnotes li[id]').forEach((item, index) => {
+            footnotes.set(item.id, { element: item, number: index + 1 });
+        });
+        return footnotes;
+    }
+
+    // Footnotes referred to on these lines that aren't on a page yet
+    newFootnotes(lines) {
+        const ids = new Set();
+        lines.forEach(line => line.items.forEach(item => {
+            const id = item.style && item.style.footnote;
+            if (id && this.footnotes.has(id) && !this.placedFootnotes.has(id)) ids.add(id);
+        }));
+        return Array.from(ids);
+    }
+
+    footnoteLines(id) {
+        const footnote = this.footnotes.get(id);
+        if (!footnote.lines) {
+            const style = { ...this.baseStyle(), size: this.theme.fontSize * 0.8, color: this.theme.mutedColor };
+            const content = footnote.element.cloneNode(true);
+            content.querySelectorAll('.footnote-backref').forEach(link => link.remove());
+            const runs = [{ text: `${footnote.number}. `, style: { ...style, bold: true } }, ...this.collectRuns(content.childNodes, style)];
+            footnote.lines = this.layoutRuns(runs, this.page.right - this.page.left);
+        }
+        return footnote.lines;
+    }
+
+    // Height of the given footnotes at the bottom of the page, with the separator when they'd be the first.
+    // placed: the ids are the page's own footnotes.
+    footnotesHeight(ids, placed = false) {
+        if (ids.length === 0) return 0;
+        const separator = placed || this.pageFootnotes.length === 0 ? this.theme.fontSize * 1.2 : 0;
+        return ids.reduce((sum, id) => sum + this.footnoteLines(id).reduce((total, line) => total + line.height, 0), separator);
+    }
+
+    addFootnotes(ids) {
+        ids.forEach(id => {
+            this.placedFootnotes.add(id);
+            this.pageFootnotes.push({ id });
+        });
+    }
+
+    drawFootnotes() {
+        if (this.pageFootnotes.length === 0) return;
+
+        const ids = this.pageFootnotes.map(note => note.id);
+        const previous = { y: this.y, pendingMarker: this.pendingMarker };
+        this.pendingMarker = null;
+        this.y = this.page.bottom - this.footnotesHeight(ids, true);
+
+        const separator = this.theme.fontSize * 1.2;
+        this.doc.setDrawColor(this.theme.ruleColor);
+        this.doc.setLineWidth(0.75);
+        this.doc.line(this.page.left, this.y + separator * 0.4, this.page.left + (this.page.right - this.page.left) / 3, this.y + separator * 0.4);
+        this.y += separator;
+
+        ids.forEach(id => {
+            this.addAnchor(id);
+            this.footnoteLines(id).forEach(line => {
+                this.drawLine(line, this.page.left, this.page.right - this.page.left, this.y);
+                this.y += line.height;
+            });
+        });
+
+        this.pageFootnotes = [];
+        this.y = previous.y;
+        this.pendingMarker = previous.pendingMarker;
+    }
+
+    // Navigation
+    fragmentId(href) {
+        try {
+            return decodeURIComponent(href.slice(1));
+        } catch (error) {
+            return href.slice(1);
+        }
+    }
+
+    addAnchor(id) {
+        if (!this.anchors.has(id)) {
+            this.anchors.set(id, { page: this.currentPage(), y: this.y });
+        }
+    }
+
+    resolveInternalLinks() {
+        const lastPage = this.currentPage();
+
+        this.internalLinks.forEach(link => {
+            const target = this.anchors.get(link.id);
+            if (!target) return;
+
+            this.doc.setPage(link.page);
+            this.doc.link(link.x, link.y, link.width, link.height, {
+                pageNumber: target.page,
+                top: Math.max(0, target.y - this.theme.fontSize)
+            });
+        });
+
+        this.doc.setPage(lastPage);
+    }
+
+    renderTableOfContents(el, box) {
+        const title = el.querySelector('.toc-title');
+        if (title) {
+            const size = this.theme.headingSizes[1];
+            this.addSpace(size * 0.9);
+            this.ensureSpace(this.lineHeightFor(size) * 3);
+            this.renderRuns([{ text: title.textContent, style: { ...this.baseStyle(), size, bold: true, color: this.theme.headingColor } }], box);
+            this.y += size * 0.4;
+        }
+
+        const renderEntries = (list, depth) => {
+            Array.from(list.children).filter(item => item.tagName === 'LI').forEach(item => {
+                const link = item.querySelector(':scope > .toc-entry > a');
+                if (link) {
+                    this.renderTocEntry(link, depth, box);
+                }
+                const nested = item.querySelector(':scope > ul, :scope > ol');
+                if (nested) {
+                    renderEntries(nested, depth + 1);
+                }
+            });
+        };
+
+        const list = el.querySelector(':scope > ul, :scope > ol');
+        if (list) {
+            renderEntries(list, 0);
+        }
+    }
+
+    renderTocEntry(link, depth, box) {
+        const id = this.fragmentId(link.getAttribute('href') || '');
+        const page = this.anchorPages.get(id);
+        const style = { ...this.baseStyle(), bold: depth === 0, color: this.theme.textColor };
+        const lineHeight = this.lineHeightFor(style.size);
+        const left = box.left + depth * style.size * 1.5;
+        const pageLabel = page ? String(page) : '';
+
+        this.ensureSpace(lineHeight);
+
+        const pageWidth = this.measure(pageLabel, style);
+        const lines = this.layoutRuns([{ text: link.textContent, style }], box.right - left - pageWidth - 30);
+        lines.forEach((line, index) => {
+            this.ensureSpace(line.height);
+            this.drawLine(line, left, box.right - left, this.y);
+
+            if (index === lines.length - 1 && pageLabel) {
+                const baseline = this.y + (line.height - line.size) / 2 + line.size * 0.8;
+
+                // Dot leaders between the entry and its page number
+                const dotsStyle = { ...style, bold: false, color: this.theme.mutedColor };
+                const dotWidth = this.measure(' .', dotsStyle);
+                const from = left + line.width + 6;
+                const to = box.right - pageWidth - 6;
+                const count = Math.floor((to - from) / dotWidth);
+                if (count > 0) {
+                    this.setFontFor(dotsStyle);
+                    this.doc.setTextColor(dotsStyle.color);
+                    this.doc.text(' .'.repeat(count), to - count * dotWidth, baseline);
+                }
+
+                this.setFontFor(style);
+                this.doc.setTextColor(style.color);
+                this.doc.text(pageLabel, box.right, baseline, { align: 'right' });
+            }
+
+            this.addLink(`#${id}`, left, this.y, box.right - left, line.height);
+            this.y += line.height;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VectorPdfRenderer;
+}